@@ -0,0 +1,220 @@
+import { ethers } from 'ethers';
+import { CHAINS, resolveChainId } from '../utils/chains.js';
+import { getProvider } from '../utils/rpcProvider.js';
+
+/**
+ * Collects candidate contract addresses from everything the scan sees: rendered pages,
+ * request URLs and JSON-RPC bodies, API responses, script bundles, the mock wallet's
+ * requests and ENS names. Every address keeps where it was found, and addresses the dApp
+ * actually sends calls or transactions to rank ahead of ones that merely appear in its code.
+ */
+
+// Where an address can come from; lower ranks come first
+const SOURCES = {
+  transaction: { rank: 0, label: 'transaction target' },
+  signature: { rank: 0, label: 'signature request' },
+  call: { rank: 1, label: 'eth_call target' },
+  ens: { rank: 2, label: 'ENS name' },
+  response: { rank: 2, label: 'API response' },
+  request: { rank: 2, label: 'request URL' },
+  script: { rank: 3, label: 'script bundle' },
+  page: { rank: 3, label: 'page text' }
+};
+
+// Sources at or below this rank mean the dApp interacts with the address
+const INTERACTION_RANK = 1;
+
+// Provenance kept per address; bundles can repeat an address hundreds of times
+const MAX_SOURCES_PER_ADDRESS = 10;
+
+// ENS names resolved per scan
+const MAX_ENS_NAMES = 20;
+
+// ENS lives on Ethereum unless ENS_CHAIN_ID says otherwise
+const DEFAULT_ENS_CHAIN_ID = 1;
+
+// Same address on every network ENS is deployed to
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+
+const ENS_ABI = new ethers.utils.Interface([
+  'function resolver(bytes32 node) view returns (address)',
+  'function addr(bytes32 node) view returns (address)'
+]);
+
+// 40 hex digits that are not part of a longer hex string such as a hash or calldata
+const ADDRESS_PATTERN = /(?<![0-9a-zA-Z_$])0x[0-9a-fA-F]{40}(?![0-9a-zA-Z_$])/g;
+
+// Names in running text, and quoted names in code where "web3.eth" is a property access
+const ENS_TEXT_PATTERN = /(?<![\w.-])(?:[a-z0-9-]+\.)*[a-z0-9-]{3,}\.eth(?![\w.-])/gi;
+const ENS_QUOTED_PATTERN = /["'`]((?:[a-z0-9-]+\.)*[a-z0-9-]{3,}\.eth)["'`]/gi;
+
+// Placeholders rather than contracts: the zero address, precompiles and repeated digits such
+// as the 0xEeee… native-token marker
+const PLACEHOLDER_PATTERN = /^0x(?:0{36}[0-9a-f]{4}|([0-9a-f])\1{39})$/i;
+
+// Wallet methods whose first parameter is a call the dApp makes
+const CALL_METHODS = ['eth_call', 'eth_estimateGas'];
+
+/**
+ * Create a collector. Sources are { type, location, route } with type one of SOURCES; each
+ * recorded source also gets a human-readable label.
+ */
+export function createAddressCollector() {
+  const candidates = new Map();
+  const ensNames = new Map();
+  let rejected = 0;
+
+  const add = (raw, source) => {
+    const checked = checkAddress(raw);
+    if (!checked) {
+      if (checked === false) rejected++;
+      return;
+    }
+
+    const key = checked.address.toLowerCase();
+    if (!candidates.has(key)) {
+      candidates.set(key, { address: checked.address, checksummed: checked.checksummed, occurrences: 0, sources: [] });
+    }
+    const candidate = candidates.get(key);
+    candidate.occurrences++;
+    candidate.checksummed = candidate.checksummed || checked.checksummed;
+    const known = candidate.sources.some(existing =>
+      existing.type === source.type && existing.location === source.location && existing.ensName === source.ensName);
+    if (!known && candidate.sources.length < MAX_SOURCES_PER_ADDRESS) {
+      const label = SOURCES[source.type].label;
+      candidate.sources.push({ ...source, route: source.route ?? null, label: source.ensName ? `${label} ${source.ensName}` : label });
+    }
+  };
+
+  return {
+    /**
+     * Every address and ENS name in a piece of text (page text, a URL, a bundle or a response)
+     */
+    scan(text, source) {
+      if (!text) return;
+      (text.match(ADDRESS_PATTERN) || []).forEach(match => add(match, source));
+
+      const names = source.type === 'page'
+        ? text.match(ENS_TEXT_PATTERN) || []
+        : [...text.matchAll(ENS_QUOTED_PATTERN)].map(match => match[1]);
+      names.forEach(name => {
+        const normalized = name.toLowerCase();
+        if (!ensNames.has(normalized)) ensNames.set(normalized, source);
+      });
+    },
+
+    /**
+     * Targets of calls, transactions and typed-data signatures from a JSON-RPC request, whether
+     * it went through the mock wallet or straight to an RPC endpoint
+     */
+    addRpcRequest(method, params, source) {
+      if (CALL_METHODS.includes(method)) {
+        add(params?.[0]?.to, { ...source, type: 'call' });
+      } else if (method === 'eth_sendTransaction') {
+        add(params?.[0]?.to, { ...source, type: 'transaction' });
+      } else if (method.startsWith('eth_signTypedData')) {
+        add(typedDataContract(params), { ...source, type: 'signature' });
+      }
+    },
+
+    /**
+     * Resolve the ENS names seen so far and add their addresses.
+     * options.ensChainId (or ENS_CHAIN_ID) picks the chain to resolve on.
+     */
+    async resolveEnsNames(options = {}) {
+      if (ensNames.size === 0) return;
+      const chainId = resolveChainId(options.ensChainId ?? process.env.ENS_CHAIN_ID) || DEFAULT_ENS_CHAIN_ID;
+      if (!CHAINS[chainId]) {
+        console.log(`⚠️  Cannot resolve ENS names on unsupported chain ${chainId}`);
+        return;
+      }
+
+      const names = [...ensNames.entries()].slice(0, MAX_ENS_NAMES);
+      const provider = getProvider(chainId);
+      const resolved = await Promise.all(names.map(([name]) => resolveEnsName(name, provider)));
+      names.forEach(([name, source], i) => {
+        if (resolved[i]) add(resolved[i], { type: 'ens', location: source.location, route: source.route, ensName: name });
+      });
+      console.log(`🔗 Resolved ${resolved.filter(Boolean).length} of ${names.length} ENS name(s)`);
+    },
+
+    /**
+     * Candidates ranked by the strongest source, then by how many kinds of source and how
+     * often they appeared
+     */
+    ranked() {
+      return [...candidates.values()]
+        .map(candidate => {
+          const rank = Math.min(...candidate.sources.map(source => SOURCES[source.type].rank));
+          return { ...candidate, rank, interacted: rank <= INTERACTION_RANK };
+        })
+        .sort((a, b) =>
+          a.rank - b.rank ||
+          new Set(b.sources.map(source => source.type)).size - new Set(a.sources.map(source => source.type)).size ||
+          b.occurrences - a.occurrences);
+    },
+
+    get rejected() {
+      return rejected;
+    }
+  };
+}
+
+/**
+ * Checksummed form of a candidate, null for non-addresses and placeholders, or false when a
+ * mixed-case candidate fails its EIP-55 checksum and is most likely not an address at all
+ */
+function checkAddress(raw) {
+  if (typeof raw !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(raw) || PLACEHOLDER_PATTERN.test(raw)) return null;
+
+  const digits = raw.slice(2);
+  const mixedCase = digits !== digits.toLowerCase() && digits !== digits.toUpperCase();
+  if (!mixedCase) {
+    return { address: ethers.utils.getAddress(raw.toLowerCase()), checksummed: false };
+  }
+
+  try {
+    return { address: ethers.utils.getAddress(raw), checksummed: true };
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * verifyingContract of an eth_signTypedData request, whose typed data may be a JSON string
+ */
+function typedDataContract(params) {
+  for (const param of params || []) {
+    let data = param;
+    if (typeof param === 'string' && param.trim().startsWith('{')) {
+      try {
+        data = JSON.parse(param);
+      } catch (error) {
+        continue;
+      }
+    }
+    if (data?.domain?.verifyingContract) return data.domain.verifyingContract;
+  }
+  return null;
+}
+
+/**
+ * Address an ENS name points to, or null if it has no resolver or address
+ */
+async function resolveEnsName(name, provider) {
+  try {
+    const node = ethers.utils.namehash(name);
+    const call = async (to, method) => {
+      const result = await provider.request('eth_call', [{ to, data: ENS_ABI.encodeFunctionData(method, [node]) }, 'latest']);
+      return ENS_ABI.decodeFunctionResult(method, result)[0];
+    };
+
+    const resolver = await call(ENS_REGISTRY, 'resolver');
+    if (resolver === ethers.constants.AddressZero) return null;
+    const address = await call(resolver, 'addr');
+    return address === ethers.constants.AddressZero ? null : address;
+  } catch (error) {
+    console.log(`⚠️  Could not resolve ENS name ${name}:`, error.message);
+    return null;
+  }
+}
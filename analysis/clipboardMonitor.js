@@ -0,0 +1,299 @@
+import { ethers } from 'ethers';
+import { createFinding } from '../utils/findings.js';
+
+/**
+ * Address-poisoning checks. An injected script watches every way a page can write to the
+ * clipboard (navigator.clipboard, document.execCommand('copy') and copy events) and records
+ * the addresses written along with the ones displayed around the element that was clicked,
+ * while a MutationObserver records addresses in the DOM that are replaced after the page loaded.
+ */
+const RULES = {
+  clipboardMismatch: {
+    id: 'frontend/clipboard-hijack',
+    title: 'Copied address differs from the address shown',
+    severity: 'critical',
+    confidence: 'high',
+    category: 'address-poisoning',
+    remediation: 'The page puts a different address on the clipboard than the one it displays. Never send funds to an address copied from this site.'
+  },
+  hiddenAddress: {
+    id: 'frontend/clipboard-hidden-address',
+    title: 'Page copies an address it does not display',
+    severity: 'medium',
+    confidence: 'medium',
+    category: 'address-poisoning',
+    remediation: 'Compare the pasted address with one from a trusted source before sending funds.'
+  },
+  addressSwap: {
+    id: 'frontend/address-swap',
+    title: 'Displayed address replaced after the page loaded',
+    severity: 'low',
+    confidence: 'low',
+    category: 'address-poisoning',
+    remediation: 'A deposit or contract address that changes after load may have been swapped by an attacker; verify it through another channel.'
+  }
+};
+
+/**
+ * Instrument every document the page loads. onEvent(event) receives
+ * { type: 'clipboard', via, copied, nearby, displayed, url } for writes that contain addresses and
+ * { type: 'swap', from, to, target, attribute, url } for replaced addresses; addresses are lowercase.
+ */
+export async function installClipboardMonitor(page, { onEvent }) {
+  await page.exposeFunction('reportClipboardEvent', (event) => onEvent?.(event));
+  await page.evaluateOnNewDocument(instrumentClipboard);
+}
+
+/**
+ * Findings for the events recorded by installClipboardMonitor, each carrying the route and
+ * click path it was seen on. Returns { writes, swaps, findings } with checksummed addresses.
+ */
+export function analyzeClipboardEvents(events) {
+  const findings = [];
+  const writes = [];
+  const swaps = [];
+  const reported = new Set();
+
+  for (const event of events) {
+    const context = { route: event.route ?? null, clickPath: event.clickPath ?? null, element: event.element ?? null, evidence: event.evidence ?? null };
+    const affected = { type: 'element', value: event.element || event.url };
+    const details = { url: event.url, via: event.via, clickPath: context.clickPath, artifacts: [event.evidence].filter(Boolean) };
+
+    if (event.type === 'swap') {
+      swaps.push({ ...context, from: event.from.map(checksum), to: event.to.map(checksum), target: event.target, attribute: event.attribute });
+      const key = `swap:${event.from.join()}>${event.to.join()}`;
+      if (reported.has(key)) continue;
+      reported.add(key);
+
+      // Route changes, paginated tables and live feeds replace addresses all the time; swapping
+      // one for an address with the same first and last digits is the poisoning trick
+      const lookalike = event.to.some(to => event.from.some(from => looksAlike(from, to)));
+      findings.push(createFinding(RULES.addressSwap, {
+        ...(lookalike && {
+          title: 'Displayed address swapped for a lookalike after the page loaded',
+          severity: 'high',
+          confidence: 'high'
+        }),
+        affected: { type: 'element', value: event.target },
+        evidence: { ...details, from: event.from.map(checksum), to: event.to.map(checksum), attribute: event.attribute, lookalike },
+        route: context.route
+      }));
+      continue;
+    }
+
+    for (const copied of event.copied) {
+      // What the user would compare against: the address beside what they clicked, or failing
+      // that anything on the page
+      const shown = event.nearby.length > 0 ? event.nearby : null;
+      const lookalike = (shown || event.displayed).find(address => address !== copied && looksAlike(address, copied)) || null;
+      const mismatch = shown ? !shown.includes(copied) : !event.displayed.includes(copied) && Boolean(lookalike);
+      const hidden = !shown && !event.displayed.includes(copied) && !lookalike;
+      const compared = (shown || (mismatch ? [lookalike] : [])).map(checksum);
+
+      writes.push({
+        ...context,
+        via: event.via,
+        address: checksum(copied),
+        shown: compared,
+        mismatch,
+        hidden
+      });
+
+      const key = `${mismatch ? 'mismatch' : hidden ? 'hidden' : 'ok'}:${copied}`;
+      if ((!mismatch && !hidden) || reported.has(key)) continue;
+      reported.add(key);
+
+      const evidence = {
+        ...details,
+        copied: checksum(copied),
+        shown: compared,
+        lookalike: lookalike ? checksum(lookalike) : null
+      };
+      findings.push(mismatch
+        ? createFinding(RULES.clipboardMismatch, {
+          title: lookalike
+            ? 'Copied address is a lookalike of the address shown'
+            : RULES.clipboardMismatch.title,
+          affected,
+          evidence,
+          route: context.route
+        })
+        : createFinding(RULES.hiddenAddress, { affected, evidence, route: context.route }));
+    }
+  }
+
+  return { writes, swaps, findings };
+}
+
+/**
+ * Same first and last four hex digits: what address-poisoning vanity addresses imitate
+ */
+function looksAlike(a, b) {
+  return a !== b && a.slice(2, 6) === b.slice(2, 6) && a.slice(-4) === b.slice(-4);
+}
+
+function checksum(address) {
+  try {
+    return ethers.utils.getAddress(address);
+  } catch (error) {
+    return address;
+  }
+}
+
+/**
+ * Runs inside the page, so it cannot use anything from this module
+ */
+function instrumentClipboard() {
+  const ADDRESS = /0x[0-9a-fA-F]{40}(?![0-9a-fA-F])/g;
+  const MAX_EVENTS = 50;
+  let sent = 0;
+  let lastClicked = null;
+
+  const findAddresses = text => [...new Set((String(text || '').match(ADDRESS) || []).map(address => address.toLowerCase()))];
+
+  const report = (event) => {
+    if (sent >= MAX_EVENTS) return;
+    sent++;
+    window.reportClipboardEvent({ ...event, url: location.href });
+  };
+
+  // Text a user can actually see: rendered text plus values of visible, on-screen fields
+  const visibleText = (root) => {
+    const fields = [...root.querySelectorAll('input:not([type="hidden"]), textarea')].filter(field => {
+      const rect = field.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && rect.right > 0 && rect.bottom > 0 &&
+        getComputedStyle(field).opacity !== '0';
+    });
+    return `${root.innerText || ''} ${fields.map(field => field.value).join(' ')}`;
+  };
+
+  // Addresses next to the clicked element, e.g. the text beside a copy icon
+  const nearbyAddresses = () => {
+    let node = lastClicked instanceof Element ? lastClicked : null;
+    for (let depth = 0; node && depth < 5; node = node.parentElement, depth++) {
+      const found = findAddresses(visibleText(node));
+      if (found.length > 0) return found;
+    }
+    return [];
+  };
+
+  const recordWrite = (via, text) => {
+    const copied = findAddresses(text);
+    if (copied.length === 0) return;
+    report({
+      type: 'clipboard',
+      via,
+      copied,
+      nearby: nearbyAddresses(),
+      displayed: document.body ? findAddresses(visibleText(document.body)).slice(0, 100) : []
+    });
+  };
+
+  window.addEventListener('click', (event) => { lastClicked = event.target; }, true);
+
+  // Async Clipboard API
+  if (window.Clipboard) {
+    const { writeText, write } = Clipboard.prototype;
+    if (writeText) {
+      Clipboard.prototype.writeText = function (text) {
+        recordWrite('clipboard.writeText', text);
+        return writeText.call(this, text);
+      };
+    }
+    if (write) {
+      Clipboard.prototype.write = function (items) {
+        Promise.all([...(items || [])]
+          .filter(item => item.types.includes('text/plain'))
+          .map(item => item.getType('text/plain').then(blob => blob.text())))
+          .then(texts => texts.forEach(text => recordWrite('clipboard.write', text)))
+          .catch(() => {});
+        return write.call(this, items);
+      };
+    }
+  }
+
+  // execCommand('copy') and user copies both fire a copy event; a handler can replace the
+  // selection with clipboardData.setData(), so note what is set on each event's DataTransfer.
+  // Keyed by DataTransfer rather than by which listener ran first, so a page listener that
+  // runs before ours cannot slip a replacement past
+  let execCopy = false;
+  const textData = new WeakMap();
+  const { execCommand } = Document.prototype;
+  Document.prototype.execCommand = function (command, ...args) {
+    if (String(command).toLowerCase() !== 'copy') return execCommand.call(this, command, ...args);
+    execCopy = true;
+    try {
+      return execCommand.call(this, command, ...args);
+    } finally {
+      execCopy = false;
+    }
+  };
+
+  const { setData } = DataTransfer.prototype;
+  DataTransfer.prototype.setData = function (format, data) {
+    if (/^text(\/plain)?$/i.test(format)) textData.set(this, String(data));
+    return setData.call(this, format, data);
+  };
+
+  const selectedText = () => {
+    const active = document.activeElement;
+    if (active && /^(INPUT|TEXTAREA)$/.test(active.tagName) && typeof active.selectionStart === 'number') {
+      return active.value.slice(active.selectionStart, active.selectionEnd);
+    }
+    return String(window.getSelection() || '');
+  };
+
+  // Window capture sees the event first, and this listener is added before any of the page's
+  window.addEventListener('copy', (event) => {
+    const via = execCopy ? 'execCommand' : 'copy event';
+    const selection = selectedText();
+    // Runs once every copy listener has had its turn
+    setTimeout(() => {
+      const data = event.clipboardData ? textData.get(event.clipboardData) : undefined;
+      const replaced = event.defaultPrevented && data !== undefined;
+      recordWrite(replaced ? `${via} (setData)` : via, replaced ? data : selection);
+    }, 0);
+  }, true);
+
+  // Addresses replaced in the DOM once the page has finished loading
+  const swapsSeen = new Set();
+  const describe = (node) => {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element) return null;
+    return `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${element.classList.length > 0 ? `.${[...element.classList].slice(0, 2).join('.')}` : ''}`;
+  };
+  const textOf = nodes => [...nodes].map(node => node.textContent || '').join(' ');
+
+  new MutationObserver((records) => {
+    if (document.readyState !== 'complete') return;
+    for (const record of records) {
+      let before;
+      let after;
+      if (record.type === 'characterData') {
+        before = findAddresses(record.oldValue);
+        after = findAddresses(record.target.data);
+      } else if (record.type === 'attributes') {
+        before = findAddresses(record.oldValue);
+        after = findAddresses(record.target.getAttribute(record.attributeName));
+      } else {
+        before = findAddresses(textOf(record.removedNodes));
+        after = findAddresses(textOf(record.addedNodes));
+      }
+
+      const from = before.filter(address => !after.includes(address));
+      const to = after.filter(address => !before.includes(address));
+      const key = `${from.join()}>${to.join()}`;
+      if (from.length === 0 || to.length === 0 || swapsSeen.has(key)) continue;
+      swapsSeen.add(key);
+      report({ type: 'swap', from, to, target: describe(record.target), attribute: record.attributeName || null });
+    }
+  }).observe(document, {
+    subtree: true,
+    childList: true,
+    characterData: true,
+    characterDataOldValue: true,
+    attributes: true,
+    attributeOldValue: true,
+    attributeFilter: ['value', 'href', 'title', 'data-address', 'data-clipboard-text']
+  });
+}
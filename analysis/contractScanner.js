@@ -1,41 +1,65 @@
 import { ethers } from 'ethers';
 import { fetchContractCode } from '../utils/fetchContractCode.js';
-import { decodeFunctionSelectors } from '../utils/decodeFunctionSelectors.js';
+import {
+  decodeFunctionSelectors,
+  functionsFromAbi,
+  formatFunction
+} from '../utils/decodeFunctionSelectors.js';
+import { disassembleBytecode, findOpcodes, formatPc } from '../utils/disassembleBytecode.js';
+import { extractDispatcher } from './functionDispatcher.js';
+import { resolveProxy } from './proxyResolver.js';
+import { inspectRoles, detectPrivilegeRisks } from './roleInspector.js';
+import { detectSourcePatterns, createSourceFinding } from './sourceDetectors.js';
+import { simulateTokens, ERC20_SELECTORS } from './tokenSimulator.js';
+import { getChain } from '../utils/chains.js';
+import { getCached, setCached } from '../utils/cache.js';
+import { createFinding } from '../utils/findings.js';
+import { createPluginHost } from '../utils/plugins.js';
+
+// How many proxy -> implementation hops to follow
+const MAX_PROXY_DEPTH = 3;
+
+// Bump when bytecode analysis changes so cached results are recomputed
+const ANALYSIS_VERSION = 1;
 
 /**
  * Analyzes smart contracts found in the dApp
  * Fetches bytecode, attempts ABI detection, and identifies risks
+ * on the chain the dApp uses (options.chainId, Ethereum by default).
+ * options.plugins (from loadPlugins) adds detectors through the analyzeContract hook.
+ * ERC-20s are bought and sold on a Hardhat fork unless options.simulateTokens is false.
  */
-export async function scanContracts(contractAddresses) {
-  console.log(`🔒 Starting contract analysis for ${contractAddresses.length} addresses...`);
-  
-  if (contractAddresses.length === 0) {
-    return {
-      addresses: [],
-      verified: [],
-      functions: [],
-      risks: [],
-      analysis: []
-    };
-  }
+export async function scanContracts(contractAddresses, options = {}) {
+  const chain = getChain(options.chainId);
+  const plugins = options.plugins || createPluginHost();
+  console.log(`🔒 Starting contract analysis for ${contractAddresses.length} addresses on ${chain.name}...`);
   
   const results = {
+    chainId: chain.id,
     addresses: [],
     verified: [],
     functions: [],
-    risks: [],
-    analysis: []
+    findings: [],
+    analysis: [],
+    proxies: [],
+    tokens: []
   };
   
-  // Limit to first 5 contracts to avoid rate limiting
-  const addressesToAnalyze = contractAddresses.slice(0, 5);
+  // Every discovered contract is analysed; the RPC provider handles rate limiting
+  const queue = contractAddresses.map(address => ({ address, depth: 0 }));
+  const visited = new Set();
   
-  for (const address of addressesToAnalyze) {
+  while (queue.length > 0) {
+    const { address, depth, implementationOf } = queue.shift();
+    
+    if (visited.has(address.toLowerCase())) continue;
+    visited.add(address.toLowerCase());
+    
     try {
       console.log(`🔍 Analyzing contract: ${address}`);
       
       // Fetch contract bytecode
-      const contractData = await fetchContractCode(address);
+      const contractData = await fetchContractCode(address, chain.id);
       
       if (!contractData.bytecode || contractData.bytecode === '0x') {
         console.log(`⚠️  No bytecode found for ${address} (likely EOA)`);
@@ -45,83 +69,289 @@ export async function scanContracts(contractAddresses) {
       results.addresses.push(address);
       results.verified.push(contractData.verified);
       
-      // Analyze bytecode for function selectors
-      const functionSelectors = extractFunctionSelectors(contractData.bytecode);
-      const decodedFunctions = await decodeFunctionSelectors(functionSelectors);
+      // Disassemble once; all opcode-level checks work from real instructions
+      const instructions = disassembleBytecode(contractData.bytecode);
+      
+      // Code-derived results are cached by code hash; proxy state and roles are always read live
+      const cacheKey = [
+        ANALYSIS_VERSION,
+        contractData.codeHash,
+        contractData.verified ? 'verified' : 'unverified',
+        options.remoteSignatures === false ? 'local' : 'remote'
+      ].join(':');
+      let codeAnalysis = await getCached('analysis', cacheKey);
+      if (codeAnalysis === undefined) {
+        codeAnalysis = await analyzeCode(contractData, instructions, options);
+        
+        // Don't pin selectors that only failed to decode because 4byte was unreachable
+        if (!codeAnalysis.functionDetails.some(func => func.source === 'error')) {
+          await setCached('analysis', cacheKey, codeAnalysis);
+        }
+      }
+      const { dispatcher, functionDetails, sourceFindings } = codeAnalysis;
+      const decodedFunctions = functionDetails.map(formatFunction);
       
       results.functions.push(...decodedFunctions);
       
+      // Work out where a proxy forwards its calls
+      const proxy = await resolveProxy(address, contractData.bytecode, instructions, chain.id);
+      
+      // Privileged roles live in the proxy's storage, not the implementation's
+      const roles = implementationOf ? [] : await inspectRoles(address, proxy, chain.id);
+      
       // Risk analysis
-      const risks = analyzeContractRisks(contractData.bytecode, decodedFunctions);
-      results.risks.push(...risks);
+      const findings = analyzeContractRisks(address, contractData, instructions, functionDetails, proxy);
+      findings.push(...sourceFindings.map(sourceFinding => createSourceFinding(sourceFinding, address)));
+      findings.push(...await plugins.run('analyzeContract', {
+        address,
+        chainId: chain.id,
+        bytecode: contractData.bytecode,
+        codeHash: contractData.codeHash,
+        instructions,
+        abi: contractData.abi || null,
+        sourceCode: contractData.sourceCode || null,
+        functions: functionDetails,
+        proxy,
+        roles
+      }));
+      results.findings.push(...findings);
       
       // Store detailed analysis
       results.analysis.push({
         address,
         verified: contractData.verified,
         sourceCode: contractData.sourceCode || null,
+        sourceFindings,
         functions: decodedFunctions,
-        risks,
+        functionDetails,
+        abi: contractData.abi || null,
+        findings,
         bytecodeLength: contractData.bytecode.length,
-        isProxy: detectProxy(contractData.bytecode)
+        codeHash: contractData.codeHash,
+        dispatcher,
+        opcodes: findOpcodes(instructions, DANGEROUS_OPCODES)
+          .map(ins => ({ opcode: ins.name, pc: ins.pc })),
+        isProxy: proxy !== null,
+        proxy,
+        implementationOf: implementationOf || null,
+        roles
       });
       
+      // The implementation holds the logic that actually runs, so scan it too
+      if (proxy?.implementation && depth < MAX_PROXY_DEPTH) {
+        queue.push({ address: proxy.implementation, depth: depth + 1, implementationOf: address });
+      }
+      
     } catch (error) {
       console.error(`❌ Failed to analyze contract ${address}:`, error);
-      results.risks.push(`Failed to analyze contract ${address}: ${error.message}`);
+      results.findings.push(createFinding(RULES.analysisFailed, {
+        title: `Failed to analyze contract ${address}`,
+        affected: { type: 'contract', value: address },
+        evidence: { error: error.message }
+      }));
+    }
+  }
+  
+  if (results.addresses.length === 0) {
+    results.findings.push(createFinding(RULES.noContracts));
+  }
+  
+  results.proxies = buildProxyChains(results.analysis);
+  assessPrivileges(results);
+  
+  // Trade every token on a fork to catch honeypots and hidden taxes
+  if (options.simulateTokens ?? process.env.SIMULATE_TOKENS !== 'false') {
+    const simulation = await simulateTokens(findTokens(results.analysis), {
+      chainId: chain.id,
+      forkUrl: options.forkUrl
+    });
+    results.tokens = simulation.results;
+    for (const finding of simulation.findings) {
+      results.findings.push(finding);
+      results.analysis.find(entry => entry.address === finding.affected.value)?.findings.push(finding);
     }
   }
   
   console.log(`✅ Contract analysis complete`);
   console.log(`   - Analyzed ${results.addresses.length} contracts`);
   console.log(`   - Found ${results.functions.length} functions`);
-  console.log(`   - Identified ${results.risks.length} potential risks`);
+  console.log(`   - Identified ${results.findings.length} findings`);
   
   return results;
 }
 
 /**
- * Extract function selectors from bytecode
+ * Addresses that expose the ERC-20 interface, counting functions behind a proxy
  */
-function extractFunctionSelectors(bytecode) {
-  const selectors = new Set();
+function findTokens(analysis) {
+  return analysis
+    .filter(entry => !entry.implementationOf)
+    .filter(entry => {
+      const selectors = new Set(
+        analysis
+          .filter(other => other === entry || other.implementationOf === entry.address)
+          .flatMap(other => other.functionDetails.map(func => func.selector))
+      );
+      return ERC20_SELECTORS.every(selector => selectors.has(selector));
+    })
+    .map(entry => entry.address);
+}
+
+/**
+ * Analysis that depends only on the code: dispatcher, function names and source findings
+ */
+async function analyzeCode(contractData, instructions, options) {
+  // Recover public functions from the dispatcher's selector checks
+  const dispatcher = extractDispatcher(instructions);
+  const functionSelectors = dispatcher.functions.map(fn => fn.selector);
   
-  // Look for PUSH4 instructions followed by potential function selectors
-  // This is a simplified approach - real analysis would be more sophisticated
-  const regex = /63([a-fA-F0-9]{8})/g;
-  let match;
+  // A verified ABI is authoritative; 4byte guesses are only a fallback
+  const functionDetails = contractData.abi
+    ? functionsFromAbi(contractData.abi)
+    : await decodeFunctionSelectors(functionSelectors, { remote: options.remoteSignatures });
   
-  while ((match = regex.exec(bytecode)) !== null) {
-    const selector = '0x' + match[1];
-    selectors.add(selector);
-  }
+  // Verified source lets us point at the exact lines behind rug-pull mechanics
+  const sourceFindings = contractData.sourceCode
+    ? detectSourcePatterns(contractData.sourceCode, contractData.contractName)
+    : [];
   
-  return [...selectors];
+  return { dispatcher, functionDetails, sourceFindings };
 }
 
+/**
+ * Rules raised by the bytecode and metadata checks
+ */
+const RULES = {
+  SELFDESTRUCT: {
+    id: 'contract/selfdestruct',
+    title: 'SELFDESTRUCT - Contract can be destroyed',
+    severity: 'high',
+    confidence: 'high',
+    category: 'contract-code',
+    remediation: 'Check who can reach the SELFDESTRUCT; funds and state can disappear with the contract.'
+  },
+  DELEGATECALL: {
+    id: 'contract/delegatecall',
+    title: 'DELEGATECALL - Dangerous proxy pattern detected',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'contract-code',
+    remediation: 'Make sure the delegate target is fixed or controlled by a trusted, time-locked owner.'
+  },
+  CALL: {
+    id: 'contract/external-call',
+    title: 'CALL - External calls detected',
+    severity: 'low',
+    confidence: 'high',
+    category: 'contract-code',
+    remediation: 'External calls are normal; review them for reentrancy and arbitrary call targets.'
+  },
+  CALLCODE: {
+    id: 'contract/callcode',
+    title: 'CALLCODE - Legacy external call pattern',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'contract-code',
+    remediation: 'CALLCODE is deprecated; treat it like DELEGATECALL and check its target.'
+  },
+  upgradeableProxy: {
+    id: 'contract/upgradeable-proxy',
+    title: 'Proxy contract detected - Implementation can be changed',
+    severity: 'high',
+    confidence: 'high',
+    category: 'upgradeability',
+    remediation: 'The logic can be swapped at any time; check that upgrades go through a multisig and timelock.'
+  },
+  minimalProxy: {
+    id: 'contract/minimal-proxy',
+    title: 'Minimal proxy clone - Delegates to a fixed implementation',
+    severity: 'low',
+    confidence: 'high',
+    category: 'upgradeability',
+    remediation: 'Review the implementation contract; the clone itself cannot be upgraded.'
+  },
+  dangerousFunction: {
+    id: 'contract/dangerous-function',
+    title: 'Dangerous function detected',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'access-control',
+    remediation: 'Check who may call this function and what it lets them change.'
+  },
+  largeContract: {
+    id: 'contract/large-bytecode',
+    title: 'Large contract size - High complexity detected',
+    severity: 'low',
+    confidence: 'high',
+    category: 'complexity',
+    remediation: 'Large contracts are harder to audit; look for a published audit.'
+  },
+  unverified: {
+    id: 'contract/unverified',
+    title: 'Contract source is not verified',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'verification',
+    remediation: 'Without verified source the contract cannot be reviewed; avoid approving it.'
+  },
+  noContracts: {
+    id: 'contract/none-found',
+    title: 'No smart contracts detected - may not be a genuine Web3 dApp',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'verification',
+    remediation: 'Find the contracts the dApp really uses before trusting it with funds.'
+  },
+  analysisFailed: {
+    id: 'contract/analysis-failed',
+    title: 'Failed to analyze contract',
+    severity: 'low',
+    confidence: 'low',
+    category: 'availability',
+    remediation: 'Re-run the scan; the contract could not be fetched or analysed.'
+  }
+};
+
+/**
+ * Opcodes worth reporting
+ */
+const DANGEROUS_OPCODES = ['SELFDESTRUCT', 'DELEGATECALL', 'CALL', 'CALLCODE'];
+
+/**
+ * How much to trust a function name, by where it came from
+ */
+const FUNCTION_CONFIDENCE = {
+  abi: 'high',
+  local: 'medium',
+  '4byte': 'low'
+};
+
 /**
  * Analyze contract bytecode for potential security risks
  */
-function analyzeContractRisks(bytecode, functions) {
-  const risks = [];
-  
-  // Check for dangerous opcodes
-  const dangerousOpcodes = {
-    'ff': 'SELFDESTRUCT - Contract can be destroyed',
-    'f4': 'DELEGATECALL - Dangerous proxy pattern detected',
-    'f1': 'CALL - External calls detected',
-    'f2': 'CALLCODE - Legacy external call pattern'
-  };
+function analyzeContractRisks(address, contractData, instructions, functionDetails, proxy) {
+  const findings = [];
+  const affected = { type: 'contract', value: address };
   
-  for (const [opcode, description] of Object.entries(dangerousOpcodes)) {
-    if (bytecode.toLowerCase().includes(opcode)) {
-      risks.push(description);
+  if (!contractData.verified) {
+    findings.push(createFinding(RULES.unverified, { affected }));
+  }
+  
+  // Check for dangerous opcodes actually executed as instructions
+  for (const opcode of DANGEROUS_OPCODES) {
+    const occurrences = findOpcodes(instructions, [opcode]);
+    if (occurrences.length > 0) {
+      findings.push(createFinding(RULES[opcode], {
+        title: `${RULES[opcode].title} (${describePcs(occurrences)})`,
+        affected,
+        evidence: { opcode, pcs: occurrences.map(ins => formatPc(ins.pc)) }
+      }));
     }
   }
   
   // Check for proxy patterns
-  if (detectProxy(bytecode)) {
-    risks.push('Proxy contract detected - Implementation can be changed');
+  if (proxy) {
+    findings.push(describeProxy(proxy, affected));
   }
   
   // Check for potentially dangerous functions
@@ -133,34 +363,120 @@ function analyzeContractRisks(bytecode, functions) {
     'changeImplementation'
   ];
   
-  for (const func of functions) {
-    const funcName = func.toLowerCase();
+  for (const func of functionDetails) {
+    const funcName = (func.signature || '').toLowerCase();
     for (const dangerous of dangerousFunctions) {
       if (funcName.includes(dangerous.toLowerCase())) {
-        risks.push(`Dangerous function detected: ${func}`);
+        findings.push(createFinding(RULES.dangerousFunction, {
+          title: `Dangerous function detected: ${formatFunction(func)}`,
+          confidence: FUNCTION_CONFIDENCE[func.source] || 'low',
+          affected,
+          evidence: { selector: func.selector, signature: func.signature, source: func.source }
+        }));
       }
     }
   }
   
   // Check bytecode size (potential for complexity/gas issues)
+  const bytecode = contractData.bytecode;
   if (bytecode.length > 50000) { // ~25KB
-    risks.push('Large contract size - High complexity detected');
+    findings.push(createFinding(RULES.largeContract, {
+      affected,
+      evidence: { bytes: (bytecode.length - 2) / 2 }
+    }));
   }
   
-  return risks;
+  return findings;
 }
 
 /**
- * Detect if contract is a proxy
+ * List the program counters of matched instructions, capped for readability
  */
-function detectProxy(bytecode) {
-  // Look for common proxy patterns
-  const proxyPatterns = [
-    '6010600a', // Common proxy initialization pattern
-    'f4', // DELEGATECALL opcode
-    '60008060208180', // Common proxy deployment pattern
-  ];
+function describePcs(occurrences) {
+  const shown = occurrences.slice(0, 5).map(ins => formatPc(ins.pc)).join(', ');
+  const more = occurrences.length > 5 ? ` +${occurrences.length - 5} more` : '';
+  return `PC ${shown}${more}`;
+}
+
+/**
+ * Describe a resolved proxy as a finding
+ */
+function describeProxy(proxy, affected) {
+  const target = proxy.implementation || 'an unresolved implementation';
+  const evidence = {
+    standard: proxy.standard,
+    implementation: proxy.implementation,
+    admin: proxy.admin,
+    beacon: proxy.beacon
+  };
   
-  const lowerBytecode = bytecode.toLowerCase();
-  return proxyPatterns.some(pattern => lowerBytecode.includes(pattern));
-}
\ No newline at end of file
+  if (proxy.upgradeable === false) {
+    return createFinding(RULES.minimalProxy, {
+      title: `Minimal proxy clone (${proxy.standard}) - Delegates to fixed implementation ${target}`,
+      affected,
+      evidence
+    });
+  }
+  
+  const controller = proxy.beacon
+    ? `beacon ${proxy.beacon}`
+    : proxy.admin ? `admin ${proxy.admin}` : 'the implementation upgrade function';
+  return createFinding(RULES.upgradeableProxy, {
+    title: `Proxy contract detected (${proxy.standard}) - Implementation ${target} can be changed by ${controller}`,
+    affected,
+    evidence
+  });
+}
+
+/**
+ * Link proxies to the implementations they resolved to
+ */
+function buildProxyChains(analysis) {
+  const byAddress = new Map(analysis.map(entry => [entry.address.toLowerCase(), entry]));
+  
+  return analysis
+    .filter(entry => entry.proxy && !entry.implementationOf)
+    .map(entry => {
+      const chain = [entry.address];
+      const visited = new Set([entry.address.toLowerCase()]);
+      let current = entry;
+      
+      // An implementation slot can point back into the chain, or at the proxy itself
+      while (current?.proxy?.implementation) {
+        const next = current.proxy.implementation.toLowerCase();
+        chain.push(current.proxy.implementation);
+        if (visited.has(next)) break;
+        visited.add(next);
+        current = byAddress.get(next);
+      }
+      
+      return {
+        proxy: entry.address,
+        standard: entry.proxy.standard,
+        implementation: entry.proxy.implementation,
+        admin: entry.proxy.admin,
+        beacon: entry.proxy.beacon,
+        chain
+      };
+    });
+}
+
+/**
+ * Report what each privileged role holder can do, using the functions of the
+ * whole proxy chain since a proxy's owner controls its implementation's logic
+ */
+function assessPrivileges(results) {
+  const byAddress = new Map(results.analysis.map(entry => [entry.address.toLowerCase(), entry]));
+  const chains = new Map(results.proxies.map(proxy => [proxy.proxy, proxy.chain]));
+  
+  for (const entry of results.analysis) {
+    if (entry.roles.length === 0) continue;
+    
+    const chain = chains.get(entry.address) || [entry.address];
+    const functions = chain.flatMap(address => byAddress.get(address.toLowerCase())?.functions || []);
+    const findings = detectPrivilegeRisks(entry.address, entry.roles, functions);
+    
+    entry.findings.push(...findings);
+    results.findings.push(...findings);
+  }
+}
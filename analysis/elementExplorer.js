@@ -0,0 +1,360 @@
+import { createFinding } from '../utils/findings.js';
+import { normalizeRoute } from '../utils/routes.js';
+import { PROMPT_METHODS } from './mockWallet.js';
+
+/**
+ * Clicks through a loaded route using live element handles, in every frame and open shadow
+ * root. Elements that usually start a wallet flow are clicked first, connect-wallet modals are
+ * completed by picking the mock wallet, and each element remembers the clicks that revealed it
+ * so multi-step flows (connect → sign-in → claim) are reported as one path.
+ */
+const RULES = {
+  transaction: {
+    id: 'frontend/wallet-transaction',
+    title: 'Button sends a wallet transaction',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'wallet-interaction',
+    remediation: 'Check the transaction target, value and calldata before approving it in your wallet.'
+  },
+  signature: {
+    id: 'frontend/signature-request',
+    title: 'Button requests a wallet signature',
+    severity: 'medium',
+    confidence: 'low',
+    category: 'wallet-interaction',
+    remediation: 'Read what you are signing; off-chain signatures can authorise token transfers.'
+  },
+  walletRequest: {
+    id: 'frontend/wallet-request',
+    title: 'Button makes a wallet request',
+    severity: 'low',
+    confidence: 'high',
+    category: 'wallet-interaction',
+    remediation: 'Connecting a wallet exposes your address; only connect to sites you trust.'
+  },
+  redirect: {
+    id: 'frontend/redirect',
+    title: 'Button navigates away from the dApp',
+    severity: 'low',
+    confidence: 'high',
+    category: 'navigation',
+    remediation: 'Check that the destination is the official site before entering anything.'
+  }
+};
+
+// Clicks made on each route, including the steps of connect flows
+const MAX_CLICKS_PER_ROUTE = 20;
+
+// Time for the page to react to a click
+const CLICK_SETTLE_MS = 1000;
+
+// Longer labels are paragraphs that happen to be clickable, not controls
+const MAX_LABEL_LENGTH = 100;
+
+const CLICKABLE_SELECTOR = 'button, [role="button"], [role="menuitem"], [role="tab"], a[href], input[type="submit"], input[type="button"], [onclick]';
+
+// Labels that usually start or continue a wallet flow are clicked first...
+const WALLET_FLOW_LABEL = /connect|wallet|sign|log ?in|claim|airdrop|reward|mint|approve|verify|swap|buy|stake|bridge|deposit|withdraw|continue|confirm/i;
+
+// ...and ones that close or leave the current step last
+const DISMISS_LABEL = /^(close|cancel|back|dismiss|not now|×|✕|x)$/i;
+
+// Wallet pickers of the common connect libraries, matched on the element or a shadow host
+const CONNECT_MODALS = [
+  { name: 'Web3Modal', selector: 'w3m-modal, wcm-modal, appkit-modal' },
+  { name: 'RainbowKit', selector: '[data-rk]' },
+  { name: 'ConnectKit', selector: '#__CONNECTKIT__' }
+];
+
+/**
+ * Explore the route the page is showing. context: { origin, state, enqueue, walletRequests,
+ * walletName, evidence }; state.element and state.clickPath are set while each click is in
+ * progress so wallet requests can be attributed, and other routes the clicks lead to are
+ * enqueued. evidence (from createEvidenceRecorder) captures the page before and after each click.
+ * Returns { buttons, findings }.
+ */
+export async function exploreRoute(page, route, { origin, state, enqueue, walletRequests, walletName, evidence }) {
+  const buttons = [];
+  const findings = [];
+  const revealedBy = new Map();
+  const clicked = new Set();
+  const walletOption = new RegExp(`${escapeRegExp(walletName)}|injected|browser wallet|installed`, 'i');
+  let lastClick = null;
+
+  while (buttons.length < MAX_CLICKS_PER_ROUTE) {
+    const candidates = await discoverElements(page);
+
+    // Elements that were not there before the last click were revealed by it
+    const revealed = candidates.filter(candidate => !revealedBy.has(candidate.key));
+    revealed.forEach(candidate => revealedBy.set(candidate.key, lastClick ? lastClick.clickPath : []));
+    if (lastClick && revealed.length > 0 && lastClick.button.action === 'UI interaction (modal/state change)') {
+      const modal = revealed.find(candidate => candidate.modal)?.modal;
+      lastClick.button.action = !modal
+        ? `Revealed ${revealed.length} new element(s)`
+        : modal === 'dialog' ? 'Opened a dialog' : `Opened ${modal} wallet picker`;
+    }
+
+    const clickable = [];
+    for (const candidate of candidates) {
+      candidate.path = revealedBy.get(candidate.key);
+
+      // Links to other routes are crawled as routes rather than clicked here
+      if (candidate.href && candidate.inMainFrame) {
+        const target = normalizeRoute(candidate.href, origin);
+        if (target && target !== route.url) {
+          enqueue(target, 'link');
+          continue;
+        }
+        // Off-site links only matter when they claim to be about the wallet
+        if (!target && !/connect|wallet/i.test(`${candidate.href} ${candidate.label}`)) continue;
+      }
+
+      if (clicked.has(candidate.key) || !candidate.label || candidate.label.length >= MAX_LABEL_LENGTH) continue;
+      clickable.push(candidate);
+    }
+
+    const next = pickNext(clickable, walletOption);
+    await Promise.all(candidates.filter(candidate => candidate !== next).map(candidate => candidate.handle.dispose().catch(() => {})));
+    if (!next) break;
+
+    clicked.add(next.key);
+    const { button, stranded } = await clickElement(page, next, route, { origin, state, enqueue, walletRequests, findings, evidence });
+    buttons.push(button);
+    if (stranded) break;
+    lastClick = button.action === 'UI interaction (modal/state change)' || button.action.startsWith('Wallet request')
+      ? { button, clickPath: button.clickPath }
+      : null;
+  }
+
+  state.element = null;
+  state.clickPath = null;
+  console.log(`🖱️  Clicked ${buttons.length} interactive element(s) on ${route.url}`);
+  return { buttons, findings };
+}
+
+/**
+ * Click one element and record what it did. Returns { button, stranded }, where stranded means
+ * the click left the route and the page could not be taken back to it
+ */
+async function clickElement(page, candidate, route, { origin, state, enqueue, walletRequests, findings, evidence }) {
+  const clickPath = [...candidate.path, candidate.label];
+  const context = { route: route.url, element: `${candidate.tag} "${candidate.label}"`, clickPath };
+  const button = {
+    text: candidate.label,
+    element: candidate.tag,
+    selector: candidate.selector,
+    frame: candidate.inMainFrame ? null : candidate.frameUrl,
+    route: route.url,
+    clickPath,
+    action: 'unknown',
+    risk: 'unknown',
+    evidence: { before: null, after: null }
+  };
+  const affected = { type: 'element', value: context.element };
+
+  // What the user saw before and after clicking, as proof of what the element did
+  button.evidence.before = await evidence.capture('before-click', context);
+
+  const requestsBefore = walletRequests.length;
+  state.element = affected.value;
+  state.clickPath = clickPath;
+
+  try {
+    try {
+      await candidate.handle.click();
+    } catch (error) {
+      // Covered or zero-size elements still take a synthetic click
+      await candidate.handle.evaluate(element => element.click());
+    }
+    await page.waitForTimeout(CLICK_SETTLE_MS);
+  } catch (error) {
+    console.log(`⚠️  Could not test button: ${candidate.label}`);
+    button.action = 'Could not test';
+    return { button, stranded: false };
+  } finally {
+    await candidate.handle.dispose().catch(() => {});
+  }
+
+  button.evidence.after = await evidence.capture('after-click', context);
+  const evidenceDetails = {
+    selector: candidate.selector,
+    frame: button.frame,
+    clickPath,
+    artifacts: [button.evidence.before, button.evidence.after].filter(Boolean)
+  };
+
+  // Only requests a real wallet would show the user count; dApps poll reads constantly
+  const requests = walletRequests.slice(requestsBefore).filter(request => PROMPT_METHODS.includes(request.method));
+  if (requests.length > 0) {
+    const request = requests.find(r => r.method === 'eth_sendTransaction')
+      || requests.find(r => r.method.includes('sign'))
+      || requests[0];
+    button.action = `Wallet request: ${[...new Set(requests.map(r => r.method))].join(', ')}`;
+    button.risk = request.method === 'eth_sendTransaction' ? 'danger' : 'warning';
+
+    const rule = request.method === 'eth_sendTransaction'
+      ? RULES.transaction
+      : request.method.includes('sign') ? RULES.signature : RULES.walletRequest;
+    findings.push(createFinding(rule, {
+      affected,
+      evidence: { ...evidenceDetails, method: request.method, params: request.params },
+      route: route.url
+    }));
+    return { button, stranded: false };
+  }
+
+  const currentUrl = page.url();
+  const target = normalizeRoute(currentUrl, origin);
+  if (target === route.url) {
+    button.action = 'UI interaction (modal/state change)';
+    button.risk = 'safe';
+    return { button, stranded: false };
+  }
+
+  if (target) {
+    // Another route of the dApp: crawl it rather than treat it as a redirect
+    const { pathname, hash } = new URL(currentUrl);
+    button.action = `Route change: ${pathname}${hash}`;
+    button.risk = 'safe';
+    enqueue(target, 'click');
+  } else {
+    button.action = 'Navigation/redirect';
+    button.risk = 'warning';
+    findings.push(createFinding(RULES.redirect, {
+      affected,
+      evidence: { ...evidenceDetails, from: route.url, to: currentUrl },
+      route: route.url
+    }));
+  }
+
+  // Navigate back
+  try {
+    await page.goto(route.url, { waitUntil: 'networkidle0' });
+  } catch (error) {
+    console.log(`⚠️  Could not return to ${route.url}: ${error.message}`);
+    return { button, stranded: true };
+  }
+  return { button, stranded: false };
+}
+
+/**
+ * The next element to click: the mock wallet's entry in an open wallet picker, then elements
+ * that look like part of a wallet flow, then everything else, with dismiss buttons last
+ */
+function pickNext(candidates, walletOption) {
+  const rank = candidate => {
+    if (candidate.modal && walletOption.test(candidate.label)) return 0;
+    if (DISMISS_LABEL.test(candidate.label)) return 3;
+    if (WALLET_FLOW_LABEL.test(candidate.label)) return 1;
+    return 2;
+  };
+
+  return candidates.reduce((best, candidate) => (!best || rank(candidate) < rank(best) ? candidate : best), null);
+}
+
+/**
+ * Visible clickable elements in every frame, with a handle and a description of each
+ */
+async function discoverElements(page) {
+  const candidates = [];
+
+  for (const frame of page.frames()) {
+    if (frame.isDetached()) continue;
+    const inMainFrame = frame === page.mainFrame();
+
+    try {
+      const list = await frame.evaluateHandle(collectElements, CLICKABLE_SELECTOR);
+      const descriptions = await frame.evaluate(describeElements, list, CONNECT_MODALS);
+      const handles = await list.getProperties();
+      await list.dispose();
+
+      descriptions.forEach((description, index) => {
+        const handle = handles.get(String(index));
+        if (!handle) return;
+        candidates.push({
+          ...description,
+          handle,
+          inMainFrame,
+          frameUrl: frame.url(),
+          key: `${inMainFrame ? '' : frame.url()}|${description.selector}|${description.label}`
+        });
+      });
+    } catch (error) {
+      // Frames can navigate or detach while they are being read
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Runs inside the frame: visible, enabled elements matching selector, including open shadow roots
+ */
+function collectElements(selector) {
+  const elements = [];
+  const visit = (root) => {
+    root.querySelectorAll(selector).forEach(element => elements.push(element));
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) visit(element.shadowRoot);
+    });
+  };
+  visit(document);
+
+  return elements.filter(element => {
+    const style = getComputedStyle(element);
+    return element.getClientRects().length > 0 &&
+      !element.disabled &&
+      style.visibility !== 'hidden' &&
+      style.pointerEvents !== 'none';
+  });
+}
+
+/**
+ * Runs inside the frame: label, a selector usable with page.$ (shadow boundaries as ">>>")
+ * and the wallet picker each element belongs to, if any
+ */
+function describeElements(elements, modals) {
+  const cssPath = (element) => {
+    const segments = [];
+    let node = element;
+    while (node) {
+      if (node.id) {
+        segments.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let index = 1;
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.tagName === node.tagName) index++;
+      }
+      segments.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${index})`);
+      node = node.parentElement;
+    }
+    return segments.join(' > ');
+  };
+
+  return elements.map(element => {
+    // The element and the shadow hosts it lives in, outermost first
+    const chain = [element];
+    for (let root = element.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+      chain.unshift(root.host);
+    }
+
+    const known = modals.find(modal => chain.some(node => node.closest(modal.selector)));
+    const dialog = chain.some(node => node.closest('[role="dialog"], [aria-modal="true"]'));
+
+    return {
+      tag: element.tagName.toLowerCase(),
+      label: (element.innerText || element.getAttribute('aria-label') || element.value || element.title || '')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      selector: chain.map(cssPath).join(' >>> '),
+      href: element.tagName === 'A' ? element.href : null,
+      modal: known ? known.name : dialog ? 'dialog' : null
+    };
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,102 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Screenshots and DOM snapshots of what the user would have seen: before and after every
+ * tested click and at the moment each wallet prompt fires. They are kept in memory during
+ * the scan and written next to the report with saveEvidence(), as proof for takedown requests.
+ */
+
+// Captures per scan (EVIDENCE_MAX_CAPTURES); later ones are skipped
+const DEFAULT_MAX_CAPTURES = 150;
+
+// Viewport screenshots as JPEG keep a full scan's evidence to a few megabytes
+const SCREENSHOT_OPTIONS = { type: 'jpeg', quality: 70 };
+
+/**
+ * Create a recorder for a page. options: { enabled, maxCaptures }, defaulting to
+ * CAPTURE_EVIDENCE (anything but "false") and EVIDENCE_MAX_CAPTURES.
+ */
+export function createEvidenceRecorder(page, options = {}) {
+  const enabled = options.enabled ?? process.env.CAPTURE_EVIDENCE !== 'false';
+  const maxCaptures = options.maxCaptures ?? readMaxCaptures();
+  const artifacts = [];
+  const pending = [];
+  let skipped = 0;
+
+  return {
+    /**
+     * Capture the page now. kind is 'before-click', 'after-click', 'wallet-request',
+     * 'clipboard-write' or 'address-swap'; context is { route, element, clickPath, method }.
+     * Resolves to the artifact ID, or null when evidence is off, the limit is reached or the
+     * page could not be captured.
+     */
+    capture(kind, context = {}) {
+      if (!enabled) return Promise.resolve(null);
+      if (artifacts.length >= maxCaptures) {
+        skipped++;
+        return Promise.resolve(null);
+      }
+
+      const id = `e${String(artifacts.length + 1).padStart(4, '0')}`;
+      const artifact = {
+        id,
+        kind,
+        route: context.route ?? null,
+        element: context.element ?? null,
+        clickPath: context.clickPath ?? null,
+        method: context.method ?? null,
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        screenshot: null,
+        dom: null,
+        data: {}
+      };
+      artifacts.push(artifact);
+
+      const task = Promise.all([
+        page.screenshot(SCREENSHOT_OPTIONS).then(image => {
+          artifact.screenshot = `${id}.jpg`;
+          artifact.data.screenshot = image;
+        }),
+        page.content().then(html => {
+          artifact.dom = `${id}.html`;
+          artifact.data.dom = html;
+        })
+      ])
+        // The page can navigate or close mid-capture; keep whatever was taken
+        .catch(error => { artifact.error = error.message; })
+        .then(() => id);
+      pending.push(task);
+      return task;
+    },
+
+    /**
+     * Wait for captures still in progress; call before the browser closes
+     */
+    async finish() {
+      await Promise.all(pending);
+      if (skipped > 0) {
+        console.log(`⚠️  Evidence limit of ${maxCaptures} reached; ${skipped} capture(s) were skipped`);
+      }
+      return artifacts;
+    }
+  };
+}
+
+/**
+ * Write the screenshots and DOM snapshots of a scan to dir (reports/<scanId>/)
+ */
+export async function saveEvidence(artifacts, dir) {
+  if (!artifacts || artifacts.length === 0) return;
+  await mkdir(dir, { recursive: true });
+  for (const artifact of artifacts) {
+    if (artifact.data?.screenshot) await writeFile(join(dir, artifact.screenshot), artifact.data.screenshot);
+    if (artifact.data?.dom) await writeFile(join(dir, artifact.dom), artifact.data.dom);
+  }
+}
+
+function readMaxCaptures() {
+  const value = parseInt(process.env.EVIDENCE_MAX_CAPTURES, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_MAX_CAPTURES : value;
+}
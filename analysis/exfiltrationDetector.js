@@ -0,0 +1,267 @@
+import { ethers } from 'ethers';
+import { createFinding } from '../utils/findings.js';
+import { CHAINS, getChain } from '../utils/chains.js';
+import { siteOf } from './networkCapture.js';
+
+/**
+ * Looks through everything a scanned page sent, over HTTP or WebSockets, for data a drainer
+ * would exfiltrate: the connected wallet address, wallet signatures and seed phrases, and
+ * for the Telegram bots and Discord webhooks drainer kits report their victims to.
+ */
+const RULES = {
+  telegramBot: {
+    id: 'network/telegram-bot',
+    title: 'Page sends data to a Telegram bot',
+    severity: 'high',
+    confidence: 'high',
+    category: 'exfiltration',
+    remediation: 'dApps have no reason to call the Telegram Bot API from the browser; drainer kits use it to report victims. Do not connect a wallet.'
+  },
+  discordWebhook: {
+    id: 'network/discord-webhook',
+    title: 'Page sends data to a Discord webhook',
+    severity: 'high',
+    confidence: 'high',
+    category: 'exfiltration',
+    remediation: 'Posting to a Discord webhook from the browser is a common drainer reporting channel. Do not connect a wallet.'
+  },
+  seedPhrase: {
+    id: 'network/seed-phrase',
+    title: 'Page sends a seed phrase',
+    severity: 'critical',
+    confidence: 'medium',
+    category: 'exfiltration',
+    remediation: 'No legitimate site ever needs your recovery phrase. Never enter it anywhere but your wallet.'
+  },
+  signature: {
+    id: 'network/signature-exfiltration',
+    title: 'Wallet signature sent to a third-party host',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'exfiltration',
+    remediation: 'A signature sent to someone other than the dApp can be submitted on-chain by them; check who receives it before signing.'
+  },
+  walletAddress: {
+    id: 'network/wallet-address-leak',
+    title: 'Connected wallet address sent to a third-party host',
+    severity: 'medium',
+    confidence: 'low',
+    category: 'privacy',
+    remediation: 'Third parties that learn your address can track your holdings; make sure you trust the services this site shares it with.'
+  }
+};
+
+const TELEGRAM_BOT_URL = /^https?:\/\/api\.telegram\.org\/bot(\d+):[\w-]+\/(\w+)/i;
+const DISCORD_WEBHOOK_URL = /^https?:\/\/(?:\w+\.)?discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/(\d+)\/[\w-]+/i;
+
+// 65-byte r, s, v signatures, not part of longer calldata
+const SIGNATURE_PATTERN = /(?<![0-9a-fA-F])0x[0-9a-fA-F]{130}(?![0-9a-fA-F])/;
+
+// Runs of short words that may be a mnemonic; each word is then checked against BIP-39
+const WORD_RUN_PATTERN = /\b(?:[a-z]{3,8}[\s,+]+){11,}[a-z]{3,8}\b/gi;
+
+// Shortest BIP-39 mnemonic
+const MIN_MNEMONIC_WORDS = 12;
+
+// RPC providers dApps commonly read the chain and relay transactions through, by site
+const KNOWN_RPC_SITES = [
+  'infura.io', 'alchemy.com', 'alchemyapi.io', 'ankr.com', 'quiknode.pro', 'llamarpc.com',
+  'publicnode.com', 'cloudflare-eth.com', 'blastapi.io', 'drpc.org', 'walletconnect.com',
+  'walletconnect.org', '1rpc.io', 'chainstack.com', 'nodereal.io', 'blockpi.network',
+  'optimism.io', 'arbitrum.io', 'base.org', 'polygon-rpc.com', 'binance.org'
+];
+
+let bip39Words = null;
+
+/**
+ * Findings for a capture from startNetworkCapture. options: { pageUrl, walletAddress }.
+ * Findings carry the route the data was sent from.
+ */
+export function detectExfiltration(capture, { pageUrl, walletAddress }) {
+  const pageSite = siteOf(new URL(pageUrl).hostname);
+  const address = walletAddress.toLowerCase().slice(2);
+  const rpcHosts = configuredRpcHosts();
+  const findings = [];
+  const reported = new Set();
+  const once = (key, build) => {
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push(build());
+  };
+
+  for (const message of outgoingMessages(capture)) {
+    const thirdParty = siteOf(message.host) !== pageSite;
+    const evidence = { url: redactToken(message.url), method: message.method, channel: message.channel, element: message.element };
+
+    const telegram = message.url.match(TELEGRAM_BOT_URL);
+    if (telegram) {
+      once(`telegram:${telegram[1]}`, () => createFinding(RULES.telegramBot, {
+        affected: { type: 'url', value: `https://api.telegram.org/bot${telegram[1]}:…` },
+        evidence: { ...evidence, botId: telegram[1], apiMethod: telegram[2], chatId: readField(message, 'chat_id') },
+        route: message.route
+      }));
+    }
+
+    const discord = message.url.match(DISCORD_WEBHOOK_URL);
+    if (discord) {
+      once(`discord:${discord[1]}`, () => createFinding(RULES.discordWebhook, {
+        affected: { type: 'url', value: `discord webhook ${discord[1]}` },
+        evidence: { ...evidence, webhookId: discord[1] },
+        route: message.route
+      }));
+    }
+
+    const mnemonic = findMnemonic(message.payload);
+    if (mnemonic) {
+      once(`seed:${message.host}`, () => createFinding(RULES.seedPhrase, {
+        affected: { type: 'url', value: message.host },
+        evidence: { ...evidence, words: mnemonic.length },
+        route: message.route
+      }));
+    }
+
+    // Chain reads and relayed transactions legitimately carry signatures and addresses, but only
+    // to RPC endpoints; a JSON-RPC body sent anywhere else is checked like any other
+    const rpcEndpoint = message.jsonRpc && (rpcHosts.has(message.host) || KNOWN_RPC_SITES.includes(siteOf(message.host)));
+    if (!thirdParty || rpcEndpoint) continue;
+
+    const signature = message.payload.match(SIGNATURE_PATTERN);
+    if (signature) {
+      once(`signature:${message.host}`, () => createFinding(RULES.signature, {
+        affected: { type: 'url', value: message.host },
+        evidence: { ...evidence, signature: `${signature[0].slice(0, 18)}…` },
+        route: message.route
+      }));
+    }
+
+    if (message.payload.toLowerCase().includes(address)) {
+      once(`address:${message.host}`, () => createFinding(RULES.walletAddress, {
+        affected: { type: 'url', value: message.host },
+        evidence: { ...evidence, address: walletAddress },
+        route: message.route
+      }));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Everything the page sent: request URLs and bodies, and WebSocket frames it wrote
+ */
+function* outgoingMessages(capture) {
+  for (const entry of capture.entries) {
+    const host = hostOf(entry.url);
+    if (!host) continue;
+    const body = entry.request.body?.text || '';
+    yield {
+      channel: 'http',
+      url: entry.url,
+      method: entry.method,
+      host,
+      route: entry.route,
+      element: entry.element,
+      body,
+      payload: `${safeDecode(entry.url)}\n${safeDecode(body)}`,
+      jsonRpc: isJsonRpc(body)
+    };
+  }
+
+  for (const socket of capture.webSockets()) {
+    const host = hostOf(socket.url);
+    if (!host) continue;
+    for (const frame of socket.frames.filter(frame => frame.type === 'send')) {
+      yield {
+        channel: 'websocket',
+        url: socket.url,
+        method: null,
+        host,
+        route: frame.route,
+        element: frame.element,
+        body: frame.data,
+        payload: frame.data,
+        jsonRpc: isJsonRpc(frame.data)
+      };
+    }
+  }
+}
+
+/**
+ * Hosts of the RPC endpoints the scanner itself is configured with (chain defaults,
+ * *_RPC_URL and CUSTOM_RPC_URL)
+ */
+function configuredRpcHosts() {
+  const urls = Object.keys(CHAINS).flatMap(chainId => getChain(chainId).rpcUrls);
+  if (process.env.CUSTOM_RPC_URL) urls.push(process.env.CUSTOM_RPC_URL);
+  return new Set(urls.map(hostOf).filter(Boolean));
+}
+
+/**
+ * Words of the longest run of BIP-39 words, if it is long enough to be a mnemonic
+ */
+function findMnemonic(payload) {
+  const words = bip39Words || (bip39Words = loadBip39Words());
+  for (const run of payload.match(WORD_RUN_PATTERN) || []) {
+    let current = [];
+    let longest = [];
+    for (const word of run.toLowerCase().split(/[\s,+]+/)) {
+      current = words.has(word) ? [...current, word] : [];
+      if (current.length > longest.length) longest = current;
+    }
+    if (longest.length >= MIN_MNEMONIC_WORDS) return longest;
+  }
+  return null;
+}
+
+function loadBip39Words() {
+  const list = ethers.wordlists.en;
+  return new Set(Array.from({ length: 2048 }, (_, index) => list.getWord(index)));
+}
+
+/**
+ * A field sent in the query string or a JSON / form body, e.g. Telegram's chat_id
+ */
+function readField(message, name) {
+  try {
+    const fromQuery = new URL(message.url).searchParams.get(name);
+    if (fromQuery) return fromQuery;
+  } catch (error) {
+    // Not a URL with a query string
+  }
+  try {
+    const value = JSON.parse(message.body)?.[name];
+    if (value !== undefined) return String(value);
+  } catch (error) {
+    // Not JSON
+  }
+  return new URLSearchParams(message.body).get(name);
+}
+
+/**
+ * Bot tokens and webhook secrets are credentials; keep only their public ID in the report
+ */
+function redactToken(url) {
+  return url
+    .replace(/(\/bot\d+):[\w-]+/i, '$1:…')
+    .replace(/(\/webhooks\/\d+)\/[\w-]+/i, '$1/…');
+}
+
+function isJsonRpc(body) {
+  return /"jsonrpc"\s*:/.test(body) && /"method"\s*:\s*"(?:eth|net|web3)_/.test(body);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (error) {
+    return text;
+  }
+}
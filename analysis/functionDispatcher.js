@@ -0,0 +1,87 @@
+/**
+ * Recovers the public function table from a contract's dispatcher.
+ *
+ * Solidity and Vyper compare the calldata selector against each PUSH4 constant and
+ * jump to the function body on a match. Newer solc versions split large tables with
+ * a binary search (PUSH4 pivot GT/LT JUMPI) before the equality checks; those pivots
+ * are not selectors and are reported separately.
+ */
+export function extractDispatcher(instructions) {
+  const code = instructions.filter(ins => ins.reachable);
+  const jumpDests = new Set(code.filter(ins => ins.name === 'JUMPDEST').map(ins => ins.pc));
+  const functions = new Map();
+  const splits = [];
+
+  for (let i = 0; i < code.length; i++) {
+    // solc drops leading zero bytes, so 0x00fdd58e is pushed as PUSH3
+    if (code[i].name !== 'PUSH4' && code[i].name !== 'PUSH3') continue;
+
+    const value = normalizeSelector(code[i].push);
+    let j = i + 1;
+
+    // Operand order varies: `DUP1 PUSH4 x EQ`, `PUSH4 x DUP2 EQ`, Vyper's `PUSH4 x PUSH1 0 MLOAD EQ`
+    if (code[j]?.name.startsWith('DUP')) {
+      j += 1;
+    } else if (code[j]?.name === 'PUSH1' && code[j + 1]?.name === 'MLOAD') {
+      j += 2;
+    }
+
+    const comparison = code[j]?.name;
+    let negated = false;
+
+    if (comparison === 'GT' || comparison === 'LT') {
+      const target = readJump(code, j + 1);
+      if (target && jumpDests.has(target.destination)) {
+        splits.push({ pivot: value, comparison, pc: code[i].pc });
+      }
+      continue;
+    }
+
+    if (comparison === 'XOR') {
+      negated = true;
+    } else if (comparison === 'EQ' && code[j + 1]?.name === 'ISZERO') {
+      negated = true;
+      j += 1;
+    } else if (comparison !== 'EQ') {
+      continue;
+    }
+
+    const target = readJump(code, j + 1);
+    if (!target) continue;
+
+    // On a negated check the body follows the JUMPI; otherwise it is the jump target
+    const entryPc = negated ? code[target.index + 1]?.pc : target.destination;
+    if (entryPc === undefined || (!negated && !jumpDests.has(entryPc))) continue;
+
+    if (!functions.has(value)) {
+      functions.set(value, { selector: value, entryPc, checkPc: code[i].pc });
+    }
+  }
+
+  return {
+    layout: splits.length > 0 ? 'binary-search' : 'linear',
+    functions: [...functions.values()],
+    splits
+  };
+}
+
+/**
+ * Read a `PUSHn destination JUMPI` sequence starting at the given index
+ */
+function readJump(code, index) {
+  const push = code[index];
+  const jump = code[index + 1];
+
+  if (!push?.name.startsWith('PUSH') || !push.push || jump?.name !== 'JUMPI') {
+    return null;
+  }
+
+  return { destination: parseInt(push.push, 16), index: index + 1 };
+}
+
+/**
+ * Left-pad a PUSH4 immediate to a full 4-byte selector
+ */
+function normalizeSelector(hex) {
+  return '0x' + hex.replace(/^0x/, '').padStart(8, '0');
+}
@@ -0,0 +1,351 @@
+import { ethers } from 'ethers';
+import { CHAINS, resolveChainId, toHexChainId } from '../utils/chains.js';
+import { getProvider, createRpcProvider } from '../utils/rpcProvider.js';
+
+/**
+ * EIP-1193 mock wallet injected into scanned pages. It behaves like a browser extension
+ * wallet that approves everything: it announces itself through EIP-6963, emits the standard
+ * events, switches chains and answers signing requests with well-formed but random values,
+ * while read calls go to a real RPC so the dApp sees live chain state.
+ */
+export const WALLET_BRANDS = {
+  metamask: {
+    name: 'MetaMask',
+    rdns: 'io.metamask',
+    flags: { isMetaMask: true },
+    color: '#f6851b'
+  },
+  coinbase: {
+    name: 'Coinbase Wallet',
+    rdns: 'com.coinbase.wallet',
+    flags: { isCoinbaseWallet: true },
+    color: '#0052ff'
+  },
+  rabby: {
+    name: 'Rabby Wallet',
+    rdns: 'io.rabby',
+    // Rabby also claims to be MetaMask so dApps that only check isMetaMask still work
+    flags: { isRabby: true, isMetaMask: true },
+    color: '#7084ff'
+  }
+};
+
+export const DEFAULT_WALLET_ADDRESS = '0x742D35Cc6634c0532925a3b8d3Ac92CFF2E5f262';
+
+// Methods answered from the RPC rather than by the wallet itself
+const READ_METHODS = [
+  'eth_blockNumber',
+  'eth_call',
+  'eth_estimateGas',
+  'eth_feeHistory',
+  'eth_gasPrice',
+  'eth_getBalance',
+  'eth_getBlockByHash',
+  'eth_getBlockByNumber',
+  'eth_getCode',
+  'eth_getLogs',
+  'eth_getStorageAt',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getTransactionReceipt',
+  'eth_maxPriorityFeePerGas'
+];
+
+// Methods a real wallet would ask the user to approve; everything else happens silently
+export const PROMPT_METHODS = [
+  'eth_requestAccounts',
+  'wallet_requestPermissions',
+  'wallet_switchEthereumChain',
+  'wallet_addEthereumChain',
+  'wallet_watchAsset',
+  'personal_sign',
+  'eth_sign',
+  'eth_signTypedData',
+  'eth_signTypedData_v3',
+  'eth_signTypedData_v4',
+  'eth_sendTransaction'
+];
+
+// Returned when the RPC cannot estimate a transaction, so the dApp still sends it to the wallet
+const FALLBACK_GAS_ESTIMATE = '0x7a120';
+
+/**
+ * Resolve the wallet settings for a scan.
+ * options: { walletAddress, walletBrand, walletRpcUrl }, falling back to MOCK_WALLET_ADDRESS,
+ * MOCK_WALLET_BRAND and MOCK_WALLET_RPC_URL. Without an RPC URL, reads go to the chain's RPC.
+ */
+export function resolveWalletOptions(options = {}) {
+  const rawAddress = options.walletAddress || process.env.MOCK_WALLET_ADDRESS || DEFAULT_WALLET_ADDRESS;
+  let address;
+  try {
+    address = ethers.utils.getAddress(String(rawAddress).toLowerCase());
+  } catch (error) {
+    throw new Error(`Invalid wallet address: ${rawAddress}`);
+  }
+
+  const brand = String(options.walletBrand || process.env.MOCK_WALLET_BRAND || 'metamask').toLowerCase();
+  if (!WALLET_BRANDS[brand]) {
+    throw new Error(`Unknown wallet brand: ${brand}. Supported wallets: ${Object.keys(WALLET_BRANDS).join(', ')}`);
+  }
+
+  return {
+    address,
+    brand,
+    rpcUrl: options.walletRpcUrl || process.env.MOCK_WALLET_RPC_URL || null
+  };
+}
+
+/**
+ * Inject the wallet into every document the page loads.
+ * wallet comes from resolveWalletOptions; onRequest(method, params, chainId) sees every
+ * request and onChainChange(method, chainId) every chain switch or addition.
+ */
+export async function installMockWallet(page, wallet, { chainId, onRequest, onChainChange }) {
+  const rpc = wallet.rpcUrl ? createRpcProvider([{ url: wallet.rpcUrl }]) : null;
+
+  await page.exposeFunction('reportWalletRequest', (method, params, requestChainId) => {
+    onRequest?.(method, params, requestChainId);
+  });
+  await page.exposeFunction('reportChainRequest', (method, requestChainId) => {
+    onChainChange?.(method, requestChainId);
+  });
+
+  // Errors are returned rather than thrown so their JSON-RPC code reaches the page
+  await page.exposeFunction('forwardWalletRpc', async (method, params, requestChainId) => {
+    try {
+      const provider = rpc || getProvider(resolveChainId(requestChainId));
+      return { result: await provider.request(method, params || []) };
+    } catch (error) {
+      if (method === 'eth_estimateGas') {
+        return { result: FALLBACK_GAS_ESTIMATE };
+      }
+      return { error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+    }
+  });
+
+  const brand = WALLET_BRANDS[wallet.brand];
+  await page.evaluateOnNewDocument(injectWallet, {
+    address: wallet.address,
+    chainId: toHexChainId(chainId),
+    knownChainIds: Object.keys(CHAINS).map(id => toHexChainId(id)),
+    readMethods: READ_METHODS,
+    brand: {
+      ...brand,
+      icon: `data:image/svg+xml,${encodeURIComponent(
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><circle cx="16" cy="16" r="16" fill="${brand.color}"/></svg>`
+      )}`
+    }
+  });
+}
+
+/**
+ * Runs inside the page, so it cannot use anything from this module
+ */
+function injectWallet(config) {
+  const listeners = {};
+  const knownChains = new Set(config.knownChainIds);
+  let connected = false;
+
+  const providerError = (code, message, data) => Object.assign(new Error(message), { code, data });
+
+  const randomHex = (bytes) => '0x' + Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  // 65-byte r, s, v signature with a valid recovery byte
+  const randomSignature = () => randomHex(64) + (Math.random() < 0.5 ? '1b' : '1c');
+
+  // Version 4 UUID; crypto.randomUUID() only exists on https:// pages
+  const randomUuid = () => {
+    const hex = randomHex(16).slice(2);
+    const variant = (8 + (parseInt(hex[16], 16) & 3)).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+  };
+
+  const emit = (event, ...args) => {
+    (listeners[event] || []).slice().forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.log(`🦊 Mock wallet ${event} listener failed:`, error);
+      }
+    });
+  };
+
+  const accounts = () => (connected ? [config.address] : []);
+
+  const authorise = () => {
+    if (!connected) {
+      connected = true;
+      provider.selectedAddress = config.address;
+      emit('accountsChanged', [config.address]);
+    }
+    return [config.address];
+  };
+
+  const switchChain = (method, chainId) => {
+    const normalised = '0x' + parseInt(chainId, 16).toString(16);
+    knownChains.add(normalised);
+    window.reportChainRequest(method, normalised);
+    if (normalised !== provider.chainId) {
+      provider.chainId = normalised;
+      provider.networkVersion = String(parseInt(normalised, 16));
+      emit('chainChanged', normalised);
+    }
+    return null;
+  };
+
+  const handleRequest = async ({ method, params }) => {
+    switch (method) {
+      case 'eth_requestAccounts':
+        return authorise();
+      case 'eth_accounts':
+        return accounts();
+      case 'eth_coinbase':
+        return connected ? config.address : null;
+      case 'eth_chainId':
+        return provider.chainId;
+      case 'net_version':
+        return provider.networkVersion;
+      case 'net_listening':
+        return true;
+      case 'web3_clientVersion':
+        return `${config.brand.name}/mock`;
+      case 'wallet_requestPermissions':
+        authorise();
+        return [{ parentCapability: 'eth_accounts', caveats: [{ type: 'restrictReturnedAccounts', value: [config.address] }] }];
+      case 'wallet_getPermissions':
+        return connected
+          ? [{ parentCapability: 'eth_accounts', caveats: [{ type: 'restrictReturnedAccounts', value: [config.address] }] }]
+          : [];
+      case 'wallet_revokePermissions':
+        connected = false;
+        provider.selectedAddress = null;
+        emit('accountsChanged', []);
+        return null;
+      case 'wallet_switchEthereumChain': {
+        const chainId = params?.[0]?.chainId;
+        if (!chainId) throw providerError(-32602, 'Missing chainId');
+        if (!knownChains.has('0x' + parseInt(chainId, 16).toString(16))) {
+          throw providerError(4902, `Unrecognized chain ID "${chainId}". Try adding the chain using wallet_addEthereumChain first.`);
+        }
+        return switchChain(method, chainId);
+      }
+      case 'wallet_addEthereumChain': {
+        const chainId = params?.[0]?.chainId;
+        if (!chainId) throw providerError(-32602, 'Missing chainId');
+        return switchChain(method, chainId);
+      }
+      case 'wallet_watchAsset':
+        return true;
+      case 'personal_sign':
+      case 'eth_sign':
+      case 'eth_signTypedData':
+      case 'eth_signTypedData_v3':
+      case 'eth_signTypedData_v4':
+        return randomSignature();
+      case 'eth_sendTransaction':
+        return randomHex(32);
+      default:
+        break;
+    }
+
+    if (config.readMethods.includes(method)) {
+      const response = await window.forwardWalletRpc(method, params || [], provider.chainId);
+      if (response.error) throw providerError(response.error.code, response.error.message, response.error.data);
+      return response.result;
+    }
+
+    throw providerError(4200, `The wallet does not support ${method}`);
+  };
+
+  const provider = {
+    ...config.brand.flags,
+    chainId: config.chainId,
+    networkVersion: String(parseInt(config.chainId, 16)),
+    selectedAddress: null,
+
+    request: async (args) => {
+      if (!args || typeof args.method !== 'string') {
+        throw providerError(-32600, 'Expected a request object with a method');
+      }
+      console.log('🦊 Mock wallet request:', args);
+
+      window.walletInteractions.push({
+        method: args.method,
+        params: args.params,
+        timestamp: Date.now()
+      });
+      window.reportWalletRequest(args.method, args.params, provider.chainId);
+
+      return handleRequest(args);
+    },
+
+    isConnected: () => true,
+
+    // Event handling
+    on: (event, listener) => {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return provider;
+    },
+    once: (event, listener) => {
+      const wrapped = (...args) => {
+        provider.removeListener(event, wrapped);
+        listener(...args);
+      };
+      return provider.on(event, wrapped);
+    },
+    removeListener: (event, listener) => {
+      listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+      return provider;
+    },
+    removeAllListeners: (event) => {
+      if (event) {
+        delete listeners[event];
+      } else {
+        Object.keys(listeners).forEach(key => delete listeners[key]);
+      }
+      return provider;
+    },
+
+    // Legacy methods
+    enable: () => provider.request({ method: 'eth_requestAccounts' }),
+    send: (methodOrPayload, paramsOrCallback) => {
+      if (typeof methodOrPayload === 'string') {
+        return provider.request({ method: methodOrPayload, params: paramsOrCallback });
+      }
+      return provider.sendAsync(methodOrPayload, paramsOrCallback);
+    },
+    sendAsync: (payload, callback) => {
+      provider.request(payload)
+        .then(result => callback(null, { id: payload.id, jsonrpc: '2.0', result }))
+        .catch(error => callback(error, { id: payload.id, jsonrpc: '2.0', error: { code: error.code, message: error.message } }));
+    }
+  };
+  provider.off = provider.removeListener;
+  if (config.brand.flags.isMetaMask) {
+    provider._metamask = { isUnlocked: async () => true };
+  }
+
+  window.walletInteractions = [];
+  window.ethereum = provider;
+  window.web3 = { currentProvider: provider };
+
+  // EIP-6963 discovery: announce now and whenever a dApp asks
+  const info = Object.freeze({
+    uuid: randomUuid(),
+    name: config.brand.name,
+    icon: config.brand.icon,
+    rdns: config.brand.rdns
+  });
+  const announce = () => {
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+      detail: Object.freeze({ info, provider })
+    }));
+  };
+  window.addEventListener('eip6963:requestProvider', announce);
+  announce();
+
+  // EIP-1193: the provider is connected to its chain once the page can listen
+  window.addEventListener('DOMContentLoaded', () => emit('connect', { chainId: provider.chainId }));
+}
@@ -0,0 +1,358 @@
+import { getDomain } from 'tldts';
+
+/**
+ * Records every HTTP exchange and WebSocket frame a scanned page makes, with headers and
+ * bodies up to a size limit, and exports them as a HAR 1.2 log that opens in browser
+ * devtools. Each entry keeps the route and element being tested when it was sent.
+ */
+
+// Bodies larger than this are cut short (CAPTURE_MAX_BODY_BYTES)
+const DEFAULT_MAX_BODY_BYTES = 512 * 1024;
+
+// Responses whose bodies say nothing about what the page sends or receives as data
+const SKIPPED_BODY_TYPES = ['image', 'font', 'media'];
+
+// Bodies stored as text in the HAR; everything else is base64
+const TEXT_MIME_TYPE = /^text\/|json|javascript|xml|x-www-form-urlencoded|graphql/i;
+
+const HAR_CREATOR = { name: 'Web3 dApp Security Scanner', version: '1.0.0' };
+
+/**
+ * Start recording the page's traffic. state is the crawler's { route, element } and is read
+ * when each request starts. options.maxBodyBytes overrides CAPTURE_MAX_BODY_BYTES.
+ * Call finish() before the browser closes so pending bodies are read.
+ */
+export async function startNetworkCapture(page, state, options = {}) {
+  const maxBodyBytes = options.maxBodyBytes ?? readBodyLimit();
+  const entries = [];
+  const byRequest = new Map();
+  const pending = [];
+
+  page.on('request', (request) => {
+    const postData = request.postData();
+    const entry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      route: state.route,
+      element: state.element,
+      startedAt: Date.now(),
+      time: null,
+      request: {
+        headers: request.headers(),
+        body: postData ? limitText(postData, maxBodyBytes) : null
+      },
+      response: null,
+      error: null
+    };
+    entries.push(entry);
+    byRequest.set(request, entry);
+  });
+
+  page.on('response', (response) => {
+    const entry = byRequest.get(response.request());
+    if (!entry) return;
+    entry.response = {
+      status: response.status(),
+      statusText: response.statusText(),
+      headers: response.headers(),
+      remoteAddress: response.remoteAddress()?.ip || null,
+      body: null
+    };
+  });
+
+  page.on('requestfinished', (request) => {
+    const entry = byRequest.get(request);
+    const response = request.response();
+    if (!entry) return;
+    entry.time = Date.now() - entry.startedAt;
+    if (!response || !entry.response || SKIPPED_BODY_TYPES.includes(entry.resourceType)) return;
+    if (entry.response.status >= 300 && entry.response.status < 400) return;
+
+    pending.push(response.buffer()
+      .then(buffer => { entry.response.body = encodeBody(buffer, entry.response.headers['content-type'], maxBodyBytes); })
+      .catch(() => {}));
+  });
+
+  page.on('requestfailed', (request) => {
+    const entry = byRequest.get(request);
+    if (!entry) return;
+    entry.time = Date.now() - entry.startedAt;
+    entry.error = request.failure()?.errorText || 'failed';
+  });
+
+  // Puppeteer does not surface WebSocket traffic, so read it from the DevTools protocol
+  const webSockets = new Map();
+  const client = await page.target().createCDPSession();
+  await client.send('Network.enable');
+
+  client.on('Network.webSocketCreated', ({ requestId, url }) => {
+    webSockets.set(requestId, {
+      url,
+      route: state.route,
+      element: state.element,
+      startedAt: Date.now(),
+      clockOffset: null,
+      request: { headers: {} },
+      response: null,
+      frames: [],
+      closed: false
+    });
+  });
+  client.on('Network.webSocketWillSendHandshakeRequest', ({ requestId, timestamp, wallTime, request }) => {
+    const socket = webSockets.get(requestId);
+    if (!socket) return;
+    socket.clockOffset = wallTime - timestamp;
+    socket.request.headers = request.headers;
+  });
+  client.on('Network.webSocketHandshakeResponseReceived', ({ requestId, response }) => {
+    const socket = webSockets.get(requestId);
+    if (socket) socket.response = { status: response.status, statusText: response.statusText, headers: response.headers };
+  });
+  const onFrame = type => ({ requestId, timestamp, response }) => {
+    const socket = webSockets.get(requestId);
+    if (!socket) return;
+    socket.frames.push({
+      type,
+      time: socket.clockOffset !== null ? timestamp + socket.clockOffset : Date.now() / 1000,
+      opcode: response.opcode,
+      data: limitText(response.payloadData, maxBodyBytes).text,
+      route: state.route,
+      element: state.element
+    });
+  };
+  client.on('Network.webSocketFrameSent', onFrame('send'));
+  client.on('Network.webSocketFrameReceived', onFrame('receive'));
+  client.on('Network.webSocketClosed', ({ requestId }) => {
+    const socket = webSockets.get(requestId);
+    if (socket) socket.closed = true;
+  });
+
+  return {
+    entries,
+    webSockets: () => [...webSockets.values()],
+
+    async finish() {
+      await Promise.all(pending);
+      await client.detach().catch(() => {});
+    }
+  };
+}
+
+/**
+ * HAR 1.2 log of a capture, with one page per crawled route
+ */
+export function buildHar(capture, { pageUrl, routes = [] }) {
+  // A route's page starts with its first request
+  const firstRequest = new Map();
+  capture.entries.forEach(entry => {
+    if (!firstRequest.has(entry.route)) firstRequest.set(entry.route, entry.startedAt);
+  });
+
+  const pageIds = new Map();
+  const pages = routes.map((route, index) => {
+    pageIds.set(route.url, `page_${index + 1}`);
+    return {
+      startedDateTime: new Date(firstRequest.get(route.url) || Date.now()).toISOString(),
+      id: `page_${index + 1}`,
+      title: route.title || route.url,
+      pageTimings: {}
+    };
+  });
+  if (pages.length === 0) {
+    pageIds.set(pageUrl, 'page_1');
+    pages.push({ startedDateTime: new Date().toISOString(), id: 'page_1', title: pageUrl, pageTimings: {} });
+  }
+
+  const entries = capture.entries.map(entry => {
+    const time = entry.time ?? 0;
+    return {
+      pageref: pageIds.get(entry.route) || pages[0].id,
+      startedDateTime: new Date(entry.startedAt).toISOString(),
+      time,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHeaderList(entry.request.headers),
+        queryString: toQueryString(entry.url),
+        ...(entry.request.body && {
+          postData: {
+            mimeType: findHeader(entry.request.headers, 'content-type') || '',
+            text: entry.request.body.text,
+            ...(entry.request.body.truncated && { comment: 'truncated' })
+          }
+        }),
+        headersSize: -1,
+        bodySize: entry.request.body ? entry.request.body.size : 0
+      },
+      response: toHarResponse(entry),
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+      ...(entry.response?.remoteAddress && { serverIPAddress: entry.response.remoteAddress }),
+      _resourceType: entry.resourceType,
+      _route: entry.route,
+      _element: entry.element
+    };
+  });
+
+  // WebSockets use the same layout as Chrome's HAR export
+  capture.webSockets().forEach(socket => {
+    entries.push({
+      pageref: pageIds.get(socket.route) || pages[0].id,
+      startedDateTime: new Date(socket.startedAt).toISOString(),
+      time: 0,
+      request: {
+        method: 'GET',
+        url: socket.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHeaderList(socket.request.headers),
+        queryString: toQueryString(socket.url),
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: socket.response?.status ?? 0,
+        statusText: socket.response?.statusText ?? '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHeaderList(socket.response?.headers),
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: 0
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _resourceType: 'websocket',
+      _route: socket.route,
+      _webSocketMessages: socket.frames.map(({ type, time, opcode, data }) => ({ type, time, opcode, data }))
+    });
+  });
+
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  return { log: { version: '1.2', creator: HAR_CREATOR, pages, entries } };
+}
+
+/**
+ * Counts for the report: requests, failures, WebSockets and the hosts the page talked to
+ */
+export function summarizeNetwork(capture, { pageUrl }) {
+  const pageSite = siteOf(new URL(pageUrl).hostname);
+  const hosts = new Map();
+  const count = (url) => {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      return;
+    }
+    if (!host) return;
+    hosts.set(host, (hosts.get(host) || 0) + 1);
+  };
+  capture.entries.forEach(entry => count(entry.url));
+  const sockets = capture.webSockets();
+  sockets.forEach(socket => count(socket.url));
+
+  return {
+    requests: capture.entries.length,
+    failed: capture.entries.filter(entry => entry.error).length,
+    webSockets: sockets.length,
+    webSocketFrames: sockets.reduce((total, socket) => total + socket.frames.length, 0),
+    hosts: [...hosts.entries()]
+      .map(([host, requests]) => ({ host, requests, thirdParty: siteOf(host) !== pageSite }))
+      .sort((a, b) => b.requests - a.requests)
+  };
+}
+
+/**
+ * Registrable domain of a hostname by the Public Suffix List ("app.uniswap.org" → "uniswap.org").
+ * Private suffixes count, so tenants of shared hosts such as "dapp.vercel.app" and
+ * "evil.vercel.app" are different sites; IPs and single-label hosts are their own site.
+ */
+export function siteOf(hostname) {
+  return getDomain(hostname, { allowPrivateDomains: true }) || hostname;
+}
+
+function toHarResponse(entry) {
+  const response = entry.response;
+  if (!response) {
+    return {
+      status: 0,
+      statusText: entry.error || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+      ...(entry.error && { _error: entry.error })
+    };
+  }
+
+  const body = response.body;
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHeaderList(response.headers),
+    content: {
+      size: body ? body.size : 0,
+      mimeType: findHeader(response.headers, 'content-type') || '',
+      ...(body && body.text !== null && { text: body.text }),
+      ...(body?.encoding && { encoding: body.encoding }),
+      ...(body?.truncated && { comment: 'truncated' })
+    },
+    redirectURL: findHeader(response.headers, 'location') || '',
+    headersSize: -1,
+    bodySize: body ? body.size : -1
+  };
+}
+
+/**
+ * Body as HAR content: text for textual types, base64 otherwise; binary bodies over the limit
+ * are left out since a partial image or wasm module is useless
+ */
+function encodeBody(buffer, contentType = '', maxBytes) {
+  if (TEXT_MIME_TYPE.test(contentType)) {
+    return { ...limitText(buffer.toString('utf8'), maxBytes), encoding: null };
+  }
+  if (buffer.length > maxBytes) {
+    return { text: null, size: buffer.length, truncated: true, encoding: null };
+  }
+  return { text: buffer.toString('base64'), size: buffer.length, truncated: false, encoding: 'base64' };
+}
+
+function limitText(text, maxBytes) {
+  const size = Buffer.byteLength(text);
+  return size > maxBytes
+    ? { text: text.slice(0, maxBytes), size, truncated: true }
+    : { text, size, truncated: false };
+}
+
+function toHeaderList(headers = {}) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    String(value).split('\n').map(line => ({ name, value: line })));
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function findHeader(headers = {}, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function readBodyLimit() {
+  const value = parseInt(process.env.CAPTURE_MAX_BODY_BYTES, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_MAX_BODY_BYTES : value;
+}
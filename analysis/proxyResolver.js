@@ -0,0 +1,136 @@
+import { ethers } from 'ethers';
+import { fetchStorageAt, callContract } from '../utils/fetchContractCode.js';
+import { findOpcodes } from '../utils/disassembleBytecode.js';
+
+/**
+ * Well-known proxy storage slots
+ */
+const SLOTS = {
+  // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+  implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+  admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+  beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // keccak256('PROXIABLE') - EIP-1822 UUPS
+  proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7'
+};
+
+// implementation() on an UpgradeableBeacon
+const IMPLEMENTATION_SELECTOR = '0x5c60da1b';
+
+// EIP-1167 runtime: the target address is pushed inline (PUSH1-PUSH20 for vanity addresses)
+const MINIMAL_PROXY_REGEX =
+  /^363d3d373d3d3d363d(6[0-9a-f]|7[0-3])([0-9a-f]+)5af43d82803e903d9160[0-9a-f]{2}57fd5bf3$/;
+
+/**
+ * Work out which proxy standard a contract follows and where it points.
+ * Returns null for contracts that are not proxies.
+ */
+export async function resolveProxy(address, bytecode, instructions, chainId) {
+  const clone = detectMinimalProxy(bytecode);
+  if (clone) {
+    return {
+      standard: 'EIP-1167',
+      upgradeable: false,
+      implementation: clone,
+      admin: null,
+      beacon: null
+    };
+  }
+
+  // Storage-based proxies must forward calls with DELEGATECALL
+  if (findOpcodes(instructions, ['DELEGATECALL']).length === 0) {
+    return null;
+  }
+
+  const [implementation, admin, beacon, proxiable] = await Promise.all([
+    readAddressSlot(address, SLOTS.implementation, chainId),
+    readAddressSlot(address, SLOTS.admin, chainId),
+    readAddressSlot(address, SLOTS.beacon, chainId),
+    readAddressSlot(address, SLOTS.proxiable, chainId)
+  ]);
+
+  if (beacon) {
+    return {
+      standard: 'EIP-1967 Beacon',
+      upgradeable: true,
+      implementation: await readBeaconImplementation(beacon, chainId),
+      admin,
+      beacon
+    };
+  }
+
+  if (implementation) {
+    return {
+      // Transparent proxies keep an admin in its own slot; UUPS upgrades through the implementation
+      standard: admin ? 'EIP-1967 Transparent' : 'EIP-1967 UUPS',
+      upgradeable: true,
+      implementation,
+      admin,
+      beacon: null
+    };
+  }
+
+  if (proxiable) {
+    return {
+      standard: 'EIP-1822 UUPS',
+      upgradeable: true,
+      implementation: proxiable,
+      admin: null,
+      beacon: null
+    };
+  }
+
+  // DELEGATECALL alone is not a proxy: multicall routers and library-style contracts use it too
+  return null;
+}
+
+/**
+ * Extract the target of an EIP-1167 minimal proxy clone
+ */
+function detectMinimalProxy(bytecode) {
+  const match = bytecode.toLowerCase().replace(/^0x/, '').match(MINIMAL_PROXY_REGEX);
+  if (!match) return null;
+
+  const pushSize = parseInt(match[1], 16) - 0x5f;
+  if (match[2].length !== pushSize * 2) return null;
+
+  return ethers.utils.getAddress('0x' + match[2].padStart(40, '0'));
+}
+
+/**
+ * Read a storage slot holding an address, returning null when unset
+ */
+async function readAddressSlot(address, slot, chainId) {
+  try {
+    return toAddress(await fetchStorageAt(address, slot, chainId));
+  } catch (error) {
+    console.log(`⚠️  Could not read slot ${slot} of ${address}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Ask a beacon which implementation it currently points to
+ */
+async function readBeaconImplementation(beacon, chainId) {
+  try {
+    return toAddress(await callContract(beacon, IMPLEMENTATION_SELECTOR, chainId));
+  } catch (error) {
+    console.log(`⚠️  Could not query beacon ${beacon}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Convert a 32-byte word to a checksummed address (null for zero)
+ */
+function toAddress(word) {
+  if (!word || word === '0x') return null;
+
+  const hex = word.toLowerCase().replace(/^0x/, '').padStart(64, '0').slice(-40);
+  if (/^0+$/.test(hex)) return null;
+
+  return ethers.utils.getAddress('0x' + hex);
+}
@@ -1,13 +1,86 @@
 import puppeteer from 'puppeteer';
 import { load } from 'cheerio';
+import { CHAINS, resolveChainId, toHexChainId, DEFAULT_CHAIN_ID } from '../utils/chains.js';
+import { createFinding } from '../utils/findings.js';
+import { createPluginHost } from '../utils/plugins.js';
+import { classifyTransaction } from './transactionClassifier.js';
+import { decodeSignatureRequest, SIGNATURE_METHODS } from './signatureDecoder.js';
+import { simulateTransactions } from './transactionSimulator.js';
+import { installMockWallet, resolveWalletOptions, WALLET_BRANDS, PROMPT_METHODS } from './mockWallet.js';
+import { exploreRoute } from './elementExplorer.js';
+import { analyzeScripts } from './scriptAnalyzer.js';
+import { createAddressCollector } from './addressExtractor.js';
+import { startNetworkCapture, buildHar, summarizeNetwork } from './networkCapture.js';
+import { detectExfiltration } from './exfiltrationDetector.js';
+import { createEvidenceRecorder } from './evidenceRecorder.js';
+import { installClipboardMonitor, analyzeClipboardEvents } from './clipboardMonitor.js';
+import { normalizeRoute } from '../utils/routes.js';
+
+/**
+ * Rules raised about the page as a whole; click outcomes are in elementExplorer.js
+ */
+const RULES = {
+  externalScripts: {
+    id: 'frontend/external-scripts',
+    title: 'High number of external scripts',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'supply-chain',
+    remediation: 'Every third-party script can read the page and talk to the wallet; keep them to a minimum.'
+  }
+};
+
+// More third-party scripts than this is flagged
+const MAX_EXTERNAL_SCRIPTS = 3;
+
+// Interactive elements kept in the report for each route, riskiest first
+const MAX_BUTTONS_PER_ROUTE = 20;
+
+const RISK_ORDER = ['danger', 'warning', 'unknown', 'safe'];
+
+// Crawl limits when neither options nor the environment set them; depth 0 is the start URL
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 10;
+
+// Ranked candidate addresses handed to contract analysis (MAX_CONTRACT_ADDRESSES)
+const DEFAULT_MAX_ADDRESSES = 25;
+
+// API responses larger than this are not searched for addresses
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+
+// Response bodies that can contain addresses
+const TEXT_CONTENT_TYPE = /json|text|javascript|graphql/i;
 
 /**
  * Analyzes a Web3 dApp frontend using Puppeteer
  * Injects a mock wallet and records all interactions
+ * The mock wallet starts on options.chainId and follows the dApp's chain switches;
+ * options.walletAddress, walletBrand and walletRpcUrl configure it (see mockWallet.js)
+ * options.plugins (from loadPlugins) receives the page, wallet and network request hooks
+ * Captured transactions are replayed on a Hardhat fork unless options.simulate is false;
+ * options.forkUrl overrides the RPC the fork is taken from
+ * Same-origin routes found through links, clicks and SPA history changes are crawled
+ * breadth-first up to options.maxDepth / options.maxPages (CRAWL_MAX_DEPTH / CRAWL_MAX_PAGES);
+ * every finding records the route it was found on
+ * Contract addresses are collected from pages, requests, responses, scripts, wallet calls and
+ * ENS names (resolved on options.ensChainId); the options.maxAddresses best-ranked are returned
+ * All traffic, including WebSocket frames, is returned as a HAR log (bodies up to
+ * options.captureMaxBodyBytes) and checked for wallet data sent to third parties
+ * Screenshots and DOM snapshots are taken around every click and wallet prompt unless
+ * options.evidence is false; they are returned in evidence for saveEvidence()
  */
-export async function analyzeWebsite(url) {
+export async function analyzeWebsite(url, options = {}) {
   console.log(`🔍 Starting frontend analysis for: ${url}`);
   
+  const initialChainId = resolveChainId(options.chainId) || DEFAULT_CHAIN_ID;
+  const plugins = options.plugins || createPluginHost();
+  const simulate = options.simulate ?? process.env.SIMULATE_TRANSACTIONS !== 'false';
+  const wallet = resolveWalletOptions(options);
+  const maxDepth = options.maxDepth ?? readLimit('CRAWL_MAX_DEPTH', DEFAULT_MAX_DEPTH);
+  const maxPages = options.maxPages ?? readLimit('CRAWL_MAX_PAGES', DEFAULT_MAX_PAGES);
+  const maxAddresses = options.maxAddresses ?? readLimit('MAX_CONTRACT_ADDRESSES', DEFAULT_MAX_ADDRESSES);
+  const origin = new URL(url).origin;
+  
   let browser;
   try {
     // Launch browser with security settings
@@ -30,6 +103,9 @@ export async function analyzeWebsite(url) {
     await page.setViewport({ width: 1920, height: 1080 });
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
     
+    // The route and element being tested, attached to everything recorded while they are
+    const state = { route: null, depth: 0, element: null, clickPath: null };
+    
     // Track network requests
     const networkRequests = [];
     const apiCalls = [];
@@ -39,7 +115,9 @@ export async function analyzeWebsite(url) {
       networkRequests.push({
         url: request.url(),
         method: request.method(),
-        resourceType: request.resourceType()
+        resourceType: request.resourceType(),
+        postData: request.postData() || null,
+        route: state.route
       });
       
       // Track API calls
@@ -53,192 +131,305 @@ export async function analyzeWebsite(url) {
       }
     });
     
-    // Inject mock Web3 wallet
-    await page.evaluateOnNewDocument(() => {
-      // Mock Ethereum provider
-      const mockProvider = {
-        isMetaMask: true,
-        networkVersion: '1',
-        chainId: '0x1',
-        selectedAddress: '0x742d35Cc6634C0532925a3b8D3Ac92cfF2e5f262',
-        
-        // Mock methods
-        request: async (args) => {
-          console.log('🦊 Mock wallet request:', args);
-          
-          switch (args.method) {
-            case 'eth_requestAccounts':
-              return ['0x742d35Cc6634C0532925a3b8D3Ac92cfF2e5f262'];
-            case 'eth_accounts':
-              return ['0x742d35Cc6634C0532925a3b8D3Ac92cfF2e5f262'];
-            case 'eth_chainId':
-              return '0x1';
-            case 'personal_sign':
-              return '0x' + 'mock_signature'.repeat(10);
-            case 'eth_signTypedData_v4':
-              return '0x' + 'mock_typed_signature'.repeat(10);
-            case 'eth_sendTransaction':
-              return '0x' + 'mock_transaction_hash'.repeat(8);
-            default:
-              return null;
-          }
-        },
-        
-        // Event handling
-        on: (event, callback) => {
-          console.log(`🦊 Mock wallet event listener: ${event}`);
-        },
-        removeListener: () => {},
-        
-        // Legacy methods
-        enable: async () => ['0x742d35Cc6634C0532925a3b8D3Ac92cfF2e5f262'],
-        send: function(method, params) {
-          return this.request({ method, params });
-        }
-      };
-      
-      // Inject into window
-      window.ethereum = mockProvider;
-      window.web3 = { currentProvider: mockProvider };
+    // What the user would have seen at each step, kept as evidence
+    const evidence = createEvidenceRecorder(page, { enabled: options.evidence, maxCaptures: options.maxEvidence });
+    
+    // Full request/response capture for the HAR export and the exfiltration checks
+    const capture = await startNetworkCapture(page, state, { maxBodyBytes: options.captureMaxBodyBytes });
+    
+    // Keep the body of every script the page loads, first- or third-party, for the supply-chain
+    // checks, and of API responses, which often carry the contract addresses the dApp uses
+    const scriptBodies = [];
+    const responseBodies = [];
+    page.on('response', (response) => {
+      const resourceType = response.request().resourceType();
+      if (!response.ok()) return;
+      const route = state.route;
       
-      // Track wallet interactions
-      window.walletInteractions = [];
-      const originalRequest = mockProvider.request;
-      mockProvider.request = async (args) => {
-        window.walletInteractions.push({
-          method: args.method,
-          params: args.params,
+      if (resourceType === 'script') {
+        scriptBodies.push(response.buffer()
+          .then(content => ({ url: response.url(), route, content, inline: false }))
+          .catch(() => null));
+      } else if (resourceType === 'xhr' || resourceType === 'fetch') {
+        const headers = response.headers();
+        if (!TEXT_CONTENT_TYPE.test(headers['content-type'] || '') || Number(headers['content-length']) > MAX_RESPONSE_BYTES) return;
+        responseBodies.push(response.text()
+          .then(body => ({ url: response.url(), route, body: body.slice(0, MAX_RESPONSE_BYTES) }))
+          .catch(() => null));
+      }
+    });
+    
+    // Record chain IDs the dApp asks for and every wallet request, with the element being
+    // tested when it happened; kept in Node so they survive page navigations
+    const chainRequests = [];
+    const walletRequests = [];
+    await installMockWallet(page, wallet, {
+      chainId: initialChainId,
+      onChainChange: (method, chainId) => {
+        chainRequests.push({ method, chainId: resolveChainId(chainId), timestamp: Date.now() });
+      },
+      onRequest: (method, params, chainId) => {
+        const request = {
+          method,
+          params,
+          chainId: resolveChainId(chainId),
+          element: state.element,
+          clickPath: state.clickPath,
+          route: state.route,
+          evidence: null,
           timestamp: Date.now()
-        });
-        return originalRequest(args);
-      };
+        };
+        walletRequests.push(request);
+        
+        // Capture the page while the prompt a real wallet would show is open
+        if (PROMPT_METHODS.includes(method)) {
+          evidence.capture('wallet-request', request).then(id => { request.evidence = id; });
+        }
+      }
     });
     
-    // Navigate to the dApp
-    console.log(`📄 Loading page: ${url}`);
-    await page.goto(url, { 
-      waitUntil: 'networkidle0',
-      timeout: 30000 
+    // Addresses the page copies to the clipboard or swaps in the DOM after it has loaded
+    const clipboardEvents = [];
+    await installClipboardMonitor(page, {
+      onEvent: (event) => {
+        const recorded = { ...event, element: state.element, clickPath: state.clickPath, route: state.route, evidence: null };
+        clipboardEvents.push(recorded);
+        evidence.capture(event.type === 'swap' ? 'address-swap' : 'clipboard-write', recorded)
+          .then(id => { recorded.evidence = id; });
+      }
     });
     
-    // Wait for potential React/Vue apps to load
-    await page.waitForTimeout(3000);
+    // Routes waiting to be visited, breadth-first
+    const queue = [];
+    const seenRoutes = new Set();
+    const enqueue = (href, via) => {
+      const route = normalizeRoute(href, origin);
+      if (!route || seenRoutes.has(route) || state.depth + 1 > maxDepth) return;
+      seenRoutes.add(route);
+      queue.push({ url: route, depth: state.depth + 1, via });
+    };
+    
+    // SPA navigation never reloads the page, so report history and hash changes from inside it
+    await page.exposeFunction('reportRouteChange', (href) => enqueue(href, 'history'));
+    await page.evaluateOnNewDocument(() => {
+      const report = () => window.reportRouteChange(location.href);
+      for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function (...args) {
+          const result = original.apply(this, args);
+          report();
+          return result;
+        };
+      }
+      window.addEventListener('hashchange', report);
+      window.addEventListener('popstate', report);
+    });
     
-    // Get page content for analysis
-    const content = await page.content();
-    const $ = load(content);
+    const startUrl = normalizeRoute(url, origin) || url;
+    seenRoutes.add(startUrl);
+    queue.push({ url: startUrl, depth: 0, via: null });
     
-    // Analyze interactive elements
+    const routes = [];
     const buttons = [];
-    const clickableElements = $('button, [role="button"], .btn, input[type="submit"], input[type="button"], a[href*="connect"], a[href*="wallet"]');
-    
-    for (let i = 0; i < clickableElements.length; i++) {
-      const element = clickableElements[i];
-      const $el = $(element);
-      const text = $el.text().trim();
-      const classes = $el.attr('class') || '';
-      const id = $el.attr('id') || '';
+    const findings = [];
+    const addresses = createAddressCollector();
+    const documents = [];
+    const inlineScripts = [];
+    
+    while (queue.length > 0 && routes.length < maxPages) {
+      const route = queue.shift();
+      state.route = route.url;
+      state.depth = route.depth;
       
-      if (text && text.length > 0 && text.length < 100) {
-        buttons.push({
-          text,
-          element: element.tagName,
-          classes,
-          id,
-          action: 'unknown', // Will be determined by clicking
-          risk: 'unknown'
+      try {
+        const result = await analyzeRoute(page, route, {
+          plugins,
+          origin,
+          state,
+          enqueue,
+          walletRequests,
+          addresses,
+          evidence,
+          walletName: WALLET_BRANDS[wallet.brand].name
         });
+        routes.push({ url: route.url, depth: route.depth, via: route.via, title: result.title, buttons: result.buttons.length });
+        buttons.push(...result.buttons);
+        findings.push(...result.findings);
+        documents.push(result.document);
+        inlineScripts.push(...result.inlineScripts);
+      } catch (error) {
+        // Without the start page there is nothing to report
+        if (routes.length === 0) throw error;
+        console.log(`⚠️  Could not analyze route ${route.url}:`, error.message);
+        routes.push({ url: route.url, depth: route.depth, via: route.via, title: null, buttons: 0, error: error.message });
       }
     }
     
-    // Try clicking buttons to see what they do
-    console.log(`🖱️  Testing ${buttons.length} interactive elements...`);
+    if (queue.length > 0) {
+      console.log(`⚠️  Page limit of ${maxPages} reached; ${queue.length} discovered route(s) were not visited`);
+    }
+    
+    // Wallet prompts are captured in the background; wait so every request knows its evidence
+    const artifacts = await evidence.finish();
     
-    for (let i = 0; i < Math.min(buttons.length, 10); i++) {
+    state.element = null;
+    state.route = null;
+    
+    // Decode every transaction the page asked the wallet to send
+    const transactions = [];
+    for (const request of walletRequests.filter(r => r.method === 'eth_sendTransaction')) {
+      const tx = request.params?.[0];
+      if (!tx?.to) continue;
+      
+      const txChainId = CHAINS[request.chainId] ? request.chainId : initialChainId;
+      let classified;
       try {
-        const button = buttons[i];
-        const selector = button.id ? `#${button.id}` : 
-                        button.classes ? `.${button.classes.split(' ')[0]}` :
-                        `${button.element}:contains("${button.text}")`;
-        
-        // Clear previous interactions
-        await page.evaluate(() => {
-          window.walletInteractions = [];
+        classified = await classifyTransaction(tx, {
+          chainId: txChainId,
+          account: wallet.address,
+          element: request.element,
+          url: request.route || url
         });
-        
-        // Try to click the element
-        const elementHandle = await page.$(selector);
-        if (elementHandle) {
-          await elementHandle.click();
-          await page.waitForTimeout(1000);
-          
-          // Check what happened
-          const interactions = await page.evaluate(() => window.walletInteractions);
-          
-          if (interactions.length > 0) {
-            button.action = `Wallet request: ${interactions[0].method}`;
-            button.risk = interactions[0].method.includes('send') ? 'danger' : 'warning';
-          } else {
-            // Check for navigation or modals
-            const currentUrl = page.url();
-            if (currentUrl !== url) {
-              button.action = 'Navigation/redirect';
-              button.risk = 'warning';
-              // Navigate back
-              await page.goto(url, { waitUntil: 'networkidle0' });
-            } else {
-              button.action = 'UI interaction (modal/state change)';
-              button.risk = 'safe';
-            }
-          }
-        }
       } catch (error) {
-        console.log(`⚠️  Could not test button: ${button.text}`);
-        buttons[i].action = 'Could not test';
-        buttons[i].risk = 'unknown';
+        // One bad request must not cost the rest of the scan
+        console.log(`⚠️  Could not classify transaction to ${tx.to}:`, error.message);
+        continue;
       }
+      const { actions, findings: txFindings } = classified;
+      transactions.push({
+        element: request.element,
+        clickPath: request.clickPath,
+        route: request.route,
+        evidence: request.evidence,
+        chainId: txChainId,
+        to: tx.to,
+        value: tx.value || '0x0',
+        data: tx.data || '0x',
+        gas: tx.gas || tx.gasLimit,
+        actions
+      });
+      findings.push(...atRoute(txFindings, request.route));
     }
     
-    // Extract contract addresses from page content and network requests
-    const contractRegex = /0x[a-fA-F0-9]{40}/g;
-    const contractAddresses = new Set();
+    // Replay them on a fork of each chain to see what they would do to the user's assets
+    if (simulate) {
+      for (const chainId of new Set(transactions.map(tx => tx.chainId))) {
+        const batch = transactions.filter(tx => tx.chainId === chainId);
+        const results = await simulateTransactions(batch, { chainId, account: wallet.address, forkUrl: options.forkUrl });
+        batch.forEach((tx, i) => { tx.simulation = results[i]; });
+      }
+    }
     
-    // From page content
-    const pageText = $.root().text();
-    const contentMatches = pageText.match(contractRegex);
-    if (contentMatches) {
-      contentMatches.forEach(addr => contractAddresses.add(addr.toLowerCase()));
+    // Decode every signature request into what the user would actually be agreeing to
+    const signatures = walletRequests
+      .filter(request => SIGNATURE_METHODS.includes(request.method))
+      .map(request => ({
+        ...decodeSignatureRequest(request.method, request.params, {
+          element: request.element,
+          account: wallet.address,
+          url: request.route || url
+        }),
+        route: request.route,
+        clickPath: request.clickPath,
+        evidence: request.evidence
+      }));
+    signatures.forEach(signature => findings.push(...atRoute(signature.findings, signature.route)));
+    
+    // Give plugins every wallet and network request seen during the scan
+    for (const request of walletRequests) {
+      findings.push(...atRoute(await plugins.run('walletRequest', { url, ...request }), request.route));
+    }
+    for (const request of networkRequests) {
+      findings.push(...atRoute(await plugins.run('networkRequest', { pageUrl: url, ...request }), request.route));
     }
     
-    // From network requests
-    networkRequests.forEach(req => {
-      const matches = req.url.match(contractRegex);
-      if (matches) {
-        matches.forEach(addr => contractAddresses.add(addr.toLowerCase()));
-      }
-    });
+    // Hash every script and check it against SRI, the page's CSP and the drainer signatures
+    const loadedScripts = (await Promise.all(scriptBodies)).filter(Boolean);
+    const scriptAnalysis = analyzeScripts([...loadedScripts, ...inlineScripts], documents, { pageUrl: url });
+    findings.push(...scriptAnalysis.findings);
+    
+    // Compare what the page copied with the address it showed, and report swapped addresses
+    const clipboard = analyzeClipboardEvents(clipboardEvents);
+    findings.push(...clipboard.findings);
+    
+    // Look for wallet data, seed phrases and drainer reporting channels in what the page sent
+    await capture.finish();
+    findings.push(...detectExfiltration(capture, { pageUrl: url, walletAddress: wallet.address }));
     
-    // Get all wallet interactions that occurred
-    const allWalletInteractions = await page.evaluate(() => window.walletInteractions || []);
+    // Collect contract addresses from everything the dApp loaded, sent or asked the wallet for
+    for (const request of walletRequests) {
+      addresses.addRpcRequest(request.method, request.params, { location: 'mock wallet', route: request.route });
+    }
+    for (const request of networkRequests) {
+      addresses.scan(request.url, { type: 'request', location: request.url, route: request.route });
+      readRpcCalls(request.postData).forEach(call => {
+        addresses.addRpcRequest(call.method, call.params, { location: request.url, route: request.route });
+      });
+    }
+    for (const response of (await Promise.all(responseBodies)).filter(Boolean)) {
+      addresses.scan(response.body, { type: 'response', location: response.url, route: response.route });
+    }
+    for (const script of [...loadedScripts, ...inlineScripts]) {
+      addresses.scan(script.content.toString(), { type: 'script', location: script.url, route: script.route });
+    }
+    await addresses.resolveEnsNames({ ensChainId: options.ensChainId });
+    
+    const candidates = addresses.ranked();
+    if (candidates.length > maxAddresses) {
+      console.log(`⚠️  Address limit of ${maxAddresses} reached; ${candidates.length - maxAddresses} lower-ranked candidate(s) were not analyzed`);
+    }
+    
+    const uniqueScripts = [...new Set(externalScripts)];
+    if (uniqueScripts.length > MAX_EXTERNAL_SCRIPTS) {
+      findings.push(createFinding(RULES.externalScripts, {
+        title: `High number of external scripts (${uniqueScripts.length})`,
+        affected: { type: 'url', value: url },
+        evidence: { count: uniqueScripts.length, scripts: uniqueScripts },
+        route: null
+      }));
+    }
+    
+    // Get all wallet interactions that occurred, on every route
+    const allWalletInteractions = walletRequests.map(({ method, params, route, clickPath, evidence: artifact, timestamp }) => ({ method, params, route, clickPath, evidence: artifact, timestamp }));
+    
+    // The last supported chain the dApp switched to is the one its contracts live on
+    const supportedRequests = chainRequests.filter(request => CHAINS[request.chainId]);
+    const chainId = supportedRequests.length > 0
+      ? supportedRequests[supportedRequests.length - 1].chainId
+      : initialChainId;
     
     console.log(`✅ Frontend analysis complete`);
+    console.log(`   - Crawled ${routes.length} route(s)`);
     console.log(`   - Found ${buttons.length} interactive elements`);
-    console.log(`   - Detected ${contractAddresses.size} potential contract addresses`);
+    console.log(`   - Detected ${candidates.length} potential contract addresses (${candidates.filter(c => c.interacted).length} called by the dApp, ${addresses.rejected} failed checksum)`);
     console.log(`   - Recorded ${apiCalls.length} API calls`);
     console.log(`   - Found ${externalScripts.length} external scripts`);
+    console.log(`   - Analyzed ${scriptAnalysis.scripts.length} scripts`);
+    console.log(`   - Recorded ${clipboard.writes.length} clipboard address write(s) and ${clipboard.swaps.length} address swap(s)`);
     
     return {
       url,
       timestamp: new Date().toISOString(),
-      buttons: buttons.slice(0, 20), // Limit to top 20
-      signatures: allWalletInteractions
-        .filter(i => i.method.includes('sign'))
-        .map(i => `${i.method}: ${JSON.stringify(i.params).slice(0, 100)}...`),
+      routes,
+      buttons: topButtons(buttons),
+      signatures: signatures.map(({ findings, ...signature }) => signature),
       apiCalls: [...new Set(apiCalls)].slice(0, 10),
-      externalScripts: [...new Set(externalScripts)].slice(0, 10),
-      contracts: [...contractAddresses],
+      externalScripts: uniqueScripts.slice(0, 10),
+      scripts: scriptAnalysis.scripts,
+      csp: scriptAnalysis.csp,
+      contracts: candidates.slice(0, maxAddresses).map(candidate => candidate.address),
+      discoveredAddresses: candidates.slice(0, maxAddresses),
       networkRequests: networkRequests.length,
-      walletInteractions: allWalletInteractions
+      network: summarizeNetwork(capture, { pageUrl: url }),
+      har: buildHar(capture, { pageUrl: url, routes }),
+      evidence: artifacts,
+      clipboard: { writes: clipboard.writes, swaps: clipboard.swaps },
+      walletInteractions: allWalletInteractions,
+      chainId,
+      chainRequests,
+      wallet: { address: wallet.address, brand: wallet.brand },
+      transactions,
+      findings
     };
     
   } catch (error) {
@@ -249,4 +440,118 @@ export async function analyzeWebsite(url) {
       await browser.close();
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Load one route, explore its interactive elements and queue the same-origin routes it leads to.
+ * Addresses on the page and in its links go to the addresses collector.
+ * Returns { title, buttons, findings, document, inlineScripts } for the route.
+ */
+async function analyzeRoute(page, route, { plugins, origin, state, enqueue, walletRequests, addresses, evidence, walletName }) {
+  console.log(`📄 Loading page: ${route.url}${route.depth > 0 ? ` (depth ${route.depth})` : ''}`);
+  const response = await page.goto(route.url, { 
+    waitUntil: 'networkidle0',
+    timeout: 30000 
+  });
+  
+  // Wait for potential React/Vue apps to load
+  await page.waitForTimeout(3000);
+  
+  // Get page content for analysis
+  const content = await page.content();
+  const $ = load(content);
+  const title = $('title').first().text().trim() || null;
+  
+  const findings = atRoute(await plugins.run('pageLoaded', { url: route.url, page, html: content }), route.url);
+  
+  // Queue same-origin links; the enqueue callback drops duplicates and routes past the depth limit
+  $('a[href]').each((_, link) => {
+    try {
+      enqueue(new URL($(link).attr('href'), page.url()).href, 'link');
+    } catch (error) {
+      // Malformed hrefs lead nowhere
+    }
+  });
+  
+  // Click through the live page, following wallet flows
+  const explored = await exploreRoute(page, route, { origin, state, enqueue, walletRequests, walletName, evidence });
+  findings.push(...explored.findings);
+  
+  // Addresses shown on the page or linked to, e.g. block explorer links; scripts are read separately
+  const source = { type: 'page', location: route.url, route: route.url };
+  addresses.scan($('body').clone().find('script, style').remove().end().text(), source);
+  $('a[href]').each((_, link) => addresses.scan($(link).attr('href'), source));
+  
+  // What the supply-chain checks need from the document: its CSP and how it loads scripts.
+  // Hash routes share the document of the page, so goto returns no response for them.
+  const scriptTags = [];
+  $('script[src]').each((_, script) => {
+    try {
+      scriptTags.push({
+        src: new URL($(script).attr('src'), route.url).href,
+        integrity: $(script).attr('integrity') || null
+      });
+    } catch (error) {
+      // Malformed srcs load nothing
+    }
+  });
+  const document = {
+    url: route.url,
+    route: route.url,
+    headers: response ? response.headers() : null,
+    metaCsp: $('meta[http-equiv="Content-Security-Policy" i]').attr('content') || null,
+    scriptTags
+  };
+  const inlineScripts = $('script:not([src])')
+    .filter((_, script) => !$(script).attr('type') || /javascript|module/i.test($(script).attr('type')))
+    .map((_, script) => $(script).html())
+    .get()
+    .filter(content => content.trim())
+    .map(content => ({ url: route.url, route: route.url, content, inline: true }));
+  
+  return { title, buttons: explored.buttons, findings, document, inlineScripts };
+}
+
+/**
+ * The riskiest elements of each route, routes in crawl order, so elements behind deeper
+ * routes are not crowded out by the start page's
+ */
+function topButtons(buttons) {
+  const byRoute = new Map();
+  buttons.forEach(button => {
+    if (!byRoute.has(button.route)) byRoute.set(button.route, []);
+    byRoute.get(button.route).push(button);
+  });
+  const rank = button => (RISK_ORDER.includes(button.risk) ? RISK_ORDER.indexOf(button.risk) : RISK_ORDER.length);
+  return [...byRoute.values()].flatMap(routeButtons =>
+    [...routeButtons].sort((a, b) => rank(a) - rank(b)).slice(0, MAX_BUTTONS_PER_ROUTE));
+}
+
+/**
+ * Tag findings with the route they were found on
+ */
+function atRoute(findings, route) {
+  return findings.map(finding => ({ ...finding, route: route ?? null }));
+}
+
+/**
+ * JSON-RPC calls in a request body, single or batched, e.g. a dApp reading its contracts
+ * through its own RPC endpoint rather than the wallet
+ */
+function readRpcCalls(postData) {
+  if (!postData || !postData.includes('"method"')) return [];
+  try {
+    const body = JSON.parse(postData);
+    return (Array.isArray(body) ? body : [body]).filter(call => typeof call?.method === 'string');
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Non-negative integer from the environment, or the fallback
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
@@ -0,0 +1,248 @@
+import { ethers } from 'ethers';
+import { callContract, fetchCode } from '../utils/fetchContractCode.js';
+import { createFinding } from '../utils/findings.js';
+
+/**
+ * Read-only functions used to discover and classify privileged accounts
+ */
+const ROLE_INTERFACE = new ethers.utils.Interface([
+  'function owner() view returns (address)',
+  'function admin() view returns (address)',
+  'function getOwner() view returns (address)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+  'function getRoleMember(bytes32 role, uint256 index) view returns (address)',
+  'function getThreshold() view returns (uint256)',
+  'function getOwners() view returns (address[])',
+  'function getMinDelay() view returns (uint256)',
+  'function delay() view returns (uint256)'
+]);
+
+/**
+ * Common OpenZeppelin AccessControl roles
+ */
+const ACCESS_CONTROL_ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.constants.HashZero,
+  MINTER_ROLE: ethers.utils.id('MINTER_ROLE'),
+  PAUSER_ROLE: ethers.utils.id('PAUSER_ROLE'),
+  BURNER_ROLE: ethers.utils.id('BURNER_ROLE'),
+  UPGRADER_ROLE: ethers.utils.id('UPGRADER_ROLE')
+};
+
+const OWNER_GETTERS = ['owner', 'admin', 'getOwner'];
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+// Stop enumerating very large role sets
+const MAX_ROLE_MEMBERS = 10;
+
+const MAX_SAFE_NUMBER = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+
+/**
+ * Functions whose holder can move or freeze user funds
+ */
+const PRIVILEGED_FUNCTIONS = [
+  'mint',
+  'pause',
+  'blacklist',
+  'setfee',
+  'settax',
+  'withdraw',
+  'upgradeto',
+  'setimplementation',
+  'changeadmin'
+];
+
+const RULES = {
+  eoa: {
+    id: 'access/privileged-eoa',
+    title: 'Privileged role held by a single EOA',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'access-control',
+    remediation: 'A single leaked or malicious key controls this role; prefer a multisig behind a timelock.'
+  },
+  weakSafe: {
+    id: 'access/single-signer-safe',
+    title: 'Privileged role held by a 1-of-N Safe',
+    severity: 'medium',
+    confidence: 'medium',
+    category: 'access-control',
+    remediation: 'Any one Safe owner can act alone; raise the signing threshold.'
+  },
+  unknownContract: {
+    id: 'access/unidentified-contract',
+    title: 'Privileged role held by an unidentified contract',
+    severity: 'low',
+    confidence: 'medium',
+    category: 'access-control',
+    remediation: 'Review the holder contract to see who ultimately controls the role.'
+  }
+};
+
+/**
+ * Find out who holds each privileged role of a contract and what kind of account it is
+ */
+export async function inspectRoles(address, proxy, chainId) {
+  const holders = [];
+
+  for (const getter of OWNER_GETTERS) {
+    const holder = await readAddress(address, getter, [], chainId);
+    if (holder) {
+      holders.push({ role: getter === 'admin' ? 'admin' : 'owner', source: `${getter}()`, holder });
+    }
+  }
+
+  holders.push(...await readAccessControlMembers(address, holders.map(h => h.holder), chainId));
+
+  if (proxy?.admin) {
+    holders.push({ role: 'proxyAdmin', source: 'EIP-1967 admin slot', holder: proxy.admin });
+  }
+
+  const roles = [];
+  for (const entry of dedupeHolders(holders)) {
+    roles.push({ ...entry, ...await classifyAccount(entry.holder, chainId) });
+  }
+
+  return roles;
+}
+
+/**
+ * Turn role holders of a contract into findings, naming the privileged functions they can call
+ */
+export function detectPrivilegeRisks(address, roles, functions) {
+  const findings = [];
+  const privileged = functions.filter(func => {
+    const name = func.split('(')[0].toLowerCase();
+    return PRIVILEGED_FUNCTIONS.some(prefix => name.startsWith(prefix));
+  });
+  const capabilities = privileged.length > 0 ? ` that can call ${privileged.join(', ')}` : '';
+
+  for (const role of roles) {
+    let rule;
+    let title;
+
+    if (role.type === 'eoa') {
+      rule = RULES.eoa;
+      title = `Privileged ${role.role} is a single EOA ${role.holder}${capabilities}`;
+    } else if (role.type === 'safe' && role.threshold === 1) {
+      rule = RULES.weakSafe;
+      title = `Privileged ${role.role} is a 1-of-${role.ownerCount} Safe ${role.holder}${capabilities}`;
+    } else if (role.type === 'contract') {
+      rule = RULES.unknownContract;
+      title = `Privileged ${role.role} is an unidentified contract ${role.holder}${capabilities}`;
+    } else {
+      continue;
+    }
+
+    findings.push(createFinding(rule, {
+      title,
+      affected: { type: 'contract', value: address },
+      evidence: { role: role.role, source: role.source, holder: role.holder, functions: privileged }
+    }));
+  }
+
+  return findings;
+}
+
+/**
+ * Enumerate AccessControl role members, or probe known holders when enumeration is unsupported
+ */
+async function readAccessControlMembers(address, knownHolders, chainId) {
+  const members = [];
+
+  for (const [roleName, role] of Object.entries(ACCESS_CONTROL_ROLES)) {
+    const count = await readValue(address, 'getRoleMemberCount', [role], chainId);
+
+    if (count !== null) {
+      for (let i = 0; i < Math.min(toSafeNumber(count), MAX_ROLE_MEMBERS); i++) {
+        const member = await readAddress(address, 'getRoleMember', [role, i], chainId);
+        if (member) {
+          members.push({ role: roleName, source: 'getRoleMember()', holder: member });
+        }
+      }
+      continue;
+    }
+
+    for (const holder of knownHolders) {
+      if (await readValue(address, 'hasRole', [role, holder], chainId)) {
+        members.push({ role: roleName, source: 'hasRole()', holder });
+      }
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Classify an account as renounced, EOA, Gnosis Safe, timelock or plain contract
+ */
+async function classifyAccount(holder, chainId) {
+  if (holder === ethers.constants.AddressZero || holder === DEAD_ADDRESS) {
+    return { type: 'renounced' };
+  }
+
+  const code = await fetchCode(holder, chainId).catch(() => '0x');
+  if (!code || code === '0x') {
+    return { type: 'eoa' };
+  }
+
+  const threshold = await readValue(holder, 'getThreshold', [], chainId);
+  const owners = await readValue(holder, 'getOwners', [], chainId);
+  if (threshold !== null && owners !== null) {
+    return { type: 'safe', threshold: toSafeNumber(threshold), ownerCount: owners.length, owners };
+  }
+
+  const delay = await readValue(holder, 'getMinDelay', [], chainId) ??
+    await readValue(holder, 'delay', [], chainId);
+  if (delay !== null) {
+    return { type: 'timelock', delay: toSafeNumber(delay) };
+  }
+
+  // ProxyAdmin-style contracts are themselves owned; report who is behind them
+  const controller = await readAddress(holder, 'owner', [], chainId);
+  return { type: 'contract', controller };
+}
+
+/**
+ * uint256 returned by the scanned contract as a number; values past 2^53 would make
+ * toNumber() throw, so they are clamped
+ */
+function toSafeNumber(value) {
+  return value.gt(MAX_SAFE_NUMBER) ? Number.MAX_SAFE_INTEGER : value.toNumber();
+}
+
+/**
+ * Call a view function and decode its single return value (null on failure)
+ */
+async function readValue(address, functionName, args, chainId) {
+  try {
+    const data = ROLE_INTERFACE.encodeFunctionData(functionName, args);
+    const result = await callContract(address, data, chainId);
+    if (!result || result === '0x') return null;
+
+    return ROLE_INTERFACE.decodeFunctionResult(functionName, result)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Call an address getter, returning a checksummed address or null
+ */
+async function readAddress(address, functionName, args, chainId) {
+  const value = await readValue(address, functionName, args, chainId);
+  return typeof value === 'string' ? ethers.utils.getAddress(value) : null;
+}
+
+/**
+ * Drop duplicate role/holder pairs found through different getters
+ */
+function dedupeHolders(holders) {
+  const seen = new Set();
+  return holders.filter(({ role, holder }) => {
+    const key = `${role}:${holder.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,356 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { createFinding } from '../utils/findings.js';
+
+/**
+ * Supply-chain checks for the scripts a dApp runs: content hashes, Subresource Integrity,
+ * the page's Content Security Policy, obfuscation, and drainer-kit signatures from
+ * data/drainerSignatures.json (DRAINER_SIGNATURES_PATH points at an alternative file).
+ */
+const DEFAULT_SIGNATURES_PATH = fileURLToPath(new URL('../data/drainerSignatures.json', import.meta.url));
+
+const RULES = {
+  drainerKit: {
+    id: 'script/drainer-kit',
+    title: 'Script matches a known wallet-drainer kit',
+    severity: 'critical',
+    confidence: 'medium',
+    category: 'supply-chain',
+    remediation: 'Do not connect a wallet to this site; the script contains code from a known drainer kit.'
+  },
+  drainerPatterns: {
+    id: 'script/drainer-patterns',
+    title: 'Script resembles a wallet-drainer kit',
+    severity: 'low',
+    confidence: 'low',
+    category: 'supply-chain',
+    remediation: 'The script shares behaviour with a drainer kit but no known build or marker; review what it sends and where before connecting a wallet.'
+  },
+  integrityMismatch: {
+    id: 'script/sri-mismatch',
+    title: 'Script does not match its integrity hash',
+    severity: 'high',
+    confidence: 'high',
+    category: 'supply-chain',
+    remediation: 'The script changed after the page pinned it; the CDN or the page may have been tampered with.'
+  },
+  obfuscated: {
+    id: 'script/obfuscated',
+    title: 'Obfuscated or packed script',
+    severity: 'medium',
+    confidence: 'low',
+    category: 'supply-chain',
+    remediation: 'Legitimate dApps rarely obfuscate their code; review what the script does before trusting the site.'
+  },
+  missingIntegrity: {
+    id: 'script/missing-sri',
+    title: 'Third-party script loaded without Subresource Integrity',
+    severity: 'low',
+    confidence: 'high',
+    category: 'supply-chain',
+    remediation: 'Pin third-party scripts with an integrity attribute so a compromised CDN cannot change them.'
+  },
+  missingCsp: {
+    id: 'script/missing-csp',
+    title: 'No Content Security Policy',
+    severity: 'low',
+    confidence: 'high',
+    category: 'supply-chain',
+    remediation: 'Without a CSP any injected script can run and talk to the wallet; the site should restrict script sources.'
+  },
+  weakCsp: {
+    id: 'script/weak-csp',
+    title: 'Content Security Policy allows unsafe scripts',
+    severity: 'low',
+    confidence: 'high',
+    category: 'supply-chain',
+    remediation: 'Remove unsafe-inline, unsafe-eval and wildcard sources from script-src.'
+  }
+};
+
+// Indicators of obfuscators and packers; minified code alone is not flagged
+const OBFUSCATION_INDICATORS = [
+  { name: 'Dean Edwards packer', test: content => /eval\(function\(p,a,c,k,e,[rd]\)/.test(content) },
+  { name: 'JSFuck', test: content => /\[\]\[\(!\[\]\+\[\]\)/.test(content) },
+  { name: 'JJEncode', test: content => /\$=~\[\];\s*\$=\{/.test(content) },
+  { name: 'obfuscator.io identifiers (_0x…)', test: content => count(content, /\b_0x[a-f0-9]{4,6}\b/g) >= 20 },
+  { name: 'string array rotation', test: content => /while\s*\(\s*!!\[\]\s*\)/.test(content) && /\['push'\]\(\w+\['shift'\]\(\)\)/.test(content) },
+  { name: 'evaluates decoded base64', test: content => /(?:\beval|\bFunction)\s*\(\s*(?:window\.)?atob\s*\(/.test(content) },
+  { name: 'dense hex/unicode escapes', test: content => {
+    const escapes = count(content, /\\x[0-9a-f]{2}|\\u[0-9a-f]{4}/gi);
+    return escapes >= 200 && escapes / (content.length / 1024) >= 50;
+  } }
+];
+
+let signatures = null;
+
+/**
+ * Analyse the scripts a scan saw.
+ * scripts: [{ url, route, content, inline }] from the page's traffic and inline <script> tags,
+ * content being a Buffer or string and url the page's for inline scripts;
+ * documents: [{ url, route, headers, metaCsp, scriptTags: [{ src, integrity }] }] for each page,
+ * headers being null when the route did not load a new document.
+ * Returns { scripts, csp, findings } with one entry per distinct script (by URL or inline hash).
+ */
+export function analyzeScripts(scripts, documents, { pageUrl }) {
+  const pageOrigin = new URL(pageUrl).origin;
+  const integrityBySrc = new Map();
+  documents.forEach(document => document.scriptTags.forEach(tag => {
+    if (tag.integrity) integrityBySrc.set(tag.src, tag.integrity);
+  }));
+
+  const byKey = new Map();
+  for (const script of scripts) {
+    // Hashes are over the bytes as served; the checks read them as text
+    const body = Buffer.isBuffer(script.content) ? script.content : Buffer.from(script.content);
+    const sha256 = digest('sha256', body, 'hex');
+    const key = script.inline ? `inline:${sha256}` : script.url;
+    if (byKey.has(key)) {
+      const existing = byKey.get(key);
+      if (!existing.routes.includes(script.route)) existing.routes.push(script.route);
+      continue;
+    }
+    byKey.set(key, { ...script, body, content: body.toString('utf8'), sha256, routes: [script.route] });
+  }
+
+  const findings = [];
+  const results = [...byKey.values()].map(script => {
+    const result = inspectScript(script, pageOrigin, integrityBySrc.get(script.url));
+    findings.push(...result.findings);
+    return result.script;
+  });
+
+  // Most sites load several unpinned scripts; report them together rather than one by one
+  const unpinned = results.filter(script => !script.firstParty && !script.inline && !script.integrity);
+  if (unpinned.length > 0) {
+    findings.push(createFinding(RULES.missingIntegrity, {
+      title: `${unpinned.length} third-party script(s) loaded without Subresource Integrity`,
+      affected: { type: 'url', value: pageUrl },
+      evidence: { scripts: unpinned.map(script => ({ url: script.url, sha256: script.sha256 })) },
+      route: null
+    }));
+  }
+
+  const csp = documents
+    .filter(document => document.headers)
+    .map(document => ({ url: document.url, route: document.route, ...evaluateCsp(document) }));
+  findings.push(...cspFindings(csp, pageUrl));
+
+  return { scripts: results, csp, findings };
+}
+
+/**
+ * Hash, integrity, obfuscation and signature checks for one script
+ */
+function inspectScript(script, pageOrigin, integrity) {
+  const origin = script.inline ? pageOrigin : new URL(script.url).origin;
+  const firstParty = origin === pageOrigin;
+  const affected = { type: 'script', value: script.inline ? `inline script on ${script.url}` : script.url };
+  const evidence = { url: script.url, sha256: script.sha256, routes: script.routes };
+  const findings = [];
+  const reasons = [];
+
+  const integrityCheck = integrity ? checkIntegrity(integrity, script.body) : null;
+  const indicators = OBFUSCATION_INDICATORS.filter(indicator => indicator.test(script.content)).map(indicator => indicator.name);
+  const kits = matchDrainerKits(script.content, script.sha256);
+  const route = script.routes[0] ?? null;
+
+  // Only a known build or marker identifies a kit; patterns overlap with ordinary marketplace code
+  const identified = kits.filter(kit => kit.by !== 'pattern');
+  kits.forEach(kit => {
+    const identifiedKit = kit.by !== 'pattern';
+    reasons.push(identifiedKit ? `matches ${kit.name}` : `resembles ${kit.name}`);
+    findings.push(createFinding(identifiedKit ? RULES.drainerKit : RULES.drainerPatterns, {
+      title: identifiedKit ? `Script matches ${kit.name}` : `Script resembles ${kit.name}`,
+      confidence: identifiedKit ? 'high' : RULES.drainerPatterns.confidence,
+      affected,
+      evidence: { ...evidence, kit: kit.id, matchedBy: kit.by, matches: kit.matches },
+      route
+    }));
+  });
+
+  if (integrityCheck && !integrityCheck.valid) {
+    reasons.push('content does not match its integrity attribute');
+    findings.push(createFinding(RULES.integrityMismatch, {
+      affected,
+      evidence: { ...evidence, integrity },
+      route
+    }));
+  }
+
+  if (indicators.length > 0) {
+    reasons.push(`obfuscated (${indicators.join(', ')})`);
+    findings.push(createFinding(RULES.obfuscated, {
+      affected,
+      evidence: { ...evidence, indicators },
+      route
+    }));
+  }
+
+  if (!firstParty && !script.inline && !integrity) {
+    reasons.push('third-party script without integrity attribute');
+  }
+
+  const verdict = identified.length > 0
+    ? 'drainer-kit'
+    : integrityCheck && !integrityCheck.valid
+      ? 'integrity-mismatch'
+      : indicators.length > 0
+        ? 'obfuscated'
+        : !firstParty && !integrity ? 'unpinned' : 'ok';
+
+  return {
+    script: {
+      url: script.url,
+      origin,
+      firstParty,
+      inline: Boolean(script.inline),
+      routes: script.routes,
+      size: script.body.length,
+      sha256: script.sha256,
+      integrity: integrity ? { value: integrity, valid: integrityCheck.valid } : null,
+      obfuscation: indicators,
+      drainerKits: identified.map(kit => kit.id),
+      verdict,
+      reasons
+    },
+    findings
+  };
+}
+
+/**
+ * Whether content matches any of the hashes in an integrity attribute
+ * ("sha384-… sha512-…"); hashes with unsupported algorithms are ignored
+ */
+function checkIntegrity(integrity, content) {
+  const hashes = integrity.trim().split(/\s+/)
+    .map(token => token.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/=]+)/))
+    .filter(Boolean);
+
+  return {
+    valid: hashes.length === 0 || hashes.some(([, algorithm, expected]) => digest(algorithm, content, 'base64') === expected)
+  };
+}
+
+/**
+ * Drainer kits a script matches, by hash, marker string or its required patterns plus enough
+ * of the others
+ */
+function matchDrainerKits(content, sha256) {
+  const { hashes, kits } = loadDrainerSignatures();
+  const matched = [];
+
+  for (const kit of kits) {
+    if (hashes[sha256] === kit.id) {
+      matched.push({ id: kit.id, name: kit.name, by: 'hash', matches: [sha256] });
+      continue;
+    }
+
+    const marker = kit.markers.find(regex => regex.test(content));
+    if (marker) {
+      matched.push({ id: kit.id, name: kit.name, by: 'marker', matches: [marker.source] });
+      continue;
+    }
+
+    const patterns = kit.patterns.filter(regex => regex.test(content));
+    if (kit.required.every(regex => regex.test(content)) && patterns.length >= kit.minMatches) {
+      matched.push({ id: kit.id, name: kit.name, by: 'pattern', matches: patterns.map(regex => regex.source) });
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * The script-src policy of a page (header first, then <meta http-equiv>) and what is wrong with it
+ */
+function evaluateCsp(document) {
+  const header = document.headers['content-security-policy'];
+  const policy = header || document.metaCsp || null;
+  if (!policy) {
+    const reportOnly = Boolean(document.headers['content-security-policy-report-only']);
+    return { policy: null, source: null, issues: [reportOnly ? 'only a report-only policy is set' : 'no policy'] };
+  }
+
+  const directives = Object.fromEntries(policy.split(';')
+    .map(directive => directive.trim().split(/\s+/))
+    .filter(([name]) => name)
+    .map(([name, ...values]) => [name.toLowerCase(), values.map(value => value.toLowerCase())]));
+  const scriptSrc = directives['script-src'] || directives['default-src'];
+  const issues = [];
+
+  if (!scriptSrc) {
+    issues.push('no script-src or default-src directive');
+  } else {
+    // Browsers ignore unsafe-inline when a nonce or hash is present
+    const hasNonceOrHash = scriptSrc.some(value => /^'(nonce|sha256|sha384|sha512)-/.test(value));
+    if (scriptSrc.includes("'unsafe-inline'") && !hasNonceOrHash) issues.push("script-src allows 'unsafe-inline'");
+    if (scriptSrc.includes("'unsafe-eval'")) issues.push("script-src allows 'unsafe-eval'");
+    const wildcards = scriptSrc.filter(value => ['*', 'http:', 'https:', 'data:'].includes(value));
+    if (wildcards.length > 0) issues.push(`script-src allows any source (${wildcards.join(' ')})`);
+  }
+
+  return { policy, source: header ? 'header' : 'meta', issues };
+}
+
+/**
+ * One finding per CSP problem, listing the routes it affects
+ */
+function cspFindings(csp, pageUrl) {
+  const missing = csp.filter(entry => !entry.policy);
+  const weak = csp.filter(entry => entry.policy && entry.issues.length > 0);
+  const findings = [];
+
+  if (missing.length > 0) {
+    findings.push(createFinding(RULES.missingCsp, {
+      affected: { type: 'url', value: pageUrl },
+      evidence: { routes: missing.map(entry => entry.url), issues: [...new Set(missing.flatMap(entry => entry.issues))] },
+      route: missing.length === csp.length ? null : missing[0].route
+    }));
+  }
+
+  if (weak.length > 0) {
+    findings.push(createFinding(RULES.weakCsp, {
+      affected: { type: 'url', value: pageUrl },
+      evidence: { routes: weak.map(entry => entry.url), policy: weak[0].policy, issues: [...new Set(weak.flatMap(entry => entry.issues))] },
+      route: weak.length === csp.length ? null : weak[0].route
+    }));
+  }
+
+  return findings;
+}
+
+/**
+ * Load and compile the drainer signature set (once)
+ */
+function loadDrainerSignatures() {
+  if (!signatures) {
+    const path = process.env.DRAINER_SIGNATURES_PATH || DEFAULT_SIGNATURES_PATH;
+    try {
+      const data = JSON.parse(readFileSync(path, 'utf8'));
+      signatures = {
+        hashes: Object.fromEntries(Object.entries(data.hashes || {}).map(([hash, id]) => [hash.toLowerCase(), id])),
+        kits: (data.kits || []).map(kit => ({
+          ...kit,
+          markers: (kit.markers || []).map(source => new RegExp(source, 'i')),
+          patterns: (kit.patterns || []).map(source => new RegExp(source, 'i')),
+          required: (kit.required || []).map(source => new RegExp(source, 'i')),
+          minMatches: kit.minMatches ?? (kit.patterns || []).length
+        }))
+      };
+    } catch (error) {
+      console.log(`⚠️  Could not load drainer signatures ${path}:`, error.message);
+      signatures = { hashes: {}, kits: [] };
+    }
+  }
+  return signatures;
+}
+
+function digest(algorithm, content, encoding) {
+  return createHash(algorithm).update(content).digest(encoding);
+}
+
+function count(content, regex) {
+  return (content.match(regex) || []).length;
+}
@@ -0,0 +1,352 @@
+import { ethers } from 'ethers';
+import { createFinding } from '../utils/findings.js';
+import { KNOWN_SPENDERS, PERMIT2_ADDRESS, UNLIMITED_THRESHOLD } from './transactionClassifier.js';
+
+/**
+ * Wallet methods that ask the user to sign something
+ */
+export const SIGNATURE_METHODS = [
+  'personal_sign',
+  'eth_sign',
+  'eth_signTypedData',
+  'eth_signTypedData_v3',
+  'eth_signTypedData_v4'
+];
+
+// Seaport and Blur item types that carry a price (native currency and ERC20)
+const PAYMENT_ITEM_TYPES = [0, 1];
+const ITEM_TYPES = ['native', 'ERC20', 'ERC721', 'ERC1155', 'ERC721 (criteria)', 'ERC1155 (criteria)'];
+
+// Deadlines past the year 3000 are effectively "forever"
+const UNIX_MAX_DATE = 32503680000;
+
+const RULES = {
+  ethSign: {
+    id: 'signature/eth-sign',
+    title: 'eth_sign blind-signing request',
+    severity: 'critical',
+    confidence: 'high',
+    category: 'signature',
+    remediation: 'eth_sign signs a raw hash that can be any transaction or permit; never approve it.'
+  },
+  permit: {
+    id: 'signature/erc2612-permit',
+    title: 'ERC-2612 Permit signature',
+    severity: 'high',
+    confidence: 'high',
+    category: 'signature',
+    remediation: 'A permit signature grants a token allowance without a transaction; only sign it for spenders you trust.'
+  },
+  permit2: {
+    id: 'signature/permit2',
+    title: 'Permit2 signature',
+    severity: 'high',
+    confidence: 'high',
+    category: 'signature',
+    remediation: 'Permit2 signatures let the spender move any token you have approved to Permit2; check spender and amount.'
+  },
+  seaportZeroPrice: {
+    id: 'signature/seaport-zero-price',
+    title: 'Seaport order gives assets away for nothing',
+    severity: 'critical',
+    confidence: 'high',
+    category: 'signature',
+    remediation: 'The order lists your assets without paying you; a classic NFT drainer signature. Do not sign it.'
+  },
+  blurOrder: {
+    id: 'signature/blur-order',
+    title: 'Blur order signature',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'signature',
+    remediation: 'Blur bulk and zero-price sell orders are used to drain NFTs; only sign listings you created on Blur.'
+  },
+  undecodable: {
+    id: 'signature/undecodable',
+    title: 'Signature request could not be decoded',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'signature',
+    remediation: 'The request is malformed, so a wallet cannot show what it grants. Never blind-sign it.'
+  }
+};
+
+/**
+ * Turn a captured signature request into something a person can read.
+ * context: { element, url, account }.
+ * Returns { method, element, kind, summary, ...decoded fields, findings }.
+ */
+export function decodeSignatureRequest(method, params = [], context = {}) {
+  const affected = context.element
+    ? { type: 'element', value: context.element }
+    : { type: 'url', value: context.url };
+  const base = { method, element: context.element || null };
+  let failure = null;
+
+  try {
+    if (method === 'eth_sign') {
+      const hash = params[1];
+      return {
+        ...base,
+        kind: 'raw-hash',
+        summary: `Blind signature of raw hash ${hash}`,
+        data: hash,
+        findings: [createFinding(RULES.ethSign, { affected, evidence: { method, account: params[0], hash } })]
+      };
+    }
+
+    if (method === 'personal_sign') {
+      return { ...base, ...decodePersonalMessage(params, context.account), findings: [] };
+    }
+
+    if (method.startsWith('eth_signTypedData')) {
+      const typedData = parseTypedData(method, params);
+      if (!typedData) {
+        return { ...base, kind: 'typed-data', summary: 'Legacy (v1) typed data', data: params[0], findings: [] };
+      }
+      return { ...base, ...decodeTypedData(typedData, method, affected) };
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not decode ${method} request:`, error.message);
+    failure = error.message;
+  }
+
+  return {
+    ...base,
+    kind: 'unknown',
+    summary: `${method} request that could not be decoded`,
+    data: params,
+    findings: [createFinding(RULES.undecodable, {
+      title: `${method} request could not be decoded`,
+      affected,
+      evidence: { method, error: failure }
+    })]
+  };
+}
+
+/**
+ * personal_sign takes [message, account], but some dApps swap the two
+ */
+function decodePersonalMessage(params, account) {
+  const isAccount = value => ethers.utils.isHexString(value, 20) &&
+    (!account || value.toLowerCase() === account.toLowerCase());
+  const message = isAccount(params[0]) && !isAccount(params[1]) ? params[1] : params[0];
+
+  if (!ethers.utils.isHexString(message)) {
+    return { kind: 'message', summary: `Sign message: "${message}"`, message };
+  }
+
+  try {
+    const text = ethers.utils.toUtf8String(message);
+    // Control characters mean this was binary data, not text
+    if (!/[\x00-\x08\x0e-\x1f]/.test(text)) {
+      return { kind: 'message', summary: `Sign message: "${text}"`, message: text, data: message };
+    }
+  } catch (error) {
+    // Not UTF-8; fall through to the binary description
+  }
+
+  const size = ethers.utils.hexDataLength(message);
+  return {
+    kind: 'binary-message',
+    summary: size === 32 ? `Sign opaque 32-byte value ${message}` : `Sign ${size} bytes of binary data`,
+    data: message
+  };
+}
+
+function parseTypedData(method, params) {
+  // v1 takes [typedDataArray, account]; v3/v4 take [account, typedData]
+  const raw = params.find(param => typeof param === 'object' && !Array.isArray(param)) ??
+    params.find(param => typeof param === 'string' && param.trim().startsWith('{'));
+  if (!raw) return null;
+
+  return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+/**
+ * Recognise the typed-data structures drainers ask for; anything else is described generically
+ */
+function decodeTypedData(typedData, method, affected) {
+  const { domain = {}, primaryType, message = {} } = typedData;
+  const contract = domain.verifyingContract ? domain.verifyingContract.toLowerCase() : null;
+  const app = domain.name || contract || 'unknown app';
+  const decoded = {
+    kind: 'typed-data',
+    domain,
+    primaryType,
+    message
+  };
+  const evidence = { method, domain, primaryType };
+
+  if (contract === PERMIT2_ADDRESS && primaryType in PERMIT2_DECODERS) {
+    const { summary, spender, tokens } = PERMIT2_DECODERS[primaryType](message);
+    const unlimited = tokens.some(token => token.unlimited);
+    const known = KNOWN_SPENDERS[spender.toLowerCase()];
+    return {
+      ...decoded,
+      kind: 'permit2',
+      summary,
+      findings: [createFinding(RULES.permit2, {
+        title: `Permit2 ${primaryType} lets ${known || spender} spend ${describeTokens(tokens)}`,
+        severity: known ? 'low' : unlimited ? 'critical' : 'high',
+        affected,
+        evidence: { ...evidence, spender, tokens }
+      })]
+    };
+  }
+
+  if (primaryType === 'Permit' && message.spender) {
+    // ERC-2612 uses value/deadline; DAI-style permits use allowed/expiry
+    const unlimited = message.allowed === true || isUnlimited(message.value);
+    const amount = message.allowed !== undefined ? (message.allowed ? 'unlimited' : 'nothing') : formatAmount(message.value);
+    const deadline = formatTimestamp(message.deadline ?? message.expiry);
+    const known = KNOWN_SPENDERS[message.spender.toLowerCase()];
+    const summary = `Allow ${known || message.spender} to spend ${amount} ${app} (${domain.verifyingContract}) until ${deadline}`;
+    return {
+      ...decoded,
+      kind: 'permit',
+      summary,
+      findings: [createFinding(RULES.permit, {
+        title: `Permit lets ${known || message.spender} spend ${amount} ${app}`,
+        severity: known ? 'low' : unlimited ? 'critical' : 'high',
+        affected,
+        evidence: { ...evidence, spender: message.spender, token: domain.verifyingContract, amount, deadline }
+      })]
+    };
+  }
+
+  if (primaryType === 'OrderComponents' && domain.name === 'Seaport') {
+    return { ...decoded, kind: 'seaport-order', ...decodeSeaportOrder(message, evidence, affected) };
+  }
+
+  if (domain.name === 'Blur Exchange' && (primaryType === 'Order' || primaryType === 'Root')) {
+    return { ...decoded, kind: 'blur-order', ...decodeBlurOrder(primaryType, message, evidence, affected) };
+  }
+
+  return {
+    ...decoded,
+    summary: `Sign ${primaryType || 'typed data'} for ${app}${domain.chainId ? ` on chain ${domain.chainId}` : ''}`,
+    findings: []
+  };
+}
+
+const PERMIT2_DECODERS = {
+  PermitSingle: message => permit2Allowance(message.spender, [message.details], message.sigDeadline),
+  PermitBatch: message => permit2Allowance(message.spender, message.details, message.sigDeadline),
+  PermitTransferFrom: message => permit2Transfer(message.spender, [message.permitted], message.deadline),
+  PermitBatchTransferFrom: message => permit2Transfer(message.spender, message.permitted, message.deadline),
+  PermitWitnessTransferFrom: message => permit2Transfer(message.spender, [message.permitted], message.deadline)
+};
+
+function permit2Allowance(spender, details, deadline) {
+  const tokens = details.map(detail => ({
+    token: detail.token,
+    amount: formatAmount(detail.amount),
+    unlimited: isUnlimited(detail.amount),
+    expiration: formatTimestamp(detail.expiration)
+  }));
+  return {
+    spender,
+    tokens,
+    summary: `Allow ${spender} to spend ${describeTokens(tokens)} through Permit2 (signature valid until ${formatTimestamp(deadline)})`
+  };
+}
+
+function permit2Transfer(spender, permitted, deadline) {
+  const tokens = permitted.map(item => ({
+    token: item.token,
+    amount: formatAmount(item.amount),
+    unlimited: isUnlimited(item.amount)
+  }));
+  return {
+    spender,
+    tokens,
+    summary: `Let ${spender} transfer ${describeTokens(tokens)} out of your wallet once, until ${formatTimestamp(deadline)}`
+  };
+}
+
+/**
+ * A Seaport listing is only safe if the offerer is paid something for what they offer
+ */
+function decodeSeaportOrder(message, evidence, affected) {
+  const offerer = (message.offerer || '').toLowerCase();
+  const offer = (message.offer || []).map(describeItem);
+  const consideration = message.consideration || [];
+  const payment = consideration
+    .filter(item => PAYMENT_ITEM_TYPES.includes(Number(item.itemType)) && (item.recipient || '').toLowerCase() === offerer)
+    .reduce((sum, item) => sum.add(item.startAmount || 0), ethers.BigNumber.from(0));
+  const recipients = [...new Set(consideration.map(item => item.recipient).filter(r => r && r.toLowerCase() !== offerer))];
+
+  const summary = `Seaport order offering ${offer.join(', ') || 'nothing'} for ${payment.isZero() ? 'no payment' : `${formatAmount(payment)} (raw units)`}` +
+    (recipients.length > 0 ? `; items go to ${recipients.join(', ')}` : '');
+
+  const findings = offer.length > 0 && payment.isZero()
+    ? [createFinding(RULES.seaportZeroPrice, {
+      title: `Seaport order gives away ${offer.join(', ')} to ${recipients.join(', ') || 'anyone who fills it'}`,
+      affected,
+      evidence: { ...evidence, offerer: message.offerer, offer, recipients }
+    })]
+    : [];
+
+  return { summary, findings };
+}
+
+/**
+ * Blur sell orders with no price, or bulk roots whose orders cannot be read, hand NFTs away
+ */
+function decodeBlurOrder(primaryType, message, evidence, affected) {
+  if (primaryType === 'Root') {
+    return {
+      summary: `Blur bulk listing: signs Merkle root ${message.root} covering orders the wallet cannot show`,
+      findings: [createFinding(RULES.blurOrder, {
+        title: 'Blur bulk listing signs orders that cannot be inspected',
+        affected,
+        evidence: { ...evidence, root: message.root }
+      })]
+    };
+  }
+
+  const side = Number(message.side) === 1 ? 'Sell' : 'Buy';
+  const price = ethers.BigNumber.from(message.price || 0);
+  const summary = `Blur ${side.toLowerCase()} order: ${message.collection} #${message.tokenId} for ${formatAmount(price)} of ${message.paymentToken}`;
+  const findings = side === 'Sell' && price.isZero()
+    ? [createFinding(RULES.blurOrder, {
+      title: `Blur order sells ${message.collection} #${message.tokenId} for nothing`,
+      severity: 'critical',
+      confidence: 'high',
+      affected,
+      evidence: { ...evidence, trader: message.trader, collection: message.collection, tokenId: String(message.tokenId) }
+    })]
+    : [];
+
+  return { summary, findings };
+}
+
+function describeItem(item) {
+  const type = ITEM_TYPES[Number(item.itemType)] || `item type ${item.itemType}`;
+  const id = Number(item.itemType) >= 2 ? ` #${item.identifierOrCriteria}` : '';
+  return `${formatAmount(item.startAmount)} ${type} ${item.token}${id}`;
+}
+
+function describeTokens(tokens) {
+  return tokens.map(token => `${token.amount} of ${token.token}`).join(', ');
+}
+
+function isUnlimited(amount) {
+  try {
+    return ethers.BigNumber.from(amount ?? 0).gte(UNLIMITED_THRESHOLD);
+  } catch (error) {
+    return false;
+  }
+}
+
+function formatAmount(amount) {
+  return isUnlimited(amount) ? 'unlimited' : String(ethers.BigNumber.from(amount ?? 0));
+}
+
+function formatTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!seconds) return 'no deadline';
+  if (seconds >= UNIX_MAX_DATE) return 'never';
+  return new Date(seconds * 1000).toISOString();
+}
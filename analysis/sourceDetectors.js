@@ -0,0 +1,326 @@
+import { parse } from '@solidity-parser/parser';
+import { createFinding } from '../utils/findings.js';
+
+// Functions that sit on the token transfer path
+const TRANSFER_FUNCTIONS = [
+  '_transfer',
+  '_update',
+  '_beforeTokenTransfer',
+  '_tokenTransfer',
+  'transfer',
+  'transferFrom'
+];
+
+const OWNER_MODIFIER_REGEX = /^(only(Owner|Admin|Role|Operator|Dev|Governance|Manager|Authorized)|auth|authorized)$/i;
+const OWNER_CHECK_REGEX = /require\s*\(\s*(msg\.sender|_msgSender\(\))\s*==\s*_?owner|_checkOwner\s*\(/;
+const LIST_NAME_REGEX = /black|white|bot|block|ban|sniper|frozen|freeze|allowed/i;
+const FEE_NAME_REGEX = /fee|tax/i;
+const LIMIT_NAME_REGEX = /max(Tx|Transaction|Wallet|Hold|Buy|Sell)/i;
+const PAUSE_REGEX = /\b(paused\s*\(\s*\)|_paused|tradingEnabled|tradingOpen|tradingActive|tradingOpened)\b/;
+const MINT_REGEX = /\b_mint\s*\(|\b_?totalSupply\s*\+=|\b_?totalSupply\s*=\s*_?totalSupply\s*\+/;
+const FULL_BALANCE_REGEX = /address\s*\(\s*this\s*\)\s*\.balance|balanceOf\s*\(\s*address\s*\(\s*this\s*\)\s*\)/;
+const PAYOUT_REGEX = /\.(transfer|send|call)\s*[({]|\bsafeTransfer\s*\(|\btransfer\s*\(/;
+
+/**
+ * Rules behind each source detector. Titles are replaced with the specific function and
+ * variable when a finding is raised.
+ */
+const SOURCE_RULES = {
+  'owner-mint': {
+    id: 'source/owner-mint',
+    title: 'Owner can mint new tokens',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'token-mechanics',
+    remediation: 'Cap total supply or remove owner minting; otherwise holders can be diluted at any time.'
+  },
+  'transfer-list': {
+    id: 'source/transfer-list',
+    title: 'Transfers are checked against an address list',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'token-mechanics',
+    remediation: 'Check whether the owner can add arbitrary holders to the list and block their sells.'
+  },
+  'unbounded-fee': {
+    id: 'source/unbounded-fee',
+    title: 'Owner can set a fee without an upper bound',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'token-mechanics',
+    remediation: 'Enforce a maximum fee in the setter so transfers cannot be taxed at 100%.'
+  },
+  'pausable-transfers': {
+    id: 'source/pausable-transfers',
+    title: 'Transfers can be paused',
+    severity: 'medium',
+    confidence: 'medium',
+    category: 'token-mechanics',
+    remediation: 'Confirm who controls the pause switch and whether it can be used to trap holders.'
+  },
+  'transfer-limit': {
+    id: 'source/transfer-limit',
+    title: 'Transfer amounts are limited',
+    severity: 'medium',
+    confidence: 'medium',
+    category: 'token-mechanics',
+    remediation: 'Check that the owner cannot lower the limit to block selling.'
+  },
+  'owner-withdraw-all': {
+    id: 'source/owner-withdraw-all',
+    title: "Owner can withdraw the contract's entire balance",
+    severity: 'high',
+    confidence: 'medium',
+    category: 'access-control',
+    remediation: 'Funds held by the contract can be drained by the owner; do not deposit more than you can lose.'
+  }
+};
+
+/**
+ * Split an Etherscan SourceCode field into files. Multi-file contracts come either as a
+ * plain `{ "File.sol": { content } }` map or as standard JSON input wrapped in `{{ }}`.
+ */
+export function parseSourceFiles(sourceCode, contractName = 'Contract') {
+  const trimmed = sourceCode.trim();
+
+  if (trimmed.startsWith('{')) {
+    try {
+      const json = JSON.parse(trimmed.startsWith('{{') ? trimmed.slice(1, -1) : trimmed);
+      const sources = json.sources || json;
+
+      return Object.entries(sources)
+        .filter(([, file]) => typeof file?.content === 'string')
+        .map(([path, file]) => ({ path, content: file.content }));
+    } catch (error) {
+      // Not JSON after all; treat it as a single Solidity file
+    }
+  }
+
+  return [{ path: `${contractName}.sol`, content: sourceCode }];
+}
+
+/**
+ * Run rug-pull pattern detectors over verified Solidity source.
+ * Every finding points at the file and line that triggered it.
+ */
+export function detectSourcePatterns(sourceCode, contractName) {
+  const program = { stateVariables: [], functions: [] };
+
+  for (const file of parseSourceFiles(sourceCode, contractName)) {
+    collectDefinitions(file, program);
+  }
+
+  const findings = [
+    ...detectOwnerMint(program),
+    ...detectTransferLists(program),
+    ...detectUnboundedFees(program),
+    ...detectPausableTransfers(program),
+    ...detectTransferLimits(program),
+    ...detectWithdrawAll(program)
+  ];
+
+  const seen = new Set();
+  return findings.filter(finding => {
+    const key = `${finding.rule}:${finding.file}:${finding.line}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Turn a source detector result into a structured finding against the contract
+ */
+export function createSourceFinding(sourceFinding, address) {
+  return createFinding(SOURCE_RULES[sourceFinding.rule], {
+    title: sourceFinding.title,
+    affected: { type: 'contract', value: address },
+    evidence: {
+      file: sourceFinding.file,
+      line: sourceFinding.line,
+      contract: sourceFinding.contract,
+      function: sourceFinding.function
+    }
+  });
+}
+
+/**
+ * Parse one file and record its state variables and functions. Definitions from all
+ * files are pooled so that inherited state is visible to derived contracts.
+ */
+function collectDefinitions(file, program) {
+  let ast;
+  try {
+    ast = parse(file.content, { loc: true, range: true, tolerant: true });
+  } catch (error) {
+    console.log(`⚠️  Could not parse ${file.path}:`, error.message);
+    return;
+  }
+
+  for (const contract of ast.children.filter(node => node.type === 'ContractDefinition')) {
+    for (const node of contract.subNodes) {
+      if (node.type === 'StateVariableDeclaration') {
+        for (const variable of node.variables) {
+          program.stateVariables.push({ name: variable.name, typeName: variable.typeName });
+        }
+      }
+
+      if (node.type === 'FunctionDefinition' && node.body) {
+        const text = file.content.slice(node.range[0], node.range[1] + 1);
+        const modifiers = node.modifiers.map(modifier => modifier.name);
+
+        program.functions.push({
+          name: node.name || (node.isConstructor ? 'constructor' : node.kind),
+          contract: contract.name,
+          file: file.path,
+          line: node.loc.start.line,
+          text,
+          modifiers,
+          params: node.parameters.map(param => param.name).filter(Boolean),
+          isConstructor: node.isConstructor,
+          ownerOnly: modifiers.some(name => OWNER_MODIFIER_REGEX.test(name)) || OWNER_CHECK_REGEX.test(text)
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Owner-only functions that create new supply
+ */
+function detectOwnerMint(program) {
+  return ownerFunctions(program)
+    .filter(fn => MINT_REGEX.test(fn.text))
+    .map(fn => finding('owner-mint', `Owner can mint new tokens via ${fn.name}()`, fn, MINT_REGEX));
+}
+
+/**
+ * Address blacklists/whitelists consulted on the transfer path
+ */
+function detectTransferLists(program) {
+  const lists = program.stateVariables.filter(variable =>
+    isAddressToBoolMapping(variable.typeName) &&
+    LIST_NAME_REGEX.test(variable.name) &&
+    !FEE_NAME_REGEX.test(variable.name)
+  );
+
+  return transferFunctions(program).flatMap(fn => lists
+    .map(list => ({ list, regex: new RegExp(`${identifier(list.name)}\\s*\\[`) }))
+    .filter(({ regex }) => regex.test(fn.text))
+    .map(({ list, regex }) =>
+      finding('transfer-list', `Transfers are checked against address list ${list.name} in ${fn.name}()`, fn, regex)
+    )
+  );
+}
+
+/**
+ * Owner-settable fee/tax variables without an upper bound
+ */
+function detectUnboundedFees(program) {
+  const fees = program.stateVariables
+    .filter(variable => FEE_NAME_REGEX.test(variable.name) && variable.typeName?.type === 'ElementaryTypeName')
+    .map(variable => variable.name);
+
+  return ownerFunctions(program).flatMap(fn => fees
+    .map(fee => ({ fee, regex: new RegExp(`${identifier(fee)}\\s*=\\s*([^;=][^;]*);`) }))
+    .filter(({ fee, regex }) => {
+      const assignment = fn.text.match(regex);
+      if (!assignment) return false;
+
+      // Only assignments from caller input matter; constants are bounded by definition
+      const inputs = fn.params.filter(param => new RegExp(identifier(param)).test(assignment[1]));
+      return inputs.length > 0 && !hasUpperBound(fn.text, [fee, ...inputs]);
+    })
+    .map(({ fee, regex }) =>
+      finding('unbounded-fee', `Owner can set ${fee} without an upper bound via ${fn.name}()`, fn, regex)
+    )
+  );
+}
+
+/**
+ * Transfers gated by a pause flag or trading switch
+ */
+function detectPausableTransfers(program) {
+  return transferFunctions(program)
+    .filter(fn => fn.modifiers.includes('whenNotPaused') || PAUSE_REGEX.test(fn.text))
+    .map(fn => finding('pausable-transfers', `Transfers can be paused in ${fn.name}()`, fn, PAUSE_REGEX));
+}
+
+/**
+ * Max-transaction and max-wallet limits enforced on transfers
+ */
+function detectTransferLimits(program) {
+  const limits = program.stateVariables.filter(variable => LIMIT_NAME_REGEX.test(variable.name));
+
+  return transferFunctions(program).flatMap(fn => limits
+    .map(limit => ({ limit, regex: new RegExp(identifier(limit.name)) }))
+    .filter(({ regex }) => regex.test(fn.text))
+    .map(({ limit, regex }) =>
+      finding('transfer-limit', `Transfer amounts are limited by ${limit.name} in ${fn.name}()`, fn, regex)
+    )
+  );
+}
+
+/**
+ * Owner-only functions that pay out the contract's entire ETH or token balance
+ */
+function detectWithdrawAll(program) {
+  return ownerFunctions(program)
+    .filter(fn => FULL_BALANCE_REGEX.test(fn.text) && PAYOUT_REGEX.test(fn.text))
+    .map(fn => finding(
+      'owner-withdraw-all',
+      `Owner can withdraw the contract's entire balance via ${fn.name}()`,
+      fn,
+      FULL_BALANCE_REGEX
+    ));
+}
+
+function ownerFunctions(program) {
+  return program.functions.filter(fn => fn.ownerOnly && !fn.isConstructor);
+}
+
+function transferFunctions(program) {
+  return program.functions.filter(fn => TRANSFER_FUNCTIONS.includes(fn.name));
+}
+
+function isAddressToBoolMapping(typeName) {
+  return typeName?.type === 'Mapping' &&
+    typeName.keyType?.name === 'address' &&
+    typeName.valueType?.name === 'bool';
+}
+
+/**
+ * Look for a require/if comparing any of the names against a maximum
+ */
+function hasUpperBound(text, names) {
+  const alternatives = identifier(...names);
+  const below = new RegExp(`(require|if)\\s*\\([^;]*${alternatives}\\s*(<=|<|>=|>)`);
+  const above = new RegExp(`(require|if)\\s*\\([^;]*(<=|<|>=|>)\\s*${alternatives}`);
+  return below.test(text) || above.test(text);
+}
+
+/**
+ * Pattern matching any of the Solidity identifiers as a whole word. Identifiers may contain $,
+ * which is both a regex anchor and outside \b's idea of a word
+ */
+function identifier(...names) {
+  const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `(?<![\\w$])(?:${escaped.join('|')})(?![\\w$])`;
+}
+
+/**
+ * Build a finding located at the first match of the regex inside the function
+ */
+function finding(rule, title, fn, regex) {
+  const index = fn.text.search(regex);
+  const line = index >= 0 ? fn.line + fn.text.slice(0, index).split('\n').length - 1 : fn.line;
+
+  return {
+    rule,
+    title,
+    file: fn.file,
+    line,
+    contract: fn.contract,
+    function: fn.name
+  };
+}
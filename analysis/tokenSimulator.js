@@ -0,0 +1,411 @@
+import { ethers } from 'ethers';
+import {
+  createSimulationNetwork,
+  sendTransaction,
+  staticCall,
+  getBalance,
+  prepareAccount,
+  readTokenMetadata
+} from '../utils/simulationNetwork.js';
+import { createFinding } from '../utils/findings.js';
+
+/**
+ * Honeypot and transfer-tax checks for ERC-20s. Each token is bought through the chain's
+ * Uniswap V2-compatible router (or minted by writing its balance slot), moved between two
+ * fresh accounts and sold back, all on a Hardhat fork (see simulationNetwork.js).
+ */
+const ERC20_INTERFACE = new ethers.utils.Interface([
+  'function balanceOf(address account) view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+const ROUTER_INTERFACE = new ethers.utils.Interface([
+  'function WETH() view returns (address)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+
+// Selectors every ERC-20 exposes: transfer, balanceOf, totalSupply, approve
+export const ERC20_SELECTORS = ['0xa9059cbb', '0x70a08231', '0x18160ddd', '0x095ea7b3'];
+
+// Common getters for anti-whale limits
+const LIMIT_GETTERS = {
+  maxTransaction: ['maxTxAmount()', '_maxTxAmount()', 'maxTransactionAmount()', 'maxTxnAmount()'],
+  maxWallet: ['maxWallet()', '_maxWalletSize()', 'maxWalletSize()', 'maxWalletAmount()', '_maxWalletToken()']
+};
+
+// Native currency spent on the test buy
+const BUY_AMOUNT = ethers.utils.parseEther('0.1');
+const GAS_BALANCE = ethers.utils.parseEther('10');
+
+// Balance slots probed when the token cannot be bought
+const MAX_BALANCE_SLOT = 50;
+
+// Taxes below this (percent) are rounding, not a tax; quotes already include the pool fee
+const TAX_TOLERANCE = 0.5;
+
+// When a full-size transfer or sell reverts, retry with this share (percent) to spot limits
+const LIMIT_PROBE_PERCENT = 1;
+
+// Fresh accounts with no history or allowlist entries
+const BUYER = freshAccount('buyer');
+const HOLDER = freshAccount('holder');
+
+const RULES = {
+  honeypot: {
+    id: 'token/honeypot',
+    title: 'Token cannot be sold',
+    severity: 'critical',
+    confidence: 'high',
+    category: 'token',
+    remediation: 'Selling reverts for ordinary holders; anything bought can never be sold. Do not buy this token.'
+  },
+  buyTax: {
+    id: 'token/buy-tax',
+    title: 'Token charges a buy tax',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'token',
+    remediation: 'Part of every purchase is taken by the contract; check whether the owner can raise it.'
+  },
+  sellTax: {
+    id: 'token/sell-tax',
+    title: 'Token charges a sell tax',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'token',
+    remediation: 'Part of every sale is taken by the contract; high sell taxes are a soft honeypot.'
+  },
+  transferTax: {
+    id: 'token/transfer-tax',
+    title: 'Token charges a transfer tax',
+    severity: 'medium',
+    confidence: 'high',
+    category: 'token',
+    remediation: 'Wallet-to-wallet transfers lose part of the amount; integrations may break.'
+  },
+  transferBlocked: {
+    id: 'token/transfer-blocked',
+    title: 'Transfers between wallets revert',
+    severity: 'high',
+    confidence: 'high',
+    category: 'token',
+    remediation: 'Holders cannot move the token; trading may be paused or fresh wallets blacklisted.'
+  },
+  transactionLimit: {
+    id: 'token/transaction-limit',
+    title: 'Token limits transaction or wallet size',
+    severity: 'low',
+    confidence: 'medium',
+    category: 'token',
+    remediation: 'Large sells may revert; check who can change the limits.'
+  }
+};
+
+/**
+ * Simulate buying, transferring and selling each token, each from the same starting state.
+ * options: { chainId, router, fork, forkUrl, blockNumber }.
+ * Returns { results, findings } with one result per token.
+ */
+export async function simulateTokens(tokens, options = {}) {
+  if (tokens.length === 0) return { results: [], findings: [] };
+
+  let network;
+  try {
+    network = await createSimulationNetwork(options);
+  } catch (error) {
+    console.log('⚠️  Could not start the simulation network:', error.message);
+    return { results: tokens.map(address => ({ address, error: error.message })), findings: [] };
+  }
+
+  const router = options.router || process.env.SIMULATION_DEX_ROUTER || network.chain.dexRouter || null;
+  const results = [];
+  const findings = [];
+
+  for (const address of tokens) {
+    const snapshot = await network.request({ method: 'evm_snapshot', params: [] });
+    try {
+      const result = await simulateToken(network, address, router);
+      results.push(result);
+      findings.push(...tokenFindings(result));
+    } catch (error) {
+      console.log(`⚠️  Could not simulate token ${address}:`, error.message);
+      results.push({ address, error: error.message });
+    } finally {
+      await network.request({ method: 'evm_revert', params: [snapshot] });
+    }
+  }
+
+  console.log(`🍯 Simulated ${tokens.length} token(s) on ${network.description}`);
+  return { results, findings };
+}
+
+async function simulateToken(network, address, router) {
+  const { symbol, decimals } = await readTokenMetadata(network, address);
+  const result = {
+    address,
+    symbol,
+    decimals,
+    router,
+    acquiredVia: null,
+    buyTax: null,
+    transferTax: null,
+    sellTax: null,
+    buyReverts: null,
+    transferReverts: null,
+    sellReverts: null,
+    revertReasons: {},
+    limits: await readLimits(network, address, decimals)
+  };
+
+  await prepareAccount(network, BUYER, GAS_BALANCE.add(BUY_AMOUNT));
+  await prepareAccount(network, HOLDER, GAS_BALANCE);
+  const weth = router ? (await staticCall(network, router, ROUTER_INTERFACE.encodeFunctionData('WETH'), ['address']))?.[0] : null;
+
+  // 1. Acquire: buy through the router, or write the balance directly
+  if (weth) {
+    const expected = await quote(network, router, BUY_AMOUNT, [weth, address]);
+    if (expected) {
+      const buy = await sendTransaction(network, {
+        from: BUYER,
+        to: router,
+        value: BUY_AMOUNT,
+        data: ROUTER_INTERFACE.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [
+          0, [weth, address], BUYER, deadline()
+        ])
+      });
+      result.buyReverts = !buy.success;
+      if (buy.success) {
+        result.acquiredVia = 'dex';
+        result.buyTax = taxPercent(expected, await balanceOf(network, address, BUYER));
+      } else {
+        result.revertReasons.buy = buy.revertReason;
+      }
+    }
+  }
+
+  if (!result.acquiredVia && await setBalance(network, address, BUYER, ethers.utils.parseUnits('1000', decimals ?? 18))) {
+    result.acquiredVia = 'storage';
+  }
+
+  if (!result.acquiredVia) {
+    result.error = 'Could not acquire the token through the router or its balance storage';
+    return result;
+  }
+
+  // 2. Transfer between fresh accounts
+  const transfer = await transferWithLimitProbe(network, address, BUYER, HOLDER, (await balanceOf(network, address, BUYER)).div(2));
+  result.transferReverts = !transfer.success;
+  if (!transfer.success) {
+    result.revertReasons.transfer = transfer.revertReason;
+    return result;
+  }
+  result.transferTax = taxPercent(transfer.amount, await balanceOf(network, address, HOLDER));
+  result.limits.transferLimited = transfer.limited;
+
+  // 3. Sell back to the pool
+  if (!weth) return result;
+
+  await sendTransaction(network, {
+    from: HOLDER,
+    to: address,
+    data: ERC20_INTERFACE.encodeFunctionData('approve', [router, ethers.constants.MaxUint256])
+  });
+
+  const holding = await balanceOf(network, address, HOLDER);
+  let sell = await sellTokens(network, router, weth, address, holding);
+  if (!sell.success && sell.expected) {
+    const probe = await sellTokens(network, router, weth, address, holding.mul(LIMIT_PROBE_PERCENT).div(100));
+    if (probe.success) {
+      result.limits.sellLimited = true;
+      result.revertReasons.sell = sell.revertReason;
+      sell = probe;
+    }
+  }
+
+  if (sell.expected) {
+    result.sellReverts = !sell.success;
+    if (sell.success) {
+      result.sellTax = taxPercent(sell.expected, sell.received);
+    } else {
+      result.revertReasons.sell = sell.revertReason;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Transfer, retrying with a small amount when the full one reverts
+ */
+async function transferWithLimitProbe(network, token, from, to, amount) {
+  const send = value => sendTransaction(network, {
+    from,
+    to: token,
+    data: ERC20_INTERFACE.encodeFunctionData('transfer', [to, value])
+  });
+
+  const full = await send(amount);
+  if (full.success) return { ...full, amount, limited: false };
+
+  const small = amount.mul(LIMIT_PROBE_PERCENT).div(100);
+  const probe = await send(small);
+  return probe.success
+    ? { ...probe, amount: small, limited: true }
+    : { ...full, amount, limited: false };
+}
+
+/**
+ * Sell from the holder; received is the native currency gained, not counting gas
+ */
+async function sellTokens(network, router, weth, token, amount) {
+  const expected = await quote(network, router, amount, [token, weth]);
+  if (!expected) return { success: false, expected: null };
+
+  const before = await getBalance(network, HOLDER);
+  const sell = await sendTransaction(network, {
+    from: HOLDER,
+    to: router,
+    data: ROUTER_INTERFACE.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [
+      amount, 0, [token, weth], HOLDER, deadline()
+    ])
+  });
+  const received = (await getBalance(network, HOLDER)).sub(before).add(sell.gasCost);
+
+  return { ...sell, expected, received };
+}
+
+/**
+ * Find the balances mapping by writing candidate slots until balanceOf changes.
+ * Solidity keys mappings as keccak(key . slot), Vyper as keccak(slot . key).
+ */
+async function setBalance(network, token, account, amount) {
+  const value = ethers.utils.hexZeroPad(amount.toHexString(), 32);
+
+  for (let slot = 0; slot <= MAX_BALANCE_SLOT; slot++) {
+    for (const types of [['address', 'uint256'], ['uint256', 'address']]) {
+      const values = types[0] === 'address' ? [account, slot] : [slot, account];
+      const key = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(types, values));
+      const original = await network.request({ method: 'eth_getStorageAt', params: [token, key, 'latest'] });
+
+      await network.request({ method: 'hardhat_setStorageAt', params: [token, key, value] });
+      if ((await balanceOf(network, token, account)).eq(amount)) return true;
+      await network.request({ method: 'hardhat_setStorageAt', params: [token, key, ethers.utils.hexZeroPad(original, 32)] });
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Read anti-whale limits from the usual getters, ignoring ones at or above total supply
+ */
+async function readLimits(network, token, decimals) {
+  const supply = (await staticCall(network, token, ERC20_INTERFACE.encodeFunctionData('totalSupply'), ['uint256']))?.[0];
+  const limits = {};
+
+  for (const [limit, getters] of Object.entries(LIMIT_GETTERS)) {
+    for (const getter of getters) {
+      const value = (await staticCall(network, token, ethers.utils.id(getter).slice(0, 10), ['uint256']))?.[0];
+      if (value && !value.isZero() && (!supply || value.lt(supply))) {
+        limits[limit] = ethers.utils.formatUnits(value, decimals ?? 18);
+        break;
+      }
+    }
+  }
+
+  return limits;
+}
+
+function tokenFindings(result) {
+  const name = result.symbol || result.address;
+  const affected = { type: 'contract', value: result.address };
+  const evidence = {
+    acquiredVia: result.acquiredVia,
+    router: result.router,
+    buyTax: result.buyTax,
+    transferTax: result.transferTax,
+    sellTax: result.sellTax,
+    limits: result.limits,
+    revertReasons: result.revertReasons
+  };
+  const findings = [];
+
+  if (result.sellReverts) {
+    findings.push(createFinding(RULES.honeypot, {
+      title: `${name} cannot be sold (honeypot)`,
+      affected,
+      evidence
+    }));
+  }
+  if (result.transferReverts) {
+    findings.push(createFinding(RULES.transferBlocked, {
+      title: `${name} transfers between wallets revert`,
+      affected,
+      evidence
+    }));
+  }
+
+  const taxes = [
+    [RULES.buyTax, result.buyTax, 'buy'],
+    [RULES.sellTax, result.sellTax, 'sell'],
+    [RULES.transferTax, result.transferTax, 'transfer']
+  ];
+  for (const [rule, tax, kind] of taxes) {
+    if (tax !== null && tax >= TAX_TOLERANCE) {
+      findings.push(createFinding(rule, {
+        title: `${name} has a ${tax}% ${kind} tax`,
+        severity: tax >= 50 ? 'critical' : tax >= 10 ? 'high' : 'medium',
+        affected,
+        evidence
+      }));
+    }
+  }
+
+  const { maxTransaction, maxWallet, transferLimited, sellLimited } = result.limits;
+  if (maxTransaction || maxWallet || transferLimited || sellLimited) {
+    const described = [
+      maxTransaction && `max transaction ${maxTransaction}`,
+      maxWallet && `max wallet ${maxWallet}`,
+      (transferLimited || sellLimited) && 'large transfers revert'
+    ].filter(Boolean);
+    findings.push(createFinding(RULES.transactionLimit, {
+      title: `${name} limits trades: ${described.join(', ')}`,
+      confidence: transferLimited || sellLimited ? 'high' : 'medium',
+      affected,
+      evidence
+    }));
+  }
+
+  return findings;
+}
+
+async function quote(network, router, amount, path) {
+  const amounts = await staticCall(network, router, ROUTER_INTERFACE.encodeFunctionData('getAmountsOut', [amount, path]), ['uint256[]']);
+  return amounts && amounts[0][1].gt(0) ? amounts[0][1] : null;
+}
+
+async function balanceOf(network, token, account) {
+  const result = await staticCall(network, token, ERC20_INTERFACE.encodeFunctionData('balanceOf', [account]), ['uint256']);
+  return result ? result[0] : ethers.constants.Zero;
+}
+
+/**
+ * Share of the expected amount that did not arrive, in percent with two decimals
+ */
+function taxPercent(expected, received) {
+  if (expected.isZero()) return null;
+  const lost = expected.sub(received);
+  return lost.lte(0) ? 0 : lost.mul(10000).add(expected.div(2)).div(expected).toNumber() / 100;
+}
+
+function deadline() {
+  return Math.floor(Date.now() / 1000) + 3600;
+}
+
+function freshAccount(label) {
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id(`token-simulation:${label}`), 12));
+}
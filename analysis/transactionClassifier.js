@@ -0,0 +1,405 @@
+import { ethers } from 'ethers';
+import { fetchCode, fetchTransactionCount } from '../utils/fetchContractCode.js';
+import { createFinding } from '../utils/findings.js';
+
+/**
+ * Token and batching calls that drainer kits use to take a victim's assets
+ */
+const TOKEN_INTERFACE = new ethers.utils.Interface([
+  'function approve(address spender, uint256 amount)',
+  'function increaseAllowance(address spender, uint256 addedValue)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function transfer(address to, uint256 amount)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+  'function multicall(bytes[] data)',
+  'function multicall(uint256 deadline, bytes[] data)',
+  'function aggregate((address target, bytes callData)[] calls)',
+  'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls)',
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls)',
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls)'
+]);
+
+export const PERMIT2_ADDRESS = '0x000000000022d473030f116ddee9f6b43ac78ba3';
+const PERMIT2_INTERFACE = new ethers.utils.Interface([
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+  'function transferFrom(address from, address to, uint160 amount, address token)',
+  'function transferFrom((address from, address to, uint160 amount, address token)[] transferDetails)'
+]);
+
+/**
+ * Spenders and operators that legitimately ask for approvals, keyed by lowercase address
+ */
+export const KNOWN_SPENDERS = {
+  [PERMIT2_ADDRESS]: 'Uniswap Permit2',
+  '0x7a250d5630b4cf539739df2c5dacb4c659f2488d': 'Uniswap V2 Router',
+  '0xe592427a0aece92de3edee1f18e0157c05861564': 'Uniswap V3 SwapRouter',
+  '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45': 'Uniswap SwapRouter02',
+  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad': 'Uniswap Universal Router',
+  '0x1111111254eeb25477b68fb85ed929f73a960582': '1inch Aggregation Router v5',
+  '0x111111125421ca6dc452d289314280a0f8842a65': '1inch Aggregation Router v6',
+  '0xdef1c0ded9bec7f1a1670819833240f027b25eff': '0x Exchange Proxy',
+  '0x00000000000000adc04c56bf30ac9d3c0aaf14dc': 'OpenSea Seaport 1.5',
+  '0x1e0049783f008a0085193e00003d00cd54003c71': 'OpenSea Conduit'
+};
+
+// Allowances this large are never meant to be spent down; drainers rarely ask for less
+export const UNLIMITED_THRESHOLD = ethers.BigNumber.from(2).pow(96);
+
+// Multicalls inside multicalls are followed this deep
+const MAX_CALL_DEPTH = 3;
+
+const RULES = {
+  unlimitedApproval: {
+    id: 'drainer/unlimited-approval',
+    title: 'Unlimited token approval to an unknown spender',
+    severity: 'critical',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'Never grant unlimited allowances to unknown addresses; approve only the amount you are spending.'
+  },
+  approvalForAll: {
+    id: 'drainer/approval-for-all',
+    title: 'setApprovalForAll grants an unknown operator control of all NFTs',
+    severity: 'critical',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'Reject setApprovalForAll unless the operator is a marketplace you already use.'
+  },
+  increaseAllowance: {
+    id: 'drainer/increase-allowance',
+    title: 'increaseAllowance to an unknown spender',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'increaseAllowance is often used to avoid wallet approval warnings; check the spender first.'
+  },
+  permit2Approval: {
+    id: 'drainer/permit2-approval',
+    title: 'Permit2 approval to an unknown spender',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'Permit2 allowances let the spender move every token approved to Permit2; revoke unknown ones.'
+  },
+  multicallTransfer: {
+    id: 'drainer/multicall-transfer',
+    title: "Multicall bundles transfers of the user's assets",
+    severity: 'critical',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'A batched call that moves your tokens to other addresses is the signature of a drainer.'
+  },
+  ethToFreshEoa: {
+    id: 'drainer/eth-to-fresh-eoa',
+    title: 'ETH sent to a fresh externally owned account',
+    severity: 'high',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'Legitimate dApps receive ETH through contracts; a brand-new wallet as recipient is a red flag.'
+  },
+  malformedTransaction: {
+    id: 'drainer/malformed-transaction',
+    title: 'Transaction request could not be decoded',
+    severity: 'medium',
+    confidence: 'medium',
+    category: 'wallet-drainer',
+    remediation: 'The page asked the wallet to send a transaction with invalid fields; never approve a request your wallet cannot show in full.'
+  }
+};
+
+/**
+ * Decode a captured eth_sendTransaction and flag the patterns wallet drainers rely on.
+ * context: { chainId, account, element, url }.
+ * Returns the decoded actions and any findings, each naming the spender or recipient.
+ */
+export async function classifyTransaction(tx, context) {
+  const affected = context.element
+    ? { type: 'element', value: context.element }
+    : { type: 'url', value: context.url };
+
+  // Every field comes from the page, so a request that cannot be read is reported rather than thrown
+  try {
+    return await classifyCall(tx, context, affected);
+  } catch (error) {
+    return {
+      actions: [],
+      findings: [createFinding(RULES.malformedTransaction, {
+        affected,
+        evidence: { chainId: context.chainId, to: String(tx?.to), value: String(tx?.value), error: error.message }
+      })]
+    };
+  }
+}
+
+/**
+ * Decode a transaction whose fields have not been checked yet; throws on malformed ones
+ */
+async function classifyCall(tx, context, affected) {
+  const account = (typeof tx.from === 'string' ? tx.from : context.account || '').toLowerCase();
+  const call = { to: readAddress(tx.to), data: tx.data || tx.input || '0x', value: readQuantity(tx.value) };
+  const actions = decodeActions(call, account, null, 0);
+  const accounts = new Map();
+  const findings = [];
+
+  // Spenders and recipients are looked up once each
+  const describe = address => {
+    const key = address.toLowerCase();
+    if (!accounts.has(key)) {
+      accounts.set(key, describeAccount(address, context.chainId));
+    }
+    return accounts.get(key);
+  };
+
+  for (const action of actions) {
+    const evidence = { chainId: context.chainId, to: call.to, ...serialize(action) };
+
+    if (action.type === 'approval' && action.amount.gte(UNLIMITED_THRESHOLD)) {
+      const spender = await describe(action.spender);
+      if (!spender.known) {
+        findings.push(createFinding(RULES.unlimitedApproval, {
+          title: `Unlimited approval of token ${action.token} to unknown ${spender.label} ${action.spender}`,
+          confidence: spender.type === 'eoa' ? 'high' : 'medium',
+          affected,
+          evidence: { ...evidence, spenderType: spender.type }
+        }));
+      }
+    }
+
+    if (action.type === 'approval-for-all') {
+      const operator = await describe(action.operator);
+      if (!operator.known) {
+        findings.push(createFinding(RULES.approvalForAll, {
+          title: `setApprovalForAll on ${action.token} to unknown ${operator.label} ${action.operator}`,
+          confidence: operator.type === 'eoa' ? 'high' : 'medium',
+          affected,
+          evidence: { ...evidence, operatorType: operator.type }
+        }));
+      }
+    }
+
+    if (action.type === 'increase-allowance') {
+      const spender = await describe(action.spender);
+      if (!spender.known) {
+        findings.push(createFinding(RULES.increaseAllowance, {
+          title: `increaseAllowance on ${action.token} to unknown ${spender.label} ${action.spender}`,
+          severity: action.amount.gte(UNLIMITED_THRESHOLD) ? 'critical' : 'high',
+          affected,
+          evidence: { ...evidence, spenderType: spender.type }
+        }));
+      }
+    }
+
+    if (action.type === 'permit2-approval') {
+      const spender = await describe(action.spender);
+      if (!spender.known) {
+        findings.push(createFinding(RULES.permit2Approval, {
+          title: `Permit2 approval of token ${action.token} to unknown ${spender.label} ${action.spender}`,
+          severity: action.amount.gte(UNLIMITED_THRESHOLD) ? 'critical' : 'high',
+          affected,
+          evidence: { ...evidence, spenderType: spender.type }
+        }));
+      }
+    }
+
+    if (action.type === 'eth-transfer' && !action.via) {
+      const recipient = await describe(action.recipient);
+      if (recipient.type === 'eoa' && recipient.nonce === 0) {
+        findings.push(createFinding(RULES.ethToFreshEoa, {
+          title: `${ethers.utils.formatEther(action.amount)} ETH sent to fresh EOA ${action.recipient}`,
+          affected,
+          evidence: { ...evidence, nonce: recipient.nonce }
+        }));
+      }
+    }
+  }
+
+  // Transfers only count as a drain when batched; a single transfer is usually a payment
+  const bundled = actions.filter(action =>
+    action.via && (action.type === 'transfer' || action.type === 'eth-transfer')
+  );
+  if (bundled.length > 0) {
+    const recipients = [...new Set(bundled.map(action => action.recipient))];
+    findings.push(createFinding(RULES.multicallTransfer, {
+      title: `${bundled[0].via} moves the user's assets to ${recipients.join(', ')}`,
+      confidence: bundled.some(action => action.type === 'transfer' && action.from) ? 'high' : 'medium',
+      affected,
+      evidence: {
+        chainId: context.chainId,
+        to: call.to,
+        method: bundled[0].via,
+        recipients,
+        transfers: bundled.map(serialize)
+      }
+    }));
+  }
+
+  return { actions: actions.map(serialize), findings };
+}
+
+/**
+ * Checksummed transaction target; throws on anything that is not an address
+ */
+function readAddress(value) {
+  if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+    throw new Error(`invalid to address ${JSON.stringify(value)}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Transaction value as a BigNumber; empty values ('0x', '') mean zero, anything else
+ * that is not a quantity throws
+ */
+function readQuantity(value) {
+  if (value === undefined || value === null || value === '' || value === '0x') {
+    return ethers.constants.Zero;
+  }
+  const amount = ethers.BigNumber.from(value);
+  if (amount.isNegative()) throw new Error(`negative value ${value}`);
+  return amount;
+}
+
+/**
+ * Turn a call into the asset movements and approvals it performs, following multicalls
+ */
+function decodeActions(call, account, via, depth) {
+  const to = call.to ? call.to.toLowerCase() : null;
+  const value = ethers.BigNumber.from(call.value || 0);
+  const data = call.data && call.data !== '0x' ? call.data : null;
+
+  if (!to) return [];
+
+  if (!data) {
+    return value.gt(0) ? [{ type: 'eth-transfer', recipient: call.to, amount: value, via }] : [];
+  }
+
+  if (to === PERMIT2_ADDRESS) {
+    return decodePermit2(call, account, via);
+  }
+
+  const parsed = parse(TOKEN_INTERFACE, data);
+  if (!parsed) return [];
+
+  const args = parsed.args;
+  const method = parsed.name;
+  const selfTargeted = method === 'multicall';
+  // Transfers pulled from another address only matter when it is the user's;
+  // ERC-721 and ERC-1155 transfers carry token ids rather than amounts
+  const pulled = asset => (args.from.toLowerCase() === account
+    ? [{ type: 'transfer', method, token: call.to, from: args.from, recipient: args.to, ...asset, via }]
+    : []);
+
+  switch (parsed.signature) {
+    case 'approve(address,uint256)':
+      return [{ type: 'approval', method, token: call.to, spender: args.spender, amount: args.amount, via }];
+    case 'increaseAllowance(address,uint256)':
+      return [{ type: 'increase-allowance', method, token: call.to, spender: args.spender, amount: args.addedValue, via }];
+    case 'setApprovalForAll(address,bool)':
+      return args.approved ? [{ type: 'approval-for-all', method, token: call.to, operator: args.operator, via }] : [];
+    case 'transfer(address,uint256)':
+      return [{ type: 'transfer', method, token: call.to, recipient: args.to, amount: args.amount, via }];
+    case 'transferFrom(address,address,uint256)':
+      return pulled({ amount: args.amount });
+    case 'safeTransferFrom(address,address,uint256)':
+    case 'safeTransferFrom(address,address,uint256,bytes)':
+      return pulled({ tokenId: args.tokenId });
+    case 'safeTransferFrom(address,address,uint256,uint256,bytes)':
+      return pulled({ tokenId: args.id, amount: args.amount });
+    case 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)':
+      return pulled({ ids: args.ids, amounts: args.amounts });
+  }
+
+  if (depth >= MAX_CALL_DEPTH) return [];
+
+  // Batched calls: self-targeted multicalls run as the user, Multicall3 runs as itself
+  const inner = selfTargeted
+    ? args.data.map(callData => ({ to: call.to, data: callData, value: 0 }))
+    : args.calls.map(c => ({ to: c.target, data: c.callData, value: c.value || 0 }));
+
+  return inner.flatMap(innerCall => {
+    const actions = decodeActions(innerCall, account, `${method}()`, depth + 1);
+    // Inside Multicall3 a plain transfer moves the multicall's own balance, not the user's
+    return selfTargeted ? actions : actions.filter(action => action.type !== 'transfer' || action.from);
+  });
+}
+
+/**
+ * Decode a call to Permit2: approvals, and transfers pulling from the user
+ */
+function decodePermit2(call, account, via) {
+  const parsed = parse(PERMIT2_INTERFACE, call.data);
+  if (!parsed) return [];
+
+  const args = parsed.args;
+  if (parsed.name === 'approve') {
+    return [{
+      type: 'permit2-approval',
+      method: 'Permit2.approve',
+      token: args.token,
+      spender: args.spender,
+      amount: args.amount,
+      expiration: args.expiration,
+      via
+    }];
+  }
+
+  const details = parsed.args.length === 1 ? args.transferDetails : [args];
+  return details
+    .filter(detail => detail.from.toLowerCase() === account)
+    .map(detail => ({
+      type: 'transfer',
+      method: 'Permit2.transferFrom',
+      token: detail.token,
+      from: detail.from,
+      recipient: detail.to,
+      amount: detail.amount,
+      via: via || 'Permit2.transferFrom()'
+    }));
+}
+
+/**
+ * Is an address a known protocol, an EOA (and how fresh) or a contract?
+ */
+async function describeAccount(address, chainId) {
+  const name = KNOWN_SPENDERS[address.toLowerCase()];
+  if (name) {
+    return { known: true, type: 'contract', label: name };
+  }
+
+  try {
+    const code = await fetchCode(address, chainId);
+    if (code && code !== '0x') {
+      return { known: false, type: 'contract', label: 'contract' };
+    }
+
+    const nonce = await fetchTransactionCount(address, chainId);
+    return { known: false, type: 'eoa', nonce, label: nonce === 0 ? 'fresh EOA' : 'EOA' };
+  } catch (error) {
+    console.log(`⚠️  Could not look up ${address}:`, error.message);
+    return { known: false, type: 'unknown', label: 'address' };
+  }
+}
+
+function parse(iface, data) {
+  try {
+    return iface.parseTransaction({ data });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make an action JSON-friendly (BigNumbers become decimal strings)
+ */
+function serialize(action) {
+  const toText = value => (ethers.BigNumber.isBigNumber(value) ? value.toString() : value);
+  return Object.fromEntries(
+    Object.entries(action)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, Array.isArray(value) ? value.map(toText) : toText(value)])
+  );
+}
@@ -0,0 +1,216 @@
+import { ethers } from 'ethers';
+import {
+  createSimulationNetwork,
+  sendTransaction,
+  getBalance,
+  prepareAccount,
+  readTokenMetadata
+} from '../utils/simulationNetwork.js';
+
+/**
+ * Replays captured transactions on an in-process Hardhat network (see simulationNetwork.js)
+ * and reports what they do to the user's assets.
+ */
+const TOPICS = {
+  transfer: ethers.utils.id('Transfer(address,address,uint256)'),
+  approval: ethers.utils.id('Approval(address,address,uint256)'),
+  approvalForAll: ethers.utils.id('ApprovalForAll(address,address,bool)'),
+  transferSingle: ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)'),
+  transferBatch: ethers.utils.id('TransferBatch(address,address,address,uint256[],uint256[])')
+};
+
+// The simulated sender is topped up to this much ETH so value transfers are not rejected
+const SEED_BALANCE = ethers.utils.parseEther('100');
+
+// Allowances this large are shown as "unlimited"
+const UNLIMITED_ALLOWANCE = ethers.BigNumber.from(2).pow(96);
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+/**
+ * Simulate transactions one at a time, each from the same starting state.
+ * options: { chainId, account, fork, forkUrl, blockNumber }.
+ * Returns one result per transaction:
+ * { status: 'success' | 'reverted' | 'error', gasUsed, revertReason, changes }.
+ */
+export async function simulateTransactions(transactions, options = {}) {
+  const account = options.account.toLowerCase();
+  let network;
+
+  try {
+    network = await createSimulationNetwork(options);
+  } catch (error) {
+    console.log('⚠️  Could not start the simulation network:', error.message);
+    return transactions.map(() => ({ status: 'error', error: error.message, changes: [] }));
+  }
+
+  const tokens = new Map();
+  const results = [];
+
+  for (const tx of transactions) {
+    const snapshot = await network.request({ method: 'evm_snapshot', params: [] });
+    try {
+      results.push(await simulateTransaction(network, { ...tx, from: account }, tokens));
+    } catch (error) {
+      console.log(`⚠️  Could not simulate transaction to ${tx.to}:`, error.message);
+      results.push({ status: 'error', error: error.message, changes: [] });
+    } finally {
+      await network.request({ method: 'evm_revert', params: [snapshot] });
+    }
+  }
+
+  console.log(`🧪 Simulated ${transactions.length} transaction(s) on ${network.description}`);
+  return results;
+}
+
+async function simulateTransaction(network, tx, tokens) {
+  const value = ethers.BigNumber.from(tx.value || 0);
+  await prepareAccount(network, tx.from, value.add(SEED_BALANCE));
+  const before = await getBalance(network, tx.from);
+
+  const request = { from: tx.from, to: tx.to, value, data: tx.data || '0x' };
+  if (tx.gas) request.gas = tx.gas;
+
+  const { receipt, success, gasUsed, gasCost, revertReason } = await sendTransaction(network, request);
+
+  if (!success) {
+    return { status: 'reverted', gasUsed: gasUsed.toString(), revertReason, changes: [] };
+  }
+
+  const after = await getBalance(network, tx.from);
+  const changes = [];
+
+  // Net native currency movement, not counting gas
+  const nativeDelta = after.sub(before).add(gasCost);
+  if (!nativeDelta.isZero()) {
+    changes.push(describeChange({
+      type: 'native',
+      direction: nativeDelta.isNegative() ? 'out' : 'in',
+      symbol: network.chain.nativeCurrency.symbol,
+      amount: nativeDelta.abs(),
+      decimals: network.chain.nativeCurrency.decimals,
+      counterparty: nativeDelta.isNegative() && value.gt(0) ? tx.to : null
+    }));
+  }
+
+  for (const log of receipt.logs) {
+    for (const change of decodeLog(log, tx.from)) {
+      changes.push(describeChange({ ...change, ...await tokenMetadata(network, change, tokens) }));
+    }
+  }
+
+  return { status: 'success', gasUsed: gasUsed.toString(), revertReason: null, changes };
+}
+
+/**
+ * Asset movements and approvals in one log that involve the user
+ */
+function decodeLog(log, account) {
+  const [topic, ...indexed] = log.topics;
+  const token = log.address;
+  const addressAt = i => ethers.utils.getAddress(ethers.utils.hexDataSlice(indexed[i], 12));
+  const involves = (...addresses) => addresses.some(address => address.toLowerCase() === account);
+
+  try {
+    if (topic === TOPICS.transfer && indexed.length === 2) {
+      const [from, to] = [addressAt(0), addressAt(1)];
+      if (!involves(from, to)) return [];
+      const [amount] = abiCoder.decode(['uint256'], log.data);
+      return [{ type: 'erc20', direction: involves(from) ? 'out' : 'in', token, amount, counterparty: involves(from) ? to : from }];
+    }
+
+    if (topic === TOPICS.transfer && indexed.length === 3) {
+      const [from, to] = [addressAt(0), addressAt(1)];
+      if (!involves(from, to)) return [];
+      return [{ type: 'erc721', direction: involves(from) ? 'out' : 'in', token, tokenId: ethers.BigNumber.from(indexed[2]), counterparty: involves(from) ? to : from }];
+    }
+
+    if (topic === TOPICS.approval && involves(addressAt(0))) {
+      const spender = addressAt(1);
+      if (indexed.length === 3) {
+        return [{ type: 'erc721', direction: 'approval', token, tokenId: ethers.BigNumber.from(indexed[2]), counterparty: spender }];
+      }
+      const [amount] = abiCoder.decode(['uint256'], log.data);
+      return [{ type: 'erc20', direction: 'approval', token, amount, counterparty: spender }];
+    }
+
+    if (topic === TOPICS.approvalForAll && involves(addressAt(0))) {
+      const [approved] = abiCoder.decode(['bool'], log.data);
+      return approved ? [{ type: 'nft-collection', direction: 'approval', token, counterparty: addressAt(1) }] : [];
+    }
+
+    if (topic === TOPICS.transferSingle || topic === TOPICS.transferBatch) {
+      const [from, to] = [addressAt(1), addressAt(2)];
+      if (!involves(from, to)) return [];
+      const [ids, amounts] = topic === TOPICS.transferSingle
+        ? abiCoder.decode(['uint256', 'uint256'], log.data).map(value => [value])
+        : abiCoder.decode(['uint256[]', 'uint256[]'], log.data);
+      return ids.map((tokenId, i) => ({
+        type: 'erc1155',
+        direction: involves(from) ? 'out' : 'in',
+        token,
+        tokenId,
+        amount: amounts[i],
+        counterparty: involves(from) ? to : from
+      }));
+    }
+  } catch (error) {
+    // Logs that share a topic with these events but not their layout are not asset changes
+  }
+
+  return [];
+}
+
+/**
+ * Symbol and decimals for ERC-20s, name for NFTs; looked up once per token
+ */
+async function tokenMetadata(network, change, tokens) {
+  const key = change.token.toLowerCase();
+  if (!tokens.has(key)) {
+    tokens.set(key, await readTokenMetadata(network, change.token, change.type === 'erc20'));
+  }
+
+  return tokens.get(key);
+}
+
+/**
+ * Attach a plain-language summary, e.g. "Sends 1000.0 USDC to 0xabc…"
+ */
+function describeChange(change) {
+  const name = change.symbol || change.token;
+  let amount = null;
+
+  if (change.amount !== undefined) {
+    amount = change.direction === 'approval' && change.amount.gte(UNLIMITED_ALLOWANCE)
+      ? 'unlimited'
+      : change.decimals !== null && change.decimals !== undefined
+        ? ethers.utils.formatUnits(change.amount, change.decimals)
+        : change.amount.toString();
+  }
+
+  const asset = change.tokenId !== undefined
+    ? `${amount && change.type === 'erc1155' ? `${amount} × ` : ''}${name} #${change.tokenId}`
+    : `${amount} ${name}`;
+
+  let summary;
+  if (change.direction === 'approval') {
+    summary = change.type === 'nft-collection'
+      ? `Lets ${change.counterparty} transfer all of your ${name}`
+      : `Lets ${change.counterparty} spend ${asset}`;
+  } else if (change.direction === 'out') {
+    summary = `Sends ${asset}${change.counterparty ? ` to ${change.counterparty}` : ''}`;
+  } else {
+    summary = `Receives ${asset}${change.counterparty ? ` from ${change.counterparty}` : ''}`;
+  }
+
+  return {
+    type: change.type,
+    direction: change.direction,
+    token: change.token || null,
+    symbol: change.symbol || null,
+    amount,
+    tokenId: change.tokenId !== undefined ? change.tokenId.toString() : null,
+    counterparty: change.counterparty,
+    summary
+  };
+}
@@ -5,10 +5,15 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdir, readFile, writeFile } from 'fs/promises';
 import { analyzeWebsite } from '../analysis/puppeteerScan.js';
+import { resolveWalletOptions } from '../analysis/mockWallet.js';
+import { saveEvidence } from '../analysis/evidenceRecorder.js';
 import { scanContracts } from '../analysis/contractScanner.js';
 import { generateReport } from '../utils/generateReport.js';
+import { getChain } from '../utils/chains.js';
+import { loadScoringPolicy, listPolicies } from '../utils/scoringPolicy.js';
+import { loadPlugins } from '../utils/plugins.js';
 
-const __filename = fileURLToPath(import.meta.URL);
+const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
@@ -19,15 +24,24 @@ app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Serve static files from reports directory
-app.use('/reports', express.static(join(__dirname, '../reports')));
+// Detector plugins come from PLUGIN_DIR / PLUGINS and are shared by every scan
+const plugins = await loadPlugins();
+
+// Serve static files from reports directory. Evidence includes DOM snapshots of scanned
+// (possibly malicious) sites, so nothing served from here may run scripts on our origin.
+app.use('/reports', express.static(join(__dirname, '../reports'), {
+  setHeaders: (res) => {
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+  }
+}));
 
 // API Routes
 
 // Analyze a Web3 dApp
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, chainId, policy: policyName, walletAddress, walletBrand } = req.body;
     
     if (!url) {
       return res.status(400).json({ 
@@ -35,26 +49,63 @@ app.post('/api/analyze', async (req, res) => {
         error: 'URL is required' 
       });
     }
+    
+    if (chainId !== undefined) {
+      try {
+        getChain(chainId);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+    
+    // The wallet's read RPC is server configuration and cannot be chosen over the API
+    try {
+      resolveWalletOptions({ walletAddress, walletBrand });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    // Only bundled policies can be selected over the API, never arbitrary paths
+    let policy;
+    try {
+      policy = loadScoringPolicy(policyName);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
     console.log(`Starting analysis for: ${url}`);
     
     // Step 1: Analyze frontend with Puppeteer
-    const frontendAnalysis = await analyzeWebsite(url);
+    const frontendAnalysis = await analyzeWebsite(url, { chainId, plugins, walletAddress, walletBrand });
     
-    // Step 2: Analyze smart contracts
-    const contractAnalysis = await scanContracts(frontendAnalysis.contracts);
+    // Step 2: Analyze smart contracts on the requested chain, or the one the dApp uses
+    const contractAnalysis = await scanContracts(frontendAnalysis.contracts, {
+      chainId: chainId ?? frontendAnalysis.chainId,
+      plugins
+    });
     
     // Step 3: Generate comprehensive report
-    const report = generateReport({
+    const report = await generateReport({
       url,
       frontendAnalysis,
-      contractAnalysis
+      contractAnalysis,
+      policy,
+      plugins
     });
     
     // Step 4: Save report
     const reportsDir = join(__dirname, '../reports');
     const reportPath = join(reportsDir, `${report.scanId}.json`);
     
+    // Screenshots and DOM snapshots are served from /reports/<scanId>/
+    await saveEvidence(frontendAnalysis.evidence, join(reportsDir, report.scanId));
+    
+    // The full network capture is served separately; it is too large to send with the report
+    if (frontendAnalysis.har) {
+      await writeFile(join(reportsDir, `${report.scanId}.har`), JSON.stringify(frontendAnalysis.har));
+      report.frontendAnalysis.network.harFile = `${report.scanId}.har`;
+    }
+    
     await writeFile(reportPath, JSON.stringify(report, null, 2));
     
     console.log(`Analysis complete. Report saved: ${report.scanId}`);
@@ -92,6 +143,26 @@ app.get('/api/reports/:scanId', async (req, res) => {
   }
 });
 
+// Download the network capture of a scan as a HAR file
+app.get('/api/reports/:scanId/har', async (req, res) => {
+  const { scanId } = req.params;
+  if (!/^[\w-]+$/.test(scanId)) {
+    return res.status(400).json({ success: false, error: 'Invalid scan ID' });
+  }
+  
+  try {
+    const har = await readFile(join(__dirname, '../reports', `${scanId}.har`), 'utf8');
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${scanId}.har"`);
+    res.send(har);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: 'Network capture not found'
+    });
+  }
+});
+
 // Get all scan summaries
 app.get('/api/scans', async (req, res) => {
   try {
@@ -135,6 +206,14 @@ app.get('/api/scans', async (req, res) => {
   }
 });
 
+// List the scoring policies a scan can use
+app.get('/api/policies', (req, res) => {
+  res.json(listPolicies().map(name => {
+    const policy = loadScoringPolicy(name);
+    return { name, description: policy.description || null };
+  }));
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -2,9 +2,25 @@
 
 import { Command } from 'commander';
 import { analyzeWebsite } from '../analysis/puppeteerScan.js';
+import { WALLET_BRANDS } from '../analysis/mockWallet.js';
+import { saveEvidence } from '../analysis/evidenceRecorder.js';
 import { scanContracts } from '../analysis/contractScanner.js';
 import { generateReport } from '../utils/generateReport.js';
-import { writeFile, mkdir } from 'fs/promises';
+import { getChain } from '../utils/chains.js';
+import { configureRpc } from '../utils/rpcProvider.js';
+import { configureCache, clearCache } from '../utils/cache.js';
+import { formatFinding } from '../utils/findings.js';
+import { loadScoringPolicy, listPolicies } from '../utils/scoringPolicy.js';
+import { loadPlugins } from '../utils/plugins.js';
+import {
+  importSignatures,
+  parseSignatureDump,
+  saveSignatureDatabase,
+  lookupFunction,
+  lookupEvent,
+  lookupError
+} from '../utils/signatureDatabase.js';
+import { writeFile, mkdir, readFile } from 'fs/promises';
 import { join } from 'path';
 
 const program = new Command();
@@ -20,7 +36,31 @@ program
   .argument('<url>', 'URL of the Web3 dApp to analyze')
   .option('-o, --output <path>', 'Output directory for reports', './reports')
   .option('-f, --format <format>', 'Report format (json|md|both)', 'json')
+  .option('--chain <chain>', 'Chain name or ID (e.g. polygon, 137); detected from the dApp if omitted')
   .option('--rpc <url>', 'Custom RPC endpoint for contract analysis')
+  .option('--rpc-timeout <ms>', 'Timeout per RPC request in milliseconds')
+  .option('--rpc-concurrency <count>', 'Maximum concurrent requests per RPC endpoint')
+  .option('--rpc-rate <count>', 'Maximum requests per second per RPC endpoint')
+  .option('--no-remote-signatures', 'Decode selectors from the local signature database only')
+  .option('--no-cache', 'Bypass the on-disk cache for this scan')
+  .option('--clear-cache', 'Clear the on-disk cache before scanning')
+  .option('--cache-dir <path>', 'Cache directory (default: .cache)')
+  .option('--no-simulate', 'Do not replay captured transactions or trade discovered tokens on a Hardhat fork')
+  .option('--no-simulate-tokens', 'Replay captured transactions but do not trade discovered tokens')
+  .option('--fork-url <url>', 'RPC endpoint to fork for simulations (default: the chain\'s RPC)')
+  .option('--max-depth <count>', 'How many links or route changes away from the URL to crawl (default: 2)')
+  .option('--max-pages <count>', 'Maximum number of routes to analyze (default: 10)')
+  .option('--max-addresses <count>', 'Maximum number of discovered addresses to analyze, best-ranked first (default: 25)')
+  .option('--no-evidence', 'Do not take screenshots and DOM snapshots around clicks and wallet prompts')
+  .option('--no-har', 'Do not save the captured network traffic as a HAR file next to the JSON report')
+  .option('--capture-max-body <bytes>', 'Largest request/response body kept in the capture (default: 524288)')
+  .option('--ens-chain <chain>', 'Chain to resolve ENS names found in the dApp on (default: ethereum)')
+  .option('--wallet <brand>', `Wallet the mock provider pretends to be: ${Object.keys(WALLET_BRANDS).join(', ')}`)
+  .option('--wallet-address <address>', 'Account the mock wallet exposes to the dApp')
+  .option('--wallet-rpc <url>', 'RPC endpoint for the mock wallet\'s read calls, e.g. a local node (default: the chain\'s RPC)')
+  .option('--policy <name|file>', `Scoring policy: ${listPolicies().join(', ')} or a JSON/YAML file`, 'default')
+  .option('--plugin <module>', 'Load a detector plugin (npm package or file path); repeatable', collect)
+  .option('--plugin-dir <path>', 'Load every detector plugin in a directory')
   .option('--timeout <seconds>', 'Analysis timeout in seconds', '60')
   .option('--verbose', 'Verbose logging')
   .action(async (url, options) => {
@@ -37,34 +77,74 @@ program
       // Validate URL
       new URL(url);
       
+      // Validate chain
+      const chainId = options.chain ? getChain(options.chain).id : undefined;
+      const ensChainId = options.ensChain ? getChain(options.ensChain).id : undefined;
+      
+      // Load the scoring policy up front so a bad file fails before the scan starts
+      const policy = loadScoringPolicy(options.policy, { allowPaths: true });
+      
+      // Flags replace PLUGIN_DIR / PLUGINS from the environment when given
+      const plugins = await loadPlugins({ dir: options.pluginDir, packages: options.plugin });
+      
       console.log(`🔍 Analyzing: ${url}`);
       console.log();
       
-      // Set environment variables if provided
-      if (options.rpc) {
-        process.env.CUSTOM_RPC_URL = options.rpc;
+      // Configure the RPC provider; a custom endpoint is tried before the public ones
+      configureRpc({
+        customUrls: options.rpc ? [options.rpc] : undefined,
+        timeout: options.rpcTimeout ? Number(options.rpcTimeout) : undefined,
+        maxConcurrent: options.rpcConcurrency ? Number(options.rpcConcurrency) : undefined,
+        requestsPerSecond: options.rpcRate ? Number(options.rpcRate) : undefined
+      });
+      
+      configureCache({ enabled: negatedFlag(options.cache), dir: options.cacheDir });
+      if (options.clearCache) {
+        await clearCache();
       }
       
       // Step 1: Frontend Analysis
       console.log('📄 Step 1: Frontend Analysis');
       console.log('   Launching secure browser environment...');
-      const frontendAnalysis = await analyzeWebsite(url);
+      const frontendAnalysis = await analyzeWebsite(url, {
+        chainId,
+        plugins,
+        simulate: negatedFlag(options.simulate),
+        forkUrl: options.forkUrl,
+        walletBrand: options.wallet,
+        walletAddress: options.walletAddress,
+        walletRpcUrl: options.walletRpc,
+        maxDepth: options.maxDepth !== undefined ? Number(options.maxDepth) : undefined,
+        maxPages: options.maxPages !== undefined ? Number(options.maxPages) : undefined,
+        maxAddresses: options.maxAddresses !== undefined ? Number(options.maxAddresses) : undefined,
+        captureMaxBodyBytes: options.captureMaxBody !== undefined ? Number(options.captureMaxBody) : undefined,
+        evidence: negatedFlag(options.evidence),
+        ensChainId
+      });
       console.log('   ✅ Frontend analysis complete');
       console.log();
       
       // Step 2: Contract Analysis
       console.log('🔒 Step 2: Smart Contract Analysis');
       console.log('   Analyzing discovered contracts...');
-      const contractAnalysis = await scanContracts(frontendAnalysis.contracts);
+      const contractAnalysis = await scanContracts(frontendAnalysis.contracts, {
+        chainId: chainId ?? frontendAnalysis.chainId,
+        remoteSignatures: options.remoteSignatures,
+        simulateTokens: options.simulate === false ? false : negatedFlag(options.simulateTokens),
+        forkUrl: options.forkUrl,
+        plugins
+      });
       console.log('   ✅ Contract analysis complete');
       console.log();
       
       // Step 3: Generate Report
       console.log('📊 Step 3: Generating Security Report');
-      const report = generateReport({
+      const report = await generateReport({
         url,
         frontendAnalysis,
-        contractAnalysis
+        contractAnalysis,
+        policy,
+        plugins
       });
       console.log('   ✅ Report generated');
       console.log();
@@ -78,7 +158,22 @@ program
       const reportId = report.scanId;
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       
+      // Screenshots and DOM snapshots go in a directory named after the scan, next to the report
+      if (report.frontendAnalysis.evidence.length > 0) {
+        const evidenceDir = join(options.output, reportId);
+        await saveEvidence(frontendAnalysis.evidence, evidenceDir);
+        console.log(`   📸 ${report.frontendAnalysis.evidence.length} evidence capture(s) saved: ${evidenceDir}`);
+      }
+      
       if (options.format === 'json' || options.format === 'both') {
+        // The full capture is too large for the report, so it goes in its own file
+        if (options.har && frontendAnalysis.har) {
+          const harPath = join(options.output, `${reportId}.har`);
+          await writeFile(harPath, JSON.stringify(frontendAnalysis.har, null, 2));
+          report.frontendAnalysis.network.harFile = `${reportId}.har`;
+          console.log(`   🌐 HAR capture saved: ${harPath}`);
+        }
+        
         const jsonPath = join(options.output, `${reportId}.json`);
         await writeFile(jsonPath, JSON.stringify(report, null, 2));
         console.log(`   📄 JSON report saved: ${jsonPath}`);
@@ -98,10 +193,11 @@ program
       console.log('===================');
       console.log(`🌐 URL: ${report.url}`);
       console.log(`🆔 Scan ID: ${report.scanId}`);
+      console.log(`⛓️  Chain: ${report.chain.name} (${report.chain.id})`);
       console.log(`📅 Timestamp: ${report.timestamp}`);
       console.log();
       
-      const { level, score, issues } = report.riskSummary;
+      const { level, score, counts } = report.riskSummary;
       const levelEmoji = {
         safe: '✅',
         warning: '⚠️',
@@ -109,13 +205,26 @@ program
       };
       
       console.log(`${levelEmoji[level]} Risk Level: ${level.toUpperCase()}`);
-      console.log(`📊 Security Score: ${score}/100`);
+      console.log(`📊 Security Score: ${score}/100 (policy: ${report.riskSummary.policy.name})`);
+      console.log(`🧮 Findings: ${Object.entries(counts).map(([severity, count]) => `${count} ${severity}`).join(', ')}`);
+      console.log();
+      
+      console.log('🧾 Score Breakdown:');
+      console.log(`   ${report.riskSummary.policy.baseScore} base score`);
+      report.riskSummary.breakdown
+        .filter(item => item.points !== 0)
+        .forEach(item => {
+          const points = item.points > 0 ? `+${item.points}` : `${item.points}`;
+          console.log(`   ${points.padStart(6)}  ${item.label} (${item.reason})`);
+        });
+      console.log(`   = ${score}/100`);
       console.log();
       
-      if (issues.length > 0) {
-        console.log('🔍 Issues Found:');
-        issues.forEach((issue, index) => {
-          console.log(`   ${index + 1}. ${issue}`);
+      if (report.findings.length > 0) {
+        console.log('🔍 Findings:');
+        report.findings.forEach((finding, index) => {
+          console.log(`   ${index + 1}. ${formatFinding(finding)}`);
+          console.log(`      ${finding.ruleId} · ${finding.category} · confidence ${finding.confidence}`);
         });
         console.log();
       }
@@ -124,14 +233,67 @@ program
       console.log(`   • ${report.frontendAnalysis.summary.buttonsAnalyzed} interactive elements analyzed`);
       console.log(`   • ${report.frontendAnalysis.summary.walletInteractions} wallet interactions detected`);
       console.log(`   • ${report.frontendAnalysis.summary.externalScripts} external scripts found`);
+      console.log(`   • ${report.frontendAnalysis.summary.scriptsAnalyzed} scripts hashed and analyzed`);
+      if (report.frontendAnalysis.network) {
+        const { network } = report.frontendAnalysis;
+        console.log(`   • ${network.requests} requests and ${network.webSockets} WebSocket(s) to ${network.hosts.length} host(s), ${network.hosts.filter(host => host.thirdParty).length} third-party`);
+      }
+      if (report.frontendAnalysis.wallet) {
+        console.log(`   • Mock wallet: ${WALLET_BRANDS[report.frontendAnalysis.wallet.brand].name} (${report.frontendAnalysis.wallet.address})`);
+      }
       console.log();
       
+      if (report.frontendAnalysis.routes.length > 1) {
+        console.log('Routes:');
+        report.frontendAnalysis.routes.forEach(route => {
+          console.log(`   • ${describeRoute(route)}: ${route.error ? `could not analyze (${route.error})` : `${route.findings.length} finding(s)`}`);
+          route.findings.forEach(finding => console.log(`      - ${formatFinding(finding)}`));
+        });
+        console.log();
+      }
+      
+      const flaggedScripts = report.frontendAnalysis.scripts.filter(script => script.verdict !== 'ok');
+      if (flaggedScripts.length > 0) {
+        console.log('Scripts:');
+        flaggedScripts.forEach(script => {
+          console.log(`   • ${describeScript(script)}: ${script.reasons.join('; ')}`);
+        });
+        console.log();
+      }
+      
+      const { clipboard } = report.frontendAnalysis;
+      if (clipboard.writes.length > 0 || clipboard.swaps.length > 0) {
+        console.log('Clipboard:');
+        clipboard.writes.forEach(write => console.log(`   • ${describeClipboardWrite(write)}`));
+        clipboard.swaps.forEach(swap => console.log(`   • ${swap.from.join(', ')} replaced by ${swap.to.join(', ')} in ${swap.target}`));
+        console.log();
+      }
+      
+      const simulated = report.frontendAnalysis.transactions.filter(tx => tx.simulation);
+      if (simulated.length > 0) {
+        console.log('Transaction Simulations:');
+        simulated.forEach(tx => {
+          console.log(`   • ${tx.clickPath?.join(' → ') || tx.element || 'Page'} → ${tx.to}: ${describeSimulation(tx.simulation)}`);
+          tx.simulation.changes.forEach(change => console.log(`      - ${change.summary}`));
+        });
+        console.log();
+      }
+      
       console.log('Contract Analysis:');
+      console.log(`   • ${report.contractAnalysis.summary.addressesDiscovered} candidate addresses, ${report.frontendAnalysis.discoveredAddresses.filter(candidate => candidate.interacted).length} called by the dApp`);
       console.log(`   • ${report.contractAnalysis.summary.contractsFound} contracts discovered`);
       console.log(`   • ${report.contractAnalysis.summary.verifiedContracts} verified contracts`);
       console.log(`   • ${report.contractAnalysis.summary.functionsDetected} functions identified`);
       console.log();
       
+      if (report.contractAnalysis.tokens.length > 0) {
+        console.log('Token Simulations:');
+        report.contractAnalysis.tokens.forEach(token => {
+          console.log(`   • ${token.symbol || token.address}: ${describeTokenSimulation(token)}`);
+        });
+        console.log();
+      }
+      
       console.log('✅ Analysis complete!');
       
       // Exit with appropriate code
@@ -193,6 +355,71 @@ program
     }
   });
 
+const signatures = program
+  .command('signatures')
+  .description('Manage the local function/event/error signature database');
+
+signatures
+  .command('import')
+  .description('Import signatures from 4byte.directory or OpenChain dumps, or plain text lists')
+  .argument('<files...>', 'Dump files to import')
+  .option('-t, --type <type>', 'Signature type for dumps that do not say (function|event|error)', 'function')
+  .action(async (files, options) => {
+    try {
+      const type = `${options.type}s`;
+      const totals = { added: 0, duplicate: 0, invalid: 0 };
+      
+      for (const file of files) {
+        const content = await readFile(file, 'utf8');
+        const stats = importSignatures(parseSignatureDump(content, type));
+        console.log(`📥 ${file}: ${stats.added} added, ${stats.duplicate} duplicate, ${stats.invalid} invalid`);
+        Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+      }
+      
+      saveSignatureDatabase();
+      console.log(`✅ Signature database updated (${totals.added} new signatures)`);
+    } catch (error) {
+      console.error('Failed to import signatures:', error.message);
+      process.exit(1);
+    }
+  });
+
+signatures
+  .command('lookup')
+  .description('Look up a selector or event topic in the local database')
+  .argument('<hash>', '4-byte selector or 32-byte event topic')
+  .action((hash) => {
+    const matches = hash.length === 66
+      ? lookupEvent(hash).map(sig => `event ${sig}`)
+      : [
+        ...lookupFunction(hash).map(sig => `function ${sig}`),
+        ...lookupError(hash).map(sig => `error ${sig}`)
+      ];
+    
+    if (matches.length === 0) {
+      console.log(`❓ ${hash} not found in local database`);
+      return;
+    }
+    matches.forEach(match => console.log(`   ${match}`));
+  });
+
+program
+  .command('cache')
+  .description('Manage the on-disk cache of contract data, selectors and analysis results')
+  .command('clear')
+  .description('Delete cached entries')
+  .argument('[namespace]', 'Only clear one namespace (code|explorer|selectors|analysis)')
+  .option('--cache-dir <path>', 'Cache directory (default: .cache)')
+  .action(async (namespace, options) => {
+    try {
+      configureCache({ dir: options.cacheDir });
+      await clearCache(namespace);
+    } catch (error) {
+      console.error('Failed to clear cache:', error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Generate markdown report
  */
@@ -201,6 +428,7 @@ function generateMarkdownReport(report) {
 
 **URL:** ${report.url}  
 **Scan ID:** ${report.scanId}  
+**Chain:** ${report.chain.name} (${report.chain.id})  
 **Timestamp:** ${report.timestamp}  
 **Tool Version:** ${report.version}
 
@@ -208,11 +436,30 @@ function generateMarkdownReport(report) {
 
 **Risk Level:** ${report.riskSummary.level.toUpperCase()}  
 **Security Score:** ${report.riskSummary.score}/100  
+**Scoring Policy:** ${report.riskSummary.policy.name}${report.riskSummary.policy.description ? ` - ${report.riskSummary.policy.description}` : ''}  
 
 ${report.riskSummary.summary}
 
-### Issues Identified
-${report.riskSummary.issues.map(issue => `- ${issue}`).join('\n')}
+### Score Breakdown
+| Points | Item | Affected | Reason |
+|--------|------|----------|--------|
+| ${report.riskSummary.policy.baseScore} | Base score | - | - |
+${report.riskSummary.breakdown.map(item => 
+  `| ${item.points > 0 ? '+' : ''}${item.points} | ${escapeCell(item.label)} | ${item.affected ? escapeCell(item.affected) : '-'} | ${item.reason} |`
+).join('\n')}
+| **${report.riskSummary.score}** | **Final score** (clamped to 0-100) | | |
+
+### Findings
+| Severity | Confidence | Rule | Finding | Affected |
+|----------|------------|------|---------|----------|
+${report.findings.map(finding => 
+  `| ${finding.severity.toUpperCase()} | ${finding.confidence} | \`${finding.ruleId}\` | ${escapeCell(finding.title)} | ${finding.affected ? escapeCell(finding.affected.value) : '-'} |`
+).join('\n')}
+
+### Remediation & Evidence
+${report.findings.map(finding => 
+  `- **${escapeCell(finding.title)}** - ${finding.remediation}${describeEvidence(finding.evidence)}`
+).join('\n')}
 
 ## 🖥️ Frontend Analysis
 
@@ -221,34 +468,105 @@ ${report.riskSummary.issues.map(issue => `- ${issue}`).join('\n')}
 - **Wallet Interactions:** ${report.frontendAnalysis.summary.walletInteractions}
 - **External Scripts:** ${report.frontendAnalysis.summary.externalScripts}
 - **API Calls:** ${report.frontendAnalysis.summary.apiCalls}
+- **Routes Crawled:** ${report.frontendAnalysis.summary.routesCrawled}
+- **Scripts Analyzed:** ${report.frontendAnalysis.summary.scriptsAnalyzed}
+- **Network Requests:** ${report.frontendAnalysis.summary.networkRequests}${report.frontendAnalysis.network?.harFile ? ` (full capture: \`${report.frontendAnalysis.network.harFile}\`)` : ''}
+${report.frontendAnalysis.wallet ? `- **Mock Wallet:** ${WALLET_BRANDS[report.frontendAnalysis.wallet.brand].name} (\`${report.frontendAnalysis.wallet.address}\`)\n` : ''}
+### Findings by Route
+${report.frontendAnalysis.routes.map(route => 
+  `- **${escapeCell(describeRoute(route))}**${route.error ? ` - could not analyze: ${escapeCell(route.error)}` : ''}` +
+  route.findings.map(finding => `\n  - [${finding.severity.toUpperCase()}] ${escapeCell(finding.title)}${finding.affected ? ` - ${escapeCell(finding.affected.value)}` : ''}`).join('')
+).join('\n')}
 
 ### Interactive Elements
 ${report.frontendAnalysis.buttons.map(btn => 
-  `- **${btn.text}** (${btn.element}): ${btn.action} - Risk: ${btn.risk}`
+  `- **${escapeCell(btn.clickPath.length > 1 ? btn.clickPath.join(' → ') : btn.text)}** (${btn.element}${btn.route ? `, ${new URL(btn.route).pathname}` : ''}): ${btn.action} - Risk: ${btn.risk}` +
+  `${linkEvidence(report, btn.evidence?.before, 'before')}${linkEvidence(report, btn.evidence?.after, 'after')}`
+).join('\n')}
+
+### Signature Requests
+${report.frontendAnalysis.signatures.map(sig => 
+  `- **${sig.method}**${sig.element ? ` (${escapeCell(sig.element)})` : ''}: ${escapeCell(sig.summary)}${linkEvidence(report, sig.evidence, 'prompt')}`
+).join('\n')}
+
+### Transaction Simulations
+${report.frontendAnalysis.transactions.filter(tx => tx.simulation).map(tx => 
+  `- **${escapeCell(tx.clickPath?.join(' → ') || tx.element || 'Page')}** → ${tx.to}: ${describeSimulation(tx.simulation)}` +
+  tx.simulation.changes.map(change => `\n  - ${change.summary}`).join('')
+).join('\n')}
+
+### Evidence
+${report.frontendAnalysis.evidence.map(artifact => 
+  `- \`${artifact.id}\` ${artifact.kind}${artifact.method ? ` (${artifact.method})` : ''}${artifact.clickPath ? ` - ${escapeCell(artifact.clickPath.join(' → '))}` : ''} on ${artifact.url}${linkEvidence(report, artifact.id, 'screenshot')}`
+).join('\n')}
+
+### Clipboard
+${report.frontendAnalysis.clipboard.writes.map(write => 
+  `- ${escapeCell(describeClipboardWrite(write))}${linkEvidence(report, write.evidence, 'screenshot')}`
+).join('\n')}
+${report.frontendAnalysis.clipboard.swaps.map(swap => 
+  `- **Swapped** ${swap.from.join(', ')} → ${swap.to.join(', ')} in \`${escapeCell(swap.target)}\`${swap.attribute ? ` (${swap.attribute})` : ''}${linkEvidence(report, swap.evidence, 'screenshot')}`
+).join('\n')}
+
+### Network Hosts
+${(report.frontendAnalysis.network?.hosts || []).map(host => 
+  `- ${host.host}: ${host.requests} request(s)${host.thirdParty ? ' (third-party)' : ''}`
 ).join('\n')}
 
 ### External Scripts
 ${report.frontendAnalysis.externalScripts.map(script => `- ${script}`).join('\n')}
 
+### Scripts
+| Verdict | Script | SHA-256 | SRI | Notes |
+|---------|--------|---------|-----|-------|
+${report.frontendAnalysis.scripts.map(script => 
+  `| ${script.verdict} | ${escapeCell(describeScript(script))} | \`${script.sha256.slice(0, 16)}…\` | ${script.integrity ? (script.integrity.valid ? 'valid' : 'mismatch') : '-'} | ${escapeCell(script.reasons.join('; ')) || '-'} |`
+).join('\n')}
+
+### Content Security Policy
+${report.frontendAnalysis.csp.map(entry => 
+  `- **${escapeCell(new URL(entry.url).pathname)}**: ${entry.policy ? `\`${escapeCell(entry.policy)}\` (${entry.source})` : 'none'}${entry.issues.length > 0 ? ` - ${escapeCell(entry.issues.join('; '))}` : ''}`
+).join('\n')}
+
 ## 🔒 Smart Contract Analysis
 
 ### Summary
+- **Candidate Addresses:** ${report.contractAnalysis.summary.addressesDiscovered}
 - **Contracts Found:** ${report.contractAnalysis.summary.contractsFound}
 - **Verified Contracts:** ${report.contractAnalysis.summary.verifiedContracts}
 - **Functions Detected:** ${report.contractAnalysis.summary.functionsDetected}
-- **Risks Identified:** ${report.contractAnalysis.summary.risksIdentified}
+- **Findings:** ${report.contractAnalysis.summary.findings}
 
 ### Contract Addresses
 ${report.contractAnalysis.addresses.map((addr, i) => 
-  `- ${addr} ${report.contractAnalysis.verified[i] ? '✅ Verified' : '❓ Unverified'}`
+  `- ${addr} ${report.contractAnalysis.verified[i] ? '✅ Verified' : '❓ Unverified'}${describeProvenance(report, addr)}`
+).join('\n')}
+
+### Discovered Addresses
+| Address | Called by dApp | Found in |
+|---------|----------------|----------|
+${report.frontendAnalysis.discoveredAddresses.map(candidate => 
+  `| ${candidate.address} | ${candidate.interacted ? 'yes' : 'no'} | ${escapeCell(candidate.sources.map(source => `${source.label} (${source.location})`).join('; '))} |`
+).join('\n')}
+
+### Proxy Chains
+${(report.contractAnalysis.proxies || []).map(proxy => 
+  `- ${proxy.chain.join(' → ')} (${proxy.standard})${proxy.admin ? ` - admin: ${proxy.admin}` : ''}`
+).join('\n')}
+
+### Privileged Roles
+${report.contractAnalysis.analysis.flatMap(entry => (entry.roles || []).map(role => 
+  `- ${entry.address} **${role.role}**: ${role.holder} (${describeRoleHolder(role)})`
+)).join('\n')}
+
+### Token Simulations
+${report.contractAnalysis.tokens.map(token => 
+  `- **${token.symbol || token.address}** (${token.address}): ${describeTokenSimulation(token)}`
 ).join('\n')}
 
 ### Functions Detected
 ${report.contractAnalysis.functions.map(func => `- \`${func}\``).join('\n')}
 
-### Contract Risks
-${report.contractAnalysis.risks.map(risk => `- ⚠️ ${risk}`).join('\n')}
-
 ## 📝 Disclaimer
 
 ${report.metadata.disclaimers.map(disclaimer => `- ${disclaimer}`).join('\n')}
@@ -260,6 +578,132 @@ ${report.metadata.disclaimers.map(disclaimer => `- ${disclaimer}`).join('\n')}
 `;
 }
 
+/**
+ * Markdown links to an evidence capture, relative to the report, e.g. " · [before](scan_x/e0001.jpg) ([DOM](scan_x/e0001.html))"
+ */
+function linkEvidence(report, id, label) {
+  const artifact = id && report.frontendAnalysis.evidence.find(entry => entry.id === id);
+  if (!artifact || !artifact.screenshot) return '';
+  const dir = report.scanId;
+  return ` · [${label}](${dir}/${artifact.screenshot})${artifact.dom ? ` ([DOM](${dir}/${artifact.dom}))` : ''}`;
+}
+
+/**
+ * Where the frontend found a contract, e.g. " - found in eth_call target, script bundle"
+ */
+function describeProvenance(report, address) {
+  const candidate = report.frontendAnalysis.discoveredAddresses
+    .find(entry => entry.address.toLowerCase() === address.toLowerCase());
+  return candidate ? ` - found in ${[...new Set(candidate.sources.map(source => source.label))].join(', ')}` : '';
+}
+
+/**
+ * What a clipboard write put there and how it compares with the address shown, e.g.
+ * "Copy → 0xAb…: MISMATCH, shown 0xCd… (clipboard.writeText)"
+ */
+function describeClipboardWrite(write) {
+  const status = write.mismatch
+    ? `MISMATCH, shown ${write.shown.join(', ') || 'a lookalike'}`
+    : write.hidden ? 'not displayed on the page' : 'matches the address shown';
+  return `${write.clickPath?.join(' → ') || 'Page'} → ${write.address}: ${status} (${write.via})`;
+}
+
+/**
+ * Short name of an analyzed script: its URL, or where an inline script appeared
+ */
+function describeScript(script) {
+  return script.inline ? `inline on ${new URL(script.url).pathname}` : script.url;
+}
+
+/**
+ * Path of a crawled route with how it was reached, e.g. "/claim (link, depth 1)"
+ */
+function describeRoute(route) {
+  if (!route.url) return route.title;
+  const { pathname, search, hash } = new URL(route.url);
+  return `${pathname}${search}${hash}${route.via ? ` (${route.via}, depth ${route.depth})` : ''}`;
+}
+
+/**
+ * One-line outcome of a simulated transaction
+ */
+function describeSimulation(simulation) {
+  if (simulation.status === 'success') {
+    return `succeeds using ${simulation.gasUsed} gas${simulation.changes.length === 0 ? ', no asset changes' : ''}`;
+  }
+  if (simulation.status === 'reverted') {
+    return `reverts (${simulation.revertReason || 'no reason'}) using ${simulation.gasUsed} gas`;
+  }
+  return `could not be simulated (${simulation.error})`;
+}
+
+/**
+ * One-line outcome of a token buy/transfer/sell simulation
+ */
+function describeTokenSimulation(token) {
+  if (token.error) {
+    return `could not be simulated (${token.error})`;
+  }
+  
+  const tax = value => value === null ? 'n/a' : `${value}%`;
+  const parts = [
+    `buy tax ${tax(token.buyTax)}`,
+    `transfer tax ${tax(token.transferTax)}`,
+    token.sellReverts ? 'SELLS REVERT' : `sell tax ${tax(token.sellTax)}`
+  ];
+  if (token.transferReverts) parts.push('TRANSFERS REVERT');
+  if (token.limits.maxTransaction) parts.push(`max tx ${token.limits.maxTransaction}`);
+  if (token.limits.maxWallet) parts.push(`max wallet ${token.limits.maxWallet}`);
+  if (token.acquiredVia === 'storage') parts.push('acquired by writing balance storage (no DEX liquidity)');
+  return parts.join(', ');
+}
+
+/**
+ * The value of a --no-* flag when it was given, otherwise undefined so the environment
+ * default applies (commander sets these options to true when the flag is absent)
+ */
+function negatedFlag(value) {
+  return value === false ? false : undefined;
+}
+
+/**
+ * Accumulate a repeatable option
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Escape text for a markdown table cell
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render finding evidence as inline code, skipping empty values
+ */
+function describeEvidence(evidence = {}) {
+  const parts = Object.entries(evidence)
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  
+  return parts.length > 0 ? ` (\`${parts.join('; ').slice(0, 300)}\`)` : '';
+}
+
+/**
+ * Describe the kind of account holding a privileged role
+ */
+function describeRoleHolder(role) {
+  switch (role.type) {
+    case 'safe': return `Safe ${role.threshold}-of-${role.ownerCount}`;
+    case 'timelock': return `timelock, ${role.delay}s delay`;
+    case 'renounced': return 'renounced';
+    case 'eoa': return 'single EOA';
+    default: return role.controller ? `contract owned by ${role.controller}` : 'contract';
+  }
+}
+
 // Handle uncaught errors
 process.on('unhandledRejection', (error) => {
   console.error('❌ Unhandled error:', error);
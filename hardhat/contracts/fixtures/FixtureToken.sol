@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title FixtureToken
+ * @dev ERC-20 with configurable trading restrictions, used to exercise the honeypot and
+ * transfer-tax simulation. Taxes are in basis points and paid to the owner; the pair is
+ * the DEX address trades go through (MockDexRouter in the fixtures).
+ */
+contract FixtureToken {
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+
+    address public owner;
+    address public pair;
+
+    uint256 public buyTaxBps;
+    uint256 public sellTaxBps;
+    uint256 public transferTaxBps;
+    uint256 public maxTxAmount;
+    bool public sellsBlocked;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not the owner");
+        _;
+    }
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint256 supply,
+        uint256 buyTaxBps_,
+        uint256 sellTaxBps_,
+        uint256 transferTaxBps_,
+        uint256 maxTxAmount_,
+        bool sellsBlocked_
+    ) {
+        name = name_;
+        symbol = symbol_;
+        owner = msg.sender;
+        buyTaxBps = buyTaxBps_;
+        sellTaxBps = sellTaxBps_;
+        transferTaxBps = transferTaxBps_;
+        maxTxAmount = maxTxAmount_;
+        sellsBlocked = sellsBlocked_;
+
+        totalSupply = supply;
+        balanceOf[msg.sender] = supply;
+        emit Transfer(address(0), msg.sender, supply);
+    }
+
+    function setPair(address pair_) external onlyOwner {
+        pair = pair_;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        require(allowed >= amount, "Insufficient allowance");
+        if (allowed != type(uint256).max) {
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(balanceOf[from] >= amount, "Insufficient balance");
+
+        // The owner seeds liquidity and is exempt from every restriction
+        uint256 taxBps = 0;
+        if (from != owner && to != owner) {
+            require(maxTxAmount == 0 || amount <= maxTxAmount, "Exceeds max transaction");
+            if (to == pair) {
+                require(!sellsBlocked, "Trading is not enabled");
+                taxBps = sellTaxBps;
+            } else if (from == pair) {
+                taxBps = buyTaxBps;
+            } else {
+                taxBps = transferTaxBps;
+            }
+        }
+
+        uint256 tax = (amount * taxBps) / 10000;
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount - tax;
+        emit Transfer(from, to, amount - tax);
+
+        if (tax > 0) {
+            balanceOf[owner] += tax;
+            emit Transfer(from, owner, tax);
+        }
+    }
+}
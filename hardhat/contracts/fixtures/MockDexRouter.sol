@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IFixtureERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/**
+ * @title MockDexRouter
+ * @dev Uniswap V2-compatible router that is also its own pair for every token, so the
+ * token simulation can buy and sell fixtures without deploying a factory. Only the router
+ * functions the simulation uses are implemented; WETH() returns this contract as a marker.
+ */
+contract MockDexRouter {
+    struct Pool {
+        uint256 tokenReserve;
+        uint256 ethReserve;
+    }
+
+    mapping(address => Pool) public pools;
+
+    function WETH() external view returns (address) {
+        return address(this);
+    }
+
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256,
+        uint256,
+        address,
+        uint256
+    ) external payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        IFixtureERC20(token).transferFrom(msg.sender, address(this), amountTokenDesired);
+        pools[token].tokenReserve = IFixtureERC20(token).balanceOf(address(this));
+        pools[token].ethReserve += msg.value;
+        return (amountTokenDesired, msg.value, 0);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts) {
+        require(path.length == 2, "Unsupported path");
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+
+        if (path[0] == address(this)) {
+            Pool memory pool = pools[path[1]];
+            amounts[1] = _amountOut(amountIn, pool.ethReserve, pool.tokenReserve);
+        } else {
+            Pool memory pool = pools[path[0]];
+            amounts[1] = _amountOut(amountIn, pool.tokenReserve, pool.ethReserve);
+        }
+    }
+
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256
+    ) external payable {
+        address token = path[1];
+        Pool storage pool = pools[token];
+        uint256 amountOut = _amountOut(msg.value, pool.ethReserve, pool.tokenReserve);
+
+        uint256 before = IFixtureERC20(token).balanceOf(to);
+        IFixtureERC20(token).transfer(to, amountOut);
+        require(IFixtureERC20(token).balanceOf(to) - before >= amountOutMin, "Insufficient output amount");
+
+        pool.ethReserve += msg.value;
+        pool.tokenReserve = IFixtureERC20(token).balanceOf(address(this));
+    }
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256
+    ) external {
+        address token = path[0];
+        Pool storage pool = pools[token];
+
+        IFixtureERC20(token).transferFrom(msg.sender, address(this), amountIn);
+        uint256 received = IFixtureERC20(token).balanceOf(address(this)) - pool.tokenReserve;
+        uint256 amountOut = _amountOut(received, pool.tokenReserve, pool.ethReserve);
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+
+        pool.tokenReserve += received;
+        pool.ethReserve -= amountOut;
+        (bool sent, ) = to.call{value: amountOut}("");
+        require(sent, "ETH transfer failed");
+    }
+
+    // Constant product with the usual 0.3% fee
+    function _amountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) internal pure returns (uint256) {
+        require(reserveIn > 0 && reserveOut > 0, "No liquidity");
+        uint256 amountInWithFee = amountIn * 997;
+        return (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+    }
+}
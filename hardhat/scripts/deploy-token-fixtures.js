@@ -0,0 +1,50 @@
+import { ethers } from "hardhat";
+
+// name, symbol, buy/sell/transfer tax (bps), max transaction, sells blocked
+const FIXTURES = [
+  ["Clean Token", "CLEAN", 0, 0, 0, 0, false],
+  ["Taxed Token", "TAXED", 500, 2500, 100, 0, false],
+  ["Honeypot Token", "HONEY", 0, 0, 0, 0, true],
+  ["Limited Token", "LIMIT", 0, 0, 0, ethers.utils.parseEther("1000"), false]
+];
+
+async function main() {
+  console.log("🚀 Deploying token simulation fixtures...");
+
+  const MockDexRouter = await ethers.getContractFactory("MockDexRouter");
+  const router = await MockDexRouter.deploy();
+  await router.deployed();
+  console.log("✅ MockDexRouter deployed to:", router.address);
+
+  const FixtureToken = await ethers.getContractFactory("FixtureToken");
+  const supply = ethers.utils.parseEther("1000000");
+
+  for (const [name, symbol, buyTax, sellTax, transferTax, maxTx, sellsBlocked] of FIXTURES) {
+    const token = await FixtureToken.deploy(name, symbol, supply, buyTax, sellTax, transferTax, maxTx, sellsBlocked);
+    await token.deployed();
+
+    // Half the supply against 10 ETH of liquidity
+    await (await token.setPair(router.address)).wait();
+    await (await token.approve(router.address, supply)).wait();
+    await (await router.addLiquidityETH(
+      token.address,
+      supply.div(2),
+      0,
+      0,
+      token.signer.address,
+      Math.floor(Date.now() / 1000) + 3600,
+      { value: ethers.utils.parseEther("10") }
+    )).wait();
+
+    console.log(`✅ ${symbol} deployed to:`, token.address);
+  }
+
+  console.log("🔗 Simulate against these with SIMULATION_DEX_ROUTER=" + router.address);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Deployment failed:", error);
+    process.exit(1);
+  });
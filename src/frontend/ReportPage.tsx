@@ -2,33 +2,277 @@ import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { Download, Copy, AlertTriangle, CheckCircle, XCircle, Eye, Shield, Code } from 'lucide-react';
 
+type Severity = 'critical' | 'high' | 'medium' | 'low' | 'info';
+
+interface Finding {
+  ruleId: string;
+  title: string;
+  severity: Severity;
+  confidence: 'high' | 'medium' | 'low';
+  category: string;
+  affected: { type: string; value: string } | null;
+  evidence: Record<string, unknown>;
+  remediation: string;
+  plugin?: string;
+  route?: string | null;
+  suppressed?: { by: string; reason: string };
+}
+
+interface CrawledRoute {
+  url: string | null;
+  depth: number | null;
+  via?: 'link' | 'click' | 'history' | null;
+  title: string | null;
+  error?: string;
+  findings: Finding[];
+}
+
+interface EvidenceArtifact {
+  id: string;
+  kind: 'before-click' | 'after-click' | 'wallet-request' | 'clipboard-write' | 'address-swap';
+  route: string | null;
+  clickPath: string[] | null;
+  method: string | null;
+  url: string;
+  timestamp: string;
+  screenshot: string | null;
+  dom: string | null;
+}
+
+interface SignatureRequest {
+  method: string;
+  element: string | null;
+  clickPath?: string[] | null;
+  evidence?: string | null;
+  kind: string;
+  summary: string;
+  primaryType?: string;
+  domain?: Record<string, unknown>;
+}
+
+interface SimulatedTransaction {
+  element: string | null;
+  clickPath?: string[] | null;
+  evidence?: string | null;
+  to: string;
+  value: string;
+  simulation?: {
+    status: 'success' | 'reverted' | 'error';
+    gasUsed?: string;
+    revertReason?: string | null;
+    error?: string;
+    changes: Array<{
+      type: string;
+      direction: 'in' | 'out' | 'approval';
+      summary: string;
+    }>;
+  };
+}
+
+interface AnalyzedScript {
+  url: string;
+  origin: string;
+  firstParty: boolean;
+  inline: boolean;
+  size: number;
+  sha256: string;
+  integrity: { value: string; valid: boolean } | null;
+  verdict: 'drainer-kit' | 'integrity-mismatch' | 'obfuscated' | 'unpinned' | 'ok';
+  reasons: string[];
+}
+
+interface DiscoveredAddress {
+  address: string;
+  interacted: boolean;
+  checksummed: boolean;
+  occurrences: number;
+  sources: Array<{
+    type: string;
+    label: string;
+    location: string;
+    route: string | null;
+  }>;
+}
+
+interface ClipboardWrite {
+  via: string;
+  address: string;
+  shown: string[];
+  mismatch: boolean;
+  hidden: boolean;
+  route: string | null;
+  clickPath: string[] | null;
+  evidence: string | null;
+}
+
+interface AddressSwap {
+  from: string[];
+  to: string[];
+  target: string | null;
+  attribute: string | null;
+  route: string | null;
+  evidence: string | null;
+}
+
+interface TokenSimulation {
+  address: string;
+  symbol?: string | null;
+  acquiredVia?: 'dex' | 'storage' | null;
+  buyTax?: number | null;
+  transferTax?: number | null;
+  sellTax?: number | null;
+  transferReverts?: boolean | null;
+  sellReverts?: boolean | null;
+  limits?: { maxTransaction?: string; maxWallet?: string };
+  error?: string;
+}
+
 interface ReportData {
   scanId: string;
   url: string;
   timestamp: string;
+  chain?: {
+    id: number;
+    name: string;
+  };
   frontendAnalysis: {
     buttons: Array<{
       text: string;
       action: string;
       risk: 'safe' | 'warning' | 'danger';
+      route?: string | null;
+      clickPath?: string[];
+      evidence?: { before: string | null; after: string | null } | null;
     }>;
-    signatures: string[];
+    routes?: CrawledRoute[];
+    evidence?: EvidenceArtifact[];
+    signatures: SignatureRequest[];
+    transactions?: SimulatedTransaction[];
     apiCalls: string[];
     externalScripts: string[];
+    scripts?: AnalyzedScript[];
+    discoveredAddresses?: DiscoveredAddress[];
+    clipboard?: { writes: ClipboardWrite[]; swaps: AddressSwap[] };
+    network?: {
+      requests: number;
+      failed: number;
+      webSockets: number;
+      webSocketFrames: number;
+      hosts: Array<{ host: string; requests: number; thirdParty: boolean }>;
+      harFile?: string;
+    } | null;
+    csp?: Array<{
+      url: string;
+      policy: string | null;
+      source: 'header' | 'meta' | null;
+      issues: string[];
+    }>;
   };
   contractAnalysis: {
     addresses: string[];
     verified: boolean[];
     functions: string[];
-    risks: string[];
+    findings: Finding[];
+    proxies?: Array<{
+      proxy: string;
+      standard: string;
+      implementation: string | null;
+      admin: string | null;
+      beacon: string | null;
+      chain: string[];
+    }>;
+    tokens?: TokenSimulation[];
   };
   riskSummary: {
     level: 'safe' | 'warning' | 'danger';
     score: number;
-    issues: string[];
+    counts: Record<Severity, number>;
+    policy?: {
+      name: string;
+      description: string | null;
+      baseScore: number;
+    };
+    breakdown?: Array<{
+      type: 'deduction' | 'bonus';
+      id: string;
+      label: string;
+      affected: string | null;
+      points: number;
+      reason: string;
+    }>;
   };
+  findings: Finding[];
 }
 
+// Path of a crawled route; findings not tied to one are grouped as site-wide
+const formatRoute = (route: CrawledRoute) => {
+  if (!route.url) return route.title || 'Site-wide';
+  const { pathname, search, hash } = new URL(route.url);
+  return `${pathname}${search}${hash}`;
+};
+
+// Where the frontend found a contract address, e.g. "eth_call target, script bundle"
+const getProvenance = (data: ReportData, address: string) => {
+  const candidate = (data.frontendAnalysis.discoveredAddresses || [])
+    .find(entry => entry.address.toLowerCase() === address.toLowerCase());
+  return candidate ? [...new Set(candidate.sources.map(source => source.label))].join(', ') : null;
+};
+
+// Inline scripts have the page as their URL
+const formatScript = (script: AnalyzedScript) =>
+  (script.inline ? `inline on ${new URL(script.url).pathname}` : script.url);
+
+const formatTax = (tax?: number | null) => (tax === null || tax === undefined ? 'n/a' : `${tax}%`);
+
+const EVIDENCE_LABELS: Record<EvidenceArtifact['kind'], string> = {
+  'before-click': 'Before click',
+  'after-click': 'After click',
+  'wallet-request': 'Wallet prompt',
+  'clipboard-write': 'Clipboard write',
+  'address-swap': 'Address swap'
+};
+
+// Screenshots of what the user saw around a click or wallet prompt, with the DOM snapshot
+// behind each; artifacts are served from /reports/<scanId>/
+const EvidenceStrip: React.FC<{ report: ReportData; ids: Array<string | null | undefined> }> = ({ report, ids }) => {
+  const artifacts = ids
+    .map(id => (report.frontendAnalysis.evidence || []).find(artifact => artifact.id === id))
+    .filter((artifact): artifact is EvidenceArtifact => Boolean(artifact?.screenshot));
+  if (artifacts.length === 0) return null;
+
+  const base = `/reports/${report.scanId}`;
+  return (
+    <div className="grid grid-cols-2 gap-2 mt-2">
+      {artifacts.map(artifact => (
+        <figure key={artifact.id}>
+          <a href={`${base}/${artifact.screenshot}`} target="_blank" rel="noopener noreferrer">
+            <img
+              src={`${base}/${artifact.screenshot}`}
+              alt={`${EVIDENCE_LABELS[artifact.kind]}: ${artifact.url}`}
+              loading="lazy"
+              className="rounded border border-gray-700"
+            />
+          </a>
+          <figcaption className="text-xs text-gray-500 mt-1">
+            {EVIDENCE_LABELS[artifact.kind]}{artifact.method && ` · ${artifact.method}`}
+            {artifact.dom && (
+              <a href={`${base}/${artifact.dom}`} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-400 hover:underline">
+                DOM
+              </a>
+            )}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+};
+
+// Captured transactions that were replayed on a fork
+const getSimulations = (data: ReportData) =>
+  (data.frontendAnalysis.transactions || []).flatMap(tx =>
+    tx.simulation ? [{ ...tx, simulation: tx.simulation }] : []
+  );
+
 export const ReportPage: React.FC = () => {
   const { scanId } = useParams<{ scanId: string }>();
   const [report, setReport] = useState<ReportData | null>(null);
@@ -89,25 +333,54 @@ export const ReportPage: React.FC = () => {
 **Level:** ${data.riskSummary.level.toUpperCase()}  
 **Score:** ${data.riskSummary.score}/100  
 
-### Issues Found
-${data.riskSummary.issues.map(issue => `- ${issue}`).join('\n')}
+### Findings
+${data.findings.map(finding => `- **[${finding.severity.toUpperCase()}]** ${finding.title} (\`${finding.ruleId}\`, confidence ${finding.confidence})${finding.affected ? ` - ${finding.affected.value}` : ''}\n  - ${finding.remediation}`).join('\n')}
 
 ## Frontend Analysis
+### Findings by Route
+${(data.frontendAnalysis.routes || []).map(route => `- **${formatRoute(route)}**${route.error ? ` - could not analyze: ${route.error}` : ''}${route.findings.map(finding => `\n  - [${finding.severity.toUpperCase()}] ${finding.title}`).join('')}`).join('\n')}
+
 ### Interactive Elements
-${data.frontendAnalysis.buttons.map(btn => `- **${btn.text}**: ${btn.action} (${btn.risk})`).join('\n')}
+${data.frontendAnalysis.buttons.map(btn => `- **${btn.clickPath && btn.clickPath.length > 1 ? btn.clickPath.join(' → ') : btn.text}**: ${btn.action} (${btn.risk})`).join('\n')}
+
+### Transaction Simulations
+${getSimulations(data).map(tx => `- **${tx.clickPath?.join(' → ') || tx.element || 'Page'}** → ${tx.to}: ${tx.simulation.status}${tx.simulation.changes.map(change => `\n  - ${change.summary}`).join('')}`).join('\n')}
+
+### Scripts
+${(data.frontendAnalysis.scripts || []).map(script => `- **${script.verdict}** ${formatScript(script)} (sha256 ${script.sha256.slice(0, 16)}…)${script.reasons.length > 0 ? ` - ${script.reasons.join('; ')}` : ''}`).join('\n')}
+
+### Clipboard
+${(data.frontendAnalysis.clipboard?.writes || []).map(write => `- **${write.clickPath?.join(' → ') || 'Page'}** → ${write.address}: ${write.mismatch ? `MISMATCH, shown ${write.shown.join(', ') || 'a lookalike'}` : write.hidden ? 'not displayed on the page' : 'matches the address shown'} (${write.via})`).join('\n')}
+${(data.frontendAnalysis.clipboard?.swaps || []).map(swap => `- **Swapped** ${swap.from.join(', ')} → ${swap.to.join(', ')} in ${swap.target}`).join('\n')}
+
+### Network Hosts
+${(data.frontendAnalysis.network?.hosts || []).map(host => `- ${host.host}: ${host.requests} request(s)${host.thirdParty ? ' (third-party)' : ''}`).join('\n')}
 
 ### Signature Requests
-${data.frontendAnalysis.signatures.map(sig => `- ${sig}`).join('\n')}
+${data.frontendAnalysis.signatures.map(sig => `- **${sig.method}**${sig.element ? ` (${sig.element})` : ''}: ${sig.summary}`).join('\n')}
 
 ## Contract Analysis
 ### Addresses
-${data.contractAnalysis.addresses.map(addr => `- ${addr}`).join('\n')}
+${data.contractAnalysis.addresses.map(addr => `- ${addr}${getProvenance(data, addr) ? ` (found in ${getProvenance(data, addr)})` : ''}`).join('\n')}
+
+### Token Simulations
+${(data.contractAnalysis.tokens || []).map(token => `- **${token.symbol || token.address}**: ${token.error || `buy ${formatTax(token.buyTax)}, transfer ${formatTax(token.transferTax)}, ${token.sellReverts ? 'sells revert' : `sell ${formatTax(token.sellTax)}`}`}`).join('\n')}
 
 ### Functions Detected
 ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
 `;
   };
 
+  const getScriptVerdictColor = (verdict: AnalyzedScript['verdict']) => {
+    switch (verdict) {
+      case 'drainer-kit': return 'text-red-400';
+      case 'integrity-mismatch': return 'text-orange-400';
+      case 'obfuscated': return 'text-yellow-400';
+      case 'unpinned': return 'text-gray-400';
+      default: return 'text-green-400';
+    }
+  };
+
   const getRiskColor = (level: string) => {
     switch (level) {
       case 'safe': return 'text-green-400';
@@ -117,6 +390,16 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
     }
   };
 
+  const getSeverityColor = (severity: Severity) => {
+    switch (severity) {
+      case 'critical': return 'text-red-500 border-red-700 bg-red-900/30';
+      case 'high': return 'text-red-400 border-red-800 bg-red-900/20';
+      case 'medium': return 'text-yellow-400 border-yellow-800 bg-yellow-900/20';
+      case 'low': return 'text-blue-400 border-blue-800 bg-blue-900/20';
+      default: return 'text-gray-400 border-gray-600 bg-gray-900/30';
+    }
+  };
+
   const getRiskIcon = (level: string) => {
     switch (level) {
       case 'safe': return CheckCircle;
@@ -147,6 +430,9 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
   }
 
   const RiskIcon = getRiskIcon(report.riskSummary.level);
+  const simulations = getSimulations(report);
+  const clipboardWrites = report.frontendAnalysis.clipboard?.writes || [];
+  const addressSwaps = report.frontendAnalysis.clipboard?.swaps || [];
 
   return (
     <div className="min-h-screen py-8">
@@ -158,6 +444,9 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
               <h1 className="text-3xl font-bold text-white mb-2">Security Report</h1>
               <p className="text-gray-300">{report.url}</p>
               <p className="text-sm text-gray-400">Scan ID: {report.scanId}</p>
+              {report.chain && (
+                <p className="text-sm text-gray-400">Chain: {report.chain.name} ({report.chain.id})</p>
+              )}
             </div>
             
             <div className="flex space-x-3 mt-4 lg:mt-0">
@@ -175,6 +464,15 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
                 <Download className="h-4 w-4" />
                 <span>Markdown</span>
               </button>
+              {report.frontendAnalysis.network?.harFile && (
+                <a
+                  href={`/api/reports/${report.scanId}/har`}
+                  className="flex items-center space-x-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>HAR</span>
+                </a>
+              )}
               <button
                 onClick={copyToClipboard}
                 className="flex items-center space-x-2 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
@@ -195,21 +493,80 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
                     {report.riskSummary.level.toUpperCase()}
                   </span>
                 </h3>
-                <p className="text-gray-400">Security Score: {report.riskSummary.score}/100</p>
+                <p className="text-gray-400">
+                  Security Score: {report.riskSummary.score}/100
+                  {report.riskSummary.policy && ` (${report.riskSummary.policy.name} policy)`}
+                </p>
               </div>
             </div>
             
-            {report.riskSummary.issues.length > 0 && (
+            <p className="text-sm text-gray-400 mb-4">
+              {(Object.keys(report.riskSummary.counts) as Severity[])
+                .filter(severity => report.riskSummary.counts[severity] > 0)
+                .map(severity => `${report.riskSummary.counts[severity]} ${severity}`)
+                .join(' · ') || 'No findings'}
+            </p>
+            
+            {report.riskSummary.breakdown && report.riskSummary.policy && (
+              <details className="mb-4">
+                <summary className="text-sm text-gray-300 cursor-pointer">How was this score calculated?</summary>
+                <table className="w-full text-sm mt-2">
+                  <tbody>
+                    <tr className="text-gray-400">
+                      <td className="pr-4">{report.riskSummary.policy.baseScore}</td>
+                      <td>Base score</td>
+                      <td></td>
+                    </tr>
+                    {report.riskSummary.breakdown.filter(item => item.points !== 0).map((item, index) => (
+                      <tr key={index} className={item.points > 0 ? 'text-green-400' : 'text-red-400'}>
+                        <td className="pr-4 align-top">{item.points > 0 ? `+${item.points}` : item.points}</td>
+                        <td className="align-top">{item.label}</td>
+                        <td className="text-gray-500 align-top">{item.reason}</td>
+                      </tr>
+                    ))}
+                    <tr className="text-white font-medium">
+                      <td className="pr-4">{report.riskSummary.score}</td>
+                      <td>Final score</td>
+                      <td></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </details>
+            )}
+            
+            {report.findings.length > 0 && (
               <div>
-                <h4 className="text-lg font-medium text-white mb-2">Issues Found:</h4>
-                <ul className="space-y-1">
-                  {report.riskSummary.issues.map((issue, index) => (
-                    <li key={index} className="text-gray-300 flex items-start space-x-2">
-                      <span className="text-red-400">•</span>
-                      <span>{issue}</span>
-                    </li>
+                <h4 className="text-lg font-medium text-white mb-2">Findings:</h4>
+                <div className="space-y-2">
+                  {report.findings.map((finding, index) => (
+                    <div
+                      key={index}
+                      className={`rounded-lg p-3 border ${getSeverityColor(finding.severity)} ${finding.suppressed ? 'opacity-50' : ''}`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium">{finding.title}</span>
+                        <span className="text-xs uppercase">
+                          {finding.severity} · {finding.confidence} confidence
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-400 mt-1">
+                        <code>{finding.ruleId}</code> · {finding.category}
+                        {finding.affected && <> · <code>{finding.affected.value}</code></>}
+                      </p>
+                      <p className="text-sm text-gray-300 mt-1">{finding.remediation}</p>
+                      {finding.suppressed && (
+                        <p className="text-xs text-gray-400 mt-1">
+                          Suppressed by {finding.suppressed.by}: {finding.suppressed.reason}
+                        </p>
+                      )}
+                      {Object.keys(finding.evidence).length > 0 && (
+                        <pre className="text-xs text-gray-400 bg-gray-900/50 rounded p-2 mt-2 overflow-x-auto">
+                          {JSON.stringify(finding.evidence, null, 2)}
+                        </pre>
+                      )}
+                    </div>
                   ))}
-                </ul>
+                </div>
               </div>
             )}
           </div>
@@ -224,6 +581,36 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
             </div>
 
             <div className="space-y-6">
+              {(report.frontendAnalysis.routes || []).length > 1 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Routes</h3>
+                  <div className="space-y-2">
+                    {(report.frontendAnalysis.routes || []).map((route, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="font-mono text-sm text-gray-300 break-all">{formatRoute(route)}</span>
+                          <span className="text-xs text-gray-500">
+                            {route.depth !== null && `depth ${route.depth}`}
+                            {route.via && ` · via ${route.via}`}
+                          </span>
+                        </div>
+                        {route.error && <p className="text-sm text-gray-500 mt-1">Could not analyze: {route.error}</p>}
+                        <ul className="mt-2 space-y-1">
+                          {route.findings.map((finding, findingIndex) => (
+                            <li key={findingIndex} className={`text-sm rounded px-2 py-1 border ${getSeverityColor(finding.severity)}`}>
+                              {finding.title}
+                            </li>
+                          ))}
+                        </ul>
+                        {!route.error && route.findings.length === 0 && (
+                          <p className="text-sm text-gray-500 mt-1">No findings</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div>
                 <h3 className="text-lg font-medium text-white mb-3">Interactive Elements</h3>
                 <div className="space-y-2">
@@ -236,11 +623,158 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
                         </span>
                       </div>
                       <p className="text-sm text-gray-400 mt-1">{button.action}</p>
+                      {button.clickPath && button.clickPath.length > 1 && (
+                        <p className="text-xs text-gray-500 mt-1">{button.clickPath.join(' → ')}</p>
+                      )}
+                      {button.risk !== 'safe' && (
+                        <EvidenceStrip report={report} ids={[button.evidence?.before, button.evidence?.after]} />
+                      )}
                     </div>
                   ))}
                 </div>
               </div>
 
+              {report.frontendAnalysis.signatures.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Signature Requests</h3>
+                  <div className="space-y-2">
+                    {report.frontendAnalysis.signatures.map((signature, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="font-mono text-sm text-gray-300">{signature.method}</span>
+                          {(signature.clickPath || signature.element) && (
+                            <span className="text-xs text-gray-500">{signature.clickPath?.join(' → ') || signature.element}</span>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-400 mt-1 break-all">{signature.summary}</p>
+                        <EvidenceStrip report={report} ids={[signature.evidence]} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {simulations.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Transaction Simulations</h3>
+                  <div className="space-y-2">
+                    {simulations.map((tx, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-300">{tx.clickPath?.join(' → ') || tx.element || 'Page'}</span>
+                          <span className={`text-sm ${tx.simulation.status === 'success' ? 'text-gray-400' : 'text-yellow-400'}`}>
+                            {tx.simulation.status}
+                            {tx.simulation.gasUsed && ` · ${tx.simulation.gasUsed} gas`}
+                          </span>
+                        </div>
+                        <p className="font-mono text-xs text-gray-500 mt-1 break-all">to {tx.to}</p>
+                        <EvidenceStrip report={report} ids={[tx.evidence]} />
+                        {tx.simulation.revertReason && (
+                          <p className="text-sm text-yellow-400 mt-1">{tx.simulation.revertReason}</p>
+                        )}
+                        {tx.simulation.error && (
+                          <p className="text-sm text-gray-500 mt-1">Could not simulate: {tx.simulation.error}</p>
+                        )}
+                        <ul className="mt-2 space-y-1">
+                          {tx.simulation.changes.map((change, changeIndex) => (
+                            <li
+                              key={changeIndex}
+                              className={`text-sm break-all ${change.direction === 'in' ? 'text-green-400' : 'text-red-400'}`}
+                            >
+                              {change.summary}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {(report.frontendAnalysis.scripts || []).length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Scripts</h3>
+                  <div className="space-y-2">
+                    {(report.frontendAnalysis.scripts || []).map((script, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="font-mono text-sm text-gray-300 break-all">{formatScript(script)}</span>
+                          <span className={`text-sm ${getScriptVerdictColor(script.verdict)}`}>{script.verdict}</span>
+                        </div>
+                        <p className="font-mono text-xs text-gray-500 mt-1 break-all">
+                          sha256 {script.sha256}
+                          {script.integrity && ` · SRI ${script.integrity.valid ? 'valid' : 'mismatch'}`}
+                        </p>
+                        {script.reasons.length > 0 && (
+                          <p className="text-sm text-gray-400 mt-1">{script.reasons.join('; ')}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {(report.frontendAnalysis.csp || []).filter(entry => entry.issues.length > 0).map((entry, index) => (
+                    <p key={index} className="text-sm text-gray-500 mt-2 break-all">
+                      CSP on {new URL(entry.url).pathname}: {entry.issues.join('; ')}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {clipboardWrites.length + addressSwaps.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Clipboard</h3>
+                  <div className="space-y-2">
+                    {clipboardWrites.map((write, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-300">{write.clickPath?.join(' → ') || 'Page'}</span>
+                          <span className={`text-sm ${write.mismatch ? 'text-red-400' : write.hidden ? 'text-yellow-400' : 'text-gray-400'}`}>
+                            {write.mismatch ? 'mismatch' : write.hidden ? 'not displayed' : 'matches'} · {write.via}
+                          </span>
+                        </div>
+                        <p className="font-mono text-xs text-gray-500 mt-1 break-all">copied {write.address}</p>
+                        {write.mismatch && write.shown.length > 0 && (
+                          <p className="font-mono text-xs text-red-400 mt-1 break-all">shown {write.shown.join(', ')}</p>
+                        )}
+                        {(write.mismatch || write.hidden) && <EvidenceStrip report={report} ids={[write.evidence]} />}
+                      </div>
+                    ))}
+                    {addressSwaps.map((swap, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="font-mono text-sm text-gray-300">{swap.target}</span>
+                          <span className="text-sm text-yellow-400">address swapped{swap.attribute && ` · ${swap.attribute}`}</span>
+                        </div>
+                        <p className="font-mono text-xs text-gray-500 mt-1 break-all">
+                          {swap.from.join(', ')} → {swap.to.join(', ')}
+                        </p>
+                        <EvidenceStrip report={report} ids={[swap.evidence]} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {report.frontendAnalysis.network && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Network</h3>
+                  <p className="text-sm text-gray-400 mb-2">
+                    {report.frontendAnalysis.network.requests} requests
+                    {report.frontendAnalysis.network.failed > 0 && ` (${report.frontendAnalysis.network.failed} failed)`}
+                    {` · ${report.frontendAnalysis.network.webSockets} WebSocket(s), ${report.frontendAnalysis.network.webSocketFrames} frames`}
+                  </p>
+                  <div className="space-y-1">
+                    {report.frontendAnalysis.network.hosts.map((host, index) => (
+                      <div key={index} className="flex items-center justify-between text-sm bg-gray-900/30 rounded p-2">
+                        <span className="font-mono text-gray-400 break-all">{host.host}</span>
+                        <span className={host.thirdParty ? 'text-yellow-400' : 'text-gray-500'}>
+                          {host.requests}{host.thirdParty && ' · third-party'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div>
                 <h3 className="text-lg font-medium text-white mb-3">External Scripts</h3>
                 <div className="space-y-1">
@@ -273,11 +807,73 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
                           {report.contractAnalysis.verified[index] ? 'Verified' : 'Unverified'}
                         </span>
                       </div>
+                      {getProvenance(report, address) && (
+                        <p className="text-xs text-gray-500 mt-1">Found in {getProvenance(report, address)}</p>
+                      )}
                     </div>
                   ))}
                 </div>
               </div>
 
+              {report.contractAnalysis.proxies && report.contractAnalysis.proxies.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Proxy Chains</h3>
+                  <div className="space-y-2">
+                    {report.contractAnalysis.proxies.map((proxy, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <p className="text-sm text-purple-400 mb-1">{proxy.standard}</p>
+                        {proxy.chain.map((address, hop) => (
+                          <code key={hop} className="block text-gray-300 text-sm">
+                            {hop > 0 ? '→ ' : ''}{address}
+                          </code>
+                        ))}
+                        {proxy.admin && (
+                          <p className="text-sm text-gray-400 mt-1">Upgrade admin: <code>{proxy.admin}</code></p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {(report.contractAnalysis.tokens || []).length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-white mb-3">Token Simulations</h3>
+                  <div className="space-y-2">
+                    {(report.contractAnalysis.tokens || []).map((token, index) => (
+                      <div key={index} className="bg-gray-900/50 rounded-lg p-3 border border-gray-600">
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-300">{token.symbol || token.address}</span>
+                          {(token.sellReverts || token.transferReverts) && (
+                            <span className="text-sm text-red-400">
+                              {token.sellReverts ? 'cannot be sold' : 'transfers revert'}
+                            </span>
+                          )}
+                        </div>
+                        <p className="font-mono text-xs text-gray-500 mt-1 break-all">{token.address}</p>
+                        {token.error ? (
+                          <p className="text-sm text-gray-500 mt-1">{token.error}</p>
+                        ) : (
+                          <div className="grid grid-cols-3 gap-2 mt-2 text-sm text-gray-400">
+                            <span>Buy tax: {formatTax(token.buyTax)}</span>
+                            <span>Transfer tax: {formatTax(token.transferTax)}</span>
+                            <span>Sell tax: {formatTax(token.sellTax)}</span>
+                          </div>
+                        )}
+                        {(token.limits?.maxTransaction || token.limits?.maxWallet) && (
+                          <p className="text-sm text-yellow-400 mt-1">
+                            {[
+                              token.limits.maxTransaction && `Max transaction ${token.limits.maxTransaction}`,
+                              token.limits.maxWallet && `Max wallet ${token.limits.maxWallet}`
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div>
                 <h3 className="text-lg font-medium text-white mb-3">Functions Detected</h3>
                 <div className="space-y-1">
@@ -288,19 +884,6 @@ ${data.contractAnalysis.functions.map(func => `- ${func}`).join('\n')}
                   ))}
                 </div>
               </div>
-
-              {report.contractAnalysis.risks.length > 0 && (
-                <div>
-                  <h3 className="text-lg font-medium text-white mb-3">Contract Risks</h3>
-                  <div className="space-y-1">
-                    {report.contractAnalysis.risks.map((risk, index) => (
-                      <div key={index} className="text-sm text-red-400 bg-red-900/20 rounded p-2 border border-red-800">
-                        {risk}
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createAddressCollector } from '../analysis/addressExtractor.js';
+import { startRpcServer } from './helpers/rpcServer.js';
+
+const ROUTER = ethers.utils.getAddress('0x7a250d5630b4cf539739df2c5dacb4c659f2488d');
+const TOKEN = ethers.utils.getAddress('0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48');
+const NFT = ethers.utils.getAddress('0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d');
+const RESOLVER = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41';
+const ENS_REGISTRY = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e';
+
+// Same address with one letter's case flipped, so its EIP-55 checksum fails
+const badChecksum = address => address.replace(/[a-f]/, letter => letter.toUpperCase());
+
+const source = (type, location = 'https://dapp.example/') => ({ type, location, route: 'https://dapp.example/' });
+
+describe('createAddressCollector', () => {
+  it('checksums addresses and skips placeholders, hashes and bad checksums', () => {
+    const collector = createAddressCollector();
+    collector.scan([
+      TOKEN.toLowerCase(),
+      ethers.constants.AddressZero,
+      '0x0000000000000000000000000000000000000001',
+      '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
+      `0x${'ab'.repeat(32)}`,
+      badChecksum(NFT)
+    ].join(' '), source('script', 'https://dapp.example/app.js'));
+
+    assert.deepEqual(collector.ranked().map(candidate => [candidate.address, candidate.checksummed]), [[TOKEN, false]]);
+    assert.equal(collector.rejected, 1);
+  });
+
+  it('ranks addresses the dApp interacts with ahead of ones it only mentions', () => {
+    const collector = createAddressCollector();
+    collector.scan(`${NFT} ${NFT} ${NFT} ${TOKEN}`, source('script', 'https://dapp.example/app.js'));
+    collector.scan(TOKEN, source('page'));
+    collector.addRpcRequest('eth_call', [{ to: ROUTER.toLowerCase(), data: '0x' }, 'latest'], source('call'));
+
+    const ranked = collector.ranked();
+    assert.deepEqual(ranked.map(candidate => candidate.address), [ROUTER, TOKEN, NFT]);
+    assert.deepEqual(ranked.map(candidate => candidate.interacted), [true, false, false]);
+    // Two kinds of source beat three occurrences in one
+    assert.deepEqual(ranked[1].sources.map(entry => entry.label), ['script bundle', 'page text']);
+    assert.equal(ranked[2].occurrences, 3);
+    assert.equal(ranked[2].sources.length, 1);
+  });
+
+  it('takes targets from transactions and typed-data signatures', () => {
+    const collector = createAddressCollector();
+    collector.addRpcRequest('eth_sendTransaction', [{ to: TOKEN, value: '0x0' }], source('transaction'));
+    collector.addRpcRequest('eth_signTypedData_v4', ['0x1111111111111111111111111111111111111111', JSON.stringify({
+      domain: { verifyingContract: NFT }
+    })], source('signature'));
+    collector.addRpcRequest('eth_getBalance', [ROUTER, 'latest'], source('call'));
+
+    assert.deepEqual(
+      collector.ranked().map(candidate => [candidate.address, candidate.sources[0].label]),
+      [[TOKEN, 'transaction target'], [NFT, 'signature request']]
+    );
+  });
+
+  describe('resolveEnsNames', () => {
+    let rpc;
+    const env = { rpc: process.env.ETHEREUM_RPC_URL, custom: process.env.CUSTOM_RPC_URL };
+
+    before(async () => {
+      const ens = new ethers.utils.Interface([
+        'function resolver(bytes32 node) view returns (address)',
+        'function addr(bytes32 node) view returns (address)'
+      ]);
+      const node = ethers.utils.namehash('vault.eth');
+      rpc = await startRpcServer({
+        eth_call: ([call]) => {
+          const { args } = ens.parseTransaction({ data: call.data });
+          const known = args.node === node;
+          return call.to.toLowerCase() === ENS_REGISTRY
+            ? ens.encodeFunctionResult('resolver', [known ? RESOLVER : ethers.constants.AddressZero])
+            : ens.encodeFunctionResult('addr', [TOKEN]);
+        }
+      });
+      process.env.ETHEREUM_RPC_URL = rpc.url;
+      delete process.env.CUSTOM_RPC_URL;
+    });
+
+    after(async () => {
+      await rpc.close();
+      for (const [key, value] of [['ETHEREUM_RPC_URL', env.rpc], ['CUSTOM_RPC_URL', env.custom]]) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    it('adds the addresses of quoted names in code and names in page text', async () => {
+      const collector = createAddressCollector();
+      collector.scan('const treasury = "vault.eth"; web3.eth.getAccounts()', source('script', 'https://dapp.example/app.js'));
+      collector.scan('Donate to nobody.eth', source('page'));
+      await collector.resolveEnsNames({ ensChainId: 1 });
+
+      const [candidate, ...rest] = collector.ranked();
+      assert.equal(rest.length, 0);
+      assert.equal(candidate.address, TOKEN);
+      assert.deepEqual(candidate.sources.map(entry => [entry.label, entry.location]), [['ENS name vault.eth', 'https://dapp.example/app.js']]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripMetadata, disassembleBytecode, findOpcodes, formatPc } from '../utils/disassembleBytecode.js';
+
+describe('stripMetadata', () => {
+  it('splits off the CBOR trailer named by the last two bytes', () => {
+    assert.deepEqual(stripMetadata('0x00A161000003'), { code: '00', metadata: 'a161000003' });
+  });
+
+  it('keeps everything as code when the trailer is not a CBOR map', () => {
+    assert.deepEqual(stripMetadata('0x6001600203'), { code: '6001600203', metadata: null });
+    assert.deepEqual(stripMetadata('0x00'), { code: '00', metadata: null });
+  });
+});
+
+describe('disassembleBytecode', () => {
+  it('consumes PUSH immediates as data', () => {
+    const instructions = disassembleBytecode('0x608060405263f4f4f4f4');
+    assert.deepEqual(instructions.map(ins => [ins.pc, ins.name, ins.push]), [
+      [0, 'PUSH1', '0x80'],
+      [2, 'PUSH1', '0x40'],
+      [4, 'MSTORE', undefined],
+      [5, 'PUSH4', '0xf4f4f4f4']
+    ]);
+  });
+
+  it('marks code after a halting opcode unreachable until the next JUMPDEST', () => {
+    const instructions = disassembleBytecode('0x00f45bf4');
+    assert.deepEqual(instructions.map(ins => [ins.name, ins.reachable]), [
+      ['STOP', true],
+      ['DELEGATECALL', false],
+      ['JUMPDEST', true],
+      ['DELEGATECALL', true]
+    ]);
+  });
+
+  it('names unknown opcodes and treats them as halting', () => {
+    const instructions = disassembleBytecode('0x0cff');
+    assert.equal(instructions[0].name, 'UNKNOWN_0x0c');
+    assert.equal(instructions[1].reachable, false);
+  });
+
+  it('skips the metadata trailer', () => {
+    const instructions = disassembleBytecode('0x00A161000003');
+    assert.deepEqual(instructions.map(ins => ins.name), ['STOP']);
+  });
+});
+
+describe('findOpcodes', () => {
+  it('only returns reachable occurrences', () => {
+    const found = findOpcodes(disassembleBytecode('0x00f45bf4ff'), ['DELEGATECALL', 'SELFDESTRUCT']);
+    assert.deepEqual(found.map(ins => [ins.pc, ins.name]), [[3, 'DELEGATECALL'], [4, 'SELFDESTRUCT']]);
+  });
+});
+
+describe('formatPc', () => {
+  it('pads to four hex digits', () => {
+    assert.equal(formatPc(10), '0x000a');
+    assert.equal(formatPc(0x12345), '0x12345');
+  });
+});
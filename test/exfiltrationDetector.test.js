@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectExfiltration } from '../analysis/exfiltrationDetector.js';
+
+const WALLET = '0xAbCdEf0123456789aBcDeF0123456789AbCdEf01';
+const PAGE_URL = 'https://app.example.com/';
+const MNEMONIC = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+const SIGNATURE = `0x${'1b'.repeat(65)}`;
+
+const post = (url, body = '', extra = {}) => ({ url, method: 'POST', route: PAGE_URL, element: null, request: { body: { text: body } }, ...extra });
+const detect = (entries, sockets = []) =>
+  detectExfiltration({ entries, webSockets: () => sockets }, { pageUrl: PAGE_URL, walletAddress: WALLET });
+const ruleIds = findings => findings.map(finding => finding.ruleId);
+const rpcCall = (method, params) => JSON.stringify({ jsonrpc: '2.0', id: 1, method, params });
+
+describe('detectExfiltration', () => {
+  it('reports Telegram bots once per bot and redacts the token', () => {
+    const url = 'https://api.telegram.org/bot123456:AAE-secret_token/sendMessage?chat_id=-10042';
+    const findings = detect([post(url, 'text=hi'), post(url, 'text=again')]);
+
+    assert.deepEqual(ruleIds(findings), ['network/telegram-bot']);
+    assert.equal(findings[0].evidence.url, 'https://api.telegram.org/bot123456:…/sendMessage?chat_id=-10042');
+    assert.equal(findings[0].evidence.botId, '123456');
+    assert.equal(findings[0].evidence.chatId, '-10042');
+  });
+
+  it('reports Discord webhooks without their secret', () => {
+    const findings = detect([post('https://discord.com/api/webhooks/987654321/s3cr3t-Token', '{"content":"hit"}')]);
+
+    assert.deepEqual(ruleIds(findings), ['network/discord-webhook']);
+    assert.equal(findings[0].evidence.url, 'https://discord.com/api/webhooks/987654321/…');
+  });
+
+  it('finds seed phrases even on the dApp\'s own host, URL-encoded or comma-separated', () => {
+    const encoded = detect([post('https://app.example.com/api/restore', `phrase=${encodeURIComponent(MNEMONIC).replace(/%20/g, '+')}`)]);
+    assert.deepEqual(ruleIds(encoded), ['network/seed-phrase']);
+    assert.equal(encoded[0].evidence.words, 12);
+
+    const listed = detect([post('https://collector.example.org/', JSON.stringify({ words: MNEMONIC.split(' ').join(', ') }))]);
+    assert.ok(ruleIds(listed).includes('network/seed-phrase'));
+  });
+
+  it('ignores word runs that are too short or not BIP-39 words', () => {
+    const short = MNEMONIC.split(' ').slice(0, 11).join(' ');
+    const prose = 'the quick brown foxes jumped over lazy dogs while other small cats slept soundly inside';
+
+    assert.deepEqual(detect([post('https://collector.example.org/', short), post('https://collector.example.org/', prose)]), []);
+  });
+
+  it('flags signatures and the wallet address sent to third parties', () => {
+    const findings = detect([post('https://collector.evil.xyz/log', JSON.stringify({ sig: SIGNATURE, addr: WALLET.toLowerCase() }))]);
+
+    assert.deepEqual(ruleIds(findings), ['network/signature-exfiltration', 'network/wallet-address-leak']);
+    assert.equal(findings[0].evidence.signature, `${SIGNATURE.slice(0, 18)}…`);
+  });
+
+  it('treats subdomains of the dApp\'s site as first party but not other tenants of a shared host', () => {
+    const body = JSON.stringify({ addr: WALLET });
+
+    assert.deepEqual(detect([post('https://api.example.com/session', body)]), []);
+    assert.deepEqual(
+      ruleIds(detectExfiltration(
+        { entries: [post('https://evil.vercel.app/collect', body)], webSockets: () => [] },
+        { pageUrl: 'https://dapp.vercel.app/', walletAddress: WALLET }
+      )),
+      ['network/wallet-address-leak']
+    );
+  });
+
+  it('only exempts JSON-RPC bodies sent to RPC providers', () => {
+    const body = rpcCall('eth_sendRawTransaction', [`${SIGNATURE}${WALLET.slice(2)}`]);
+    const balance = rpcCall('eth_getBalance', [WALLET, 'latest']);
+
+    assert.deepEqual(detect([
+      post('https://mainnet.infura.io/v3/key', body),
+      post('https://eth.llamarpc.com/', balance)
+    ]), []);
+    assert.deepEqual(ruleIds(detect([post('https://collector.evil.xyz/rpc', balance)])), ['network/wallet-address-leak']);
+  });
+
+  it('checks frames written to WebSockets', () => {
+    const socket = {
+      url: 'wss://stream.evil.xyz/',
+      frames: [
+        { type: 'receive', data: WALLET, route: PAGE_URL },
+        { type: 'send', data: JSON.stringify({ wallet: WALLET }), route: PAGE_URL, element: 'button "Connect"' }
+      ]
+    };
+    const findings = detect([], [socket]);
+
+    assert.deepEqual(ruleIds(findings), ['network/wallet-address-leak']);
+    assert.equal(findings[0].evidence.channel, 'websocket');
+    assert.equal(findings[0].evidence.element, 'button "Connect"');
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { disassembleBytecode } from '../utils/disassembleBytecode.js';
+import { extractDispatcher } from '../analysis/functionDispatcher.js';
+
+const dispatch = bytecode => extractDispatcher(disassembleBytecode(bytecode));
+
+describe('extractDispatcher', () => {
+  it('reads selectors, including PUSH3 ones, and reports binary-search pivots separately', () => {
+    const result = dispatch(
+      '0x' +
+      '8063a9059cbb1461002057' + // DUP1 PUSH4 transfer EQ PUSH2 0x20 JUMPI
+      '8062fdd58e1461002257' + //   DUP1 PUSH3 balanceOf(address,uint256) EQ PUSH2 0x22 JUMPI
+      '806370a082311161002457' + // DUP1 PUSH4 pivot GT PUSH2 0x24 JUMPI
+      '5b005b005b00'
+    );
+
+    assert.equal(result.layout, 'binary-search');
+    assert.deepEqual(result.functions, [
+      { selector: '0xa9059cbb', entryPc: 0x20, checkPc: 1 },
+      { selector: '0x00fdd58e', entryPc: 0x22, checkPc: 12 }
+    ]);
+    assert.deepEqual(result.splits, [{ pivot: '0x70a08231', comparison: 'GT', pc: 22 }]);
+  });
+
+  it('takes the code after the JUMPI as the entry of a negated check', () => {
+    // PUSH4 transfer DUP2 EQ ISZERO PUSH2 0x0e JUMPI; body at 0x0c
+    const result = dispatch('0x63a9059cbb81141561000e575b005b00');
+
+    assert.equal(result.layout, 'linear');
+    assert.deepEqual(result.functions, [{ selector: '0xa9059cbb', entryPc: 0x0c, checkPc: 0 }]);
+  });
+
+  it('ignores comparisons that do not jump to a JUMPDEST', () => {
+    assert.deepEqual(dispatch('0x8063111111111461000057').functions, []);
+  });
+
+  it('ignores constants in unreachable code', () => {
+    assert.deepEqual(dispatch('0x008063a9059cbb1461000c575b00').functions, []);
+  });
+});
@@ -0,0 +1,42 @@
+import { createServer } from 'http';
+
+/**
+ * Local JSON-RPC endpoint for tests. handlers maps a method to (params) => result, or is a
+ * (method, params) => result function answering everything; unknown methods and handlers that
+ * throw get a JSON-RPC error. Batches are answered as batches, like a real node.
+ * Resolves to { url, requests, close }, where requests lists every call received.
+ */
+export async function startRpcServer(handlers) {
+  const requests = [];
+
+  const answer = async ({ id, method, params }) => {
+    requests.push({ method, params });
+    const handler = typeof handlers === 'function' ? params => handlers(method, params) : handlers[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } };
+    }
+    try {
+      return { jsonrpc: '2.0', id, result: await handler(params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: -32000, message: error.message } };
+    }
+  };
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
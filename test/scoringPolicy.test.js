@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { listPolicies, loadScoringPolicy, scoreFindings } from '../utils/scoringPolicy.js';
+
+const finding = (ruleId, severity, confidence, extra = {}) =>
+  ({ ruleId, title: ruleId, severity, confidence, affected: { type: 'contract', value: '0xabc' }, ...extra });
+
+describe('loadScoringPolicy', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'policy-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('loads every bundled policy', () => {
+    assert.ok(listPolicies().includes('default'));
+    for (const name of listPolicies()) {
+      assert.equal(loadScoringPolicy(name).name, name);
+    }
+  });
+
+  it('rejects unknown names and only accepts paths when allowed', () => {
+    assert.throws(() => loadScoringPolicy('nope'), /Unknown scoring policy: nope/);
+
+    const path = join(dir, 'strict.yaml');
+    writeFileSync(path, 'baseScore: 90\n');
+    assert.throws(() => loadScoringPolicy(path), /Unknown scoring policy/);
+
+    // Sections the file leaves out come from the default policy
+    const policy = loadScoringPolicy(path, { allowPaths: true });
+    assert.equal(policy.name, 'strict');
+    assert.equal(policy.baseScore, 90);
+    assert.deepEqual(policy.severityWeights, loadScoringPolicy('default').severityWeights);
+  });
+
+  it('lists every problem in an invalid policy', () => {
+    const path = join(dir, 'broken.json');
+    writeFileSync(path, JSON.stringify({
+      thresholds: { safe: 10, warning: 50 },
+      rules: { 'x/y': { severity: 'extreme' } },
+      bonuses: { unknownBonus: { points: 1 } }
+    }));
+
+    assert.throws(() => loadScoringPolicy(path, { allowPaths: true }), error => {
+      assert.match(error.message, /thresholds\.safe must be at least thresholds\.warning/);
+      assert.match(error.message, /rules\.x\/y\.severity must be one of/);
+      assert.match(error.message, /bonuses\.unknownBonus is not a known bonus/);
+      return true;
+    });
+  });
+});
+
+describe('scoreFindings', () => {
+  const policy = loadScoringPolicy('default');
+
+  it('deducts severity weight times confidence factor and explains it', () => {
+    const result = scoreFindings([finding('a/b', 'high', 'medium')], {}, policy);
+
+    assert.equal(result.score, 85);
+    assert.equal(result.level, 'safe');
+    assert.deepEqual(result.breakdown, [{
+      type: 'deduction',
+      id: 'a/b',
+      label: 'a/b',
+      affected: '0xabc',
+      points: -15,
+      reason: 'high (20) × medium confidence (0.75)'
+    }]);
+  });
+
+  it('caps rules with maxTotal across findings', () => {
+    const findings = [1, 2, 3].map(() => finding('contract/external-call', 'medium', 'high'));
+    const { breakdown, score } = scoreFindings(findings, {}, policy);
+
+    assert.deepEqual(breakdown.map(item => item.points || 0), [-10, 0, 0]);
+    assert.equal(score, 90);
+  });
+
+  it('does not count suppressed or ignored findings', () => {
+    const custom = { ...policy, rules: { 'noisy/rule': { ignore: true } } };
+    const { score, breakdown } = scoreFindings([
+      finding('noisy/rule', 'critical', 'high'),
+      finding('a/b', 'critical', 'high', { suppressed: { by: 'plugin', reason: 'known router' } })
+    ], {}, custom);
+
+    assert.equal(score, 100);
+    assert.deepEqual(breakdown.map(item => item.reason), [
+      'ignored by policy',
+      'suppressed by plugin: known router'
+    ]);
+  });
+
+  it('adds bonuses up to their maximum and clamps the score to 0-100', () => {
+    const contractAnalysis = {
+      analysis: [{
+        address: '0xabc',
+        roles: [
+          { role: 'owner', type: 'timelock' },
+          { role: 'admin', type: 'timelock' },
+          { role: 'pauser', type: 'timelock' },
+          { role: 'minter', type: 'safe', threshold: 1 }
+        ]
+      }]
+    };
+    const { score, breakdown } = scoreFindings([], contractAnalysis, policy);
+
+    assert.deepEqual(breakdown.map(item => [item.id, item.affected, item.points]), [
+      ['timelockedRole', '0xabc owner', 5],
+      ['timelockedRole', '0xabc admin', 5]
+    ]);
+    assert.equal(score, 100);
+  });
+
+  it('maps scores to levels with the policy thresholds', () => {
+    const critical = finding('a/b', 'critical', 'high');
+    assert.equal(scoreFindings([critical], {}, policy).level, 'warning');
+
+    const { score, level } = scoreFindings([critical, critical, critical, critical], {}, policy);
+    assert.equal(score, 0);
+    assert.equal(level, 'danger');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { decodeSignatureRequest } from '../analysis/signatureDecoder.js';
+import { PERMIT2_ADDRESS } from '../analysis/transactionClassifier.js';
+
+const USER = '0x1111111111111111111111111111111111111111';
+const ATTACKER = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const UNISWAP_ROUTER = '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad';
+const MAX = ethers.constants.MaxUint256.toString();
+
+const context = { element: 'button "Claim"', account: USER };
+const signTyped = typedData => decodeSignatureRequest('eth_signTypedData_v4', [USER, JSON.stringify(typedData)], context);
+const ruleIds = result => result.findings.map(finding => finding.ruleId);
+
+describe('decodeSignatureRequest', () => {
+  it('flags eth_sign as blind signing', () => {
+    const hash = `0x${'ab'.repeat(32)}`;
+    const result = decodeSignatureRequest('eth_sign', [USER, hash], context);
+
+    assert.equal(result.kind, 'raw-hash');
+    assert.deepEqual(ruleIds(result), ['signature/eth-sign']);
+    assert.deepEqual(result.findings[0].affected, { type: 'element', value: 'button "Claim"' });
+  });
+
+  it('decodes personal_sign text in either parameter order', () => {
+    const message = ethers.utils.hexlify(ethers.utils.toUtf8Bytes('Sign in to Example'));
+
+    for (const params of [[message, USER], [USER, message]]) {
+      const result = decodeSignatureRequest('personal_sign', params, context);
+      assert.equal(result.kind, 'message');
+      assert.equal(result.summary, 'Sign message: "Sign in to Example"');
+      assert.deepEqual(result.findings, []);
+    }
+  });
+
+  it('describes binary personal_sign payloads instead of printing them', () => {
+    const result = decodeSignatureRequest('personal_sign', [`0x00${'01'.repeat(31)}`, USER], context);
+
+    assert.equal(result.kind, 'binary-message');
+    assert.match(result.summary, /^Sign opaque 32-byte value 0x00/);
+  });
+
+  it('rates ERC-2612 permits by amount and spender', () => {
+    const permit = (spender, value) => signTyped({
+      domain: { name: 'USD Coin', verifyingContract: TOKEN, chainId: 1 },
+      primaryType: 'Permit',
+      message: { owner: USER, spender, value, nonce: 0, deadline: 32503680000 }
+    });
+
+    const unlimited = permit(ATTACKER, MAX);
+    assert.equal(unlimited.kind, 'permit');
+    assert.equal(unlimited.summary, `Allow ${ATTACKER} to spend unlimited USD Coin (${TOKEN}) until never`);
+    assert.deepEqual(ruleIds(unlimited), ['signature/erc2612-permit']);
+    assert.equal(unlimited.findings[0].severity, 'critical');
+
+    assert.equal(permit(ATTACKER, '1000').findings[0].severity, 'high');
+    assert.equal(permit(UNISWAP_ROUTER, MAX).findings[0].severity, 'low');
+  });
+
+  it('decodes Permit2 batch allowances', () => {
+    const result = signTyped({
+      domain: { name: 'Permit2', verifyingContract: PERMIT2_ADDRESS, chainId: 1 },
+      primaryType: 'PermitBatch',
+      message: {
+        spender: ATTACKER,
+        sigDeadline: 0,
+        details: [
+          { token: TOKEN, amount: MAX, expiration: 0, nonce: 0 },
+          { token: USER, amount: '5', expiration: 0, nonce: 0 }
+        ]
+      }
+    });
+
+    assert.equal(result.kind, 'permit2');
+    assert.deepEqual(ruleIds(result), ['signature/permit2']);
+    assert.equal(result.findings[0].severity, 'critical');
+    assert.equal(result.findings[0].title, `Permit2 PermitBatch lets ${ATTACKER} spend unlimited of ${TOKEN}, 5 of ${USER}`);
+  });
+
+  it('flags Seaport orders that pay the offerer nothing', () => {
+    const order = consideration => signTyped({
+      domain: { name: 'Seaport', verifyingContract: '0x00000000000000adc04c56bf30ac9d3c0aaf14dc' },
+      primaryType: 'OrderComponents',
+      message: {
+        offerer: USER,
+        offer: [{ itemType: 2, token: TOKEN, identifierOrCriteria: '7', startAmount: '1', endAmount: '1' }],
+        consideration
+      }
+    });
+
+    const drain = order([{ itemType: 2, token: TOKEN, identifierOrCriteria: '7', startAmount: '1', recipient: ATTACKER }]);
+    assert.equal(drain.kind, 'seaport-order');
+    assert.deepEqual(ruleIds(drain), ['signature/seaport-zero-price']);
+    assert.equal(drain.findings[0].title, `Seaport order gives away 1 ERC721 ${TOKEN} #7 to ${ATTACKER}`);
+
+    const sale = order([{ itemType: 0, token: ethers.constants.AddressZero, startAmount: '1000000000000000000', recipient: USER }]);
+    assert.deepEqual(ruleIds(sale), []);
+  });
+
+  it('flags zero-price Blur sell orders and bulk roots', () => {
+    const blur = (primaryType, message) => signTyped({ domain: { name: 'Blur Exchange' }, primaryType, message });
+
+    const free = blur('Order', { side: 1, price: '0', collection: TOKEN, tokenId: '3', trader: USER, paymentToken: ethers.constants.AddressZero });
+    assert.deepEqual(ruleIds(free), ['signature/blur-order']);
+    assert.equal(free.findings[0].severity, 'critical');
+
+    const bulk = blur('Root', { root: `0x${'12'.repeat(32)}` });
+    assert.deepEqual(ruleIds(bulk), ['signature/blur-order']);
+    assert.equal(bulk.findings[0].severity, 'high');
+  });
+
+  it('describes other typed data without findings', () => {
+    const result = signTyped({ domain: { name: 'Example', chainId: 10 }, primaryType: 'Login', message: { nonce: 1 } });
+
+    assert.equal(result.summary, 'Sign Login for Example on chain 10');
+    assert.deepEqual(result.findings, []);
+  });
+
+  it('reports typed data that cannot be decoded', () => {
+    const result = decodeSignatureRequest('eth_signTypedData_v4', [USER, '{"domain": '], context);
+
+    assert.equal(result.kind, 'unknown');
+    assert.deepEqual(ruleIds(result), ['signature/undecodable']);
+    assert.equal(result.findings[0].title, 'eth_signTypedData_v4 request could not be decoded');
+    assert.ok(result.findings[0].evidence.error);
+  });
+});
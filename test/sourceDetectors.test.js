@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSourcePatterns } from '../analysis/sourceDetectors.js';
+
+const contract = body => `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Token {
+  address owner;
+  modifier onlyOwner() { require(msg.sender == owner); _; }
+${body}
+}`;
+
+const rules = source => detectSourcePatterns(source, 'Token').map(finding => finding.rule);
+
+describe('detectSourcePatterns', () => {
+  it('finds transfer lists and unbounded fees named with $', () => {
+    const findings = detectSourcePatterns(contract(`
+  mapping(address => bool) bot$list;
+  uint256 $fee;
+  function setFee(uint256 new$fee) external onlyOwner { $fee = new$fee; }
+  function transfer(address to, uint256 amount) external returns (bool) {
+    require(!bot$list[to]);
+    return amount > 0;
+  }`), 'Token');
+
+    assert.deepEqual(findings.map(finding => [finding.rule, finding.line]), [['transfer-list', 12], ['unbounded-fee', 10]]);
+  });
+
+  it('accepts fees with an upper bound and does not match names inside longer identifiers', () => {
+    assert.deepEqual(rules(contract(`
+  mapping(address => bool) $blacklist;
+  uint256 $fee;
+  function setFee(uint256 new$fee) external onlyOwner { require(new$fee <= 10); $fee = new$fee; }
+  function transfer(address to, uint256 amount) external returns (bool) {
+    require(not$blacklist[to] == 0);
+    return amount > 0;
+  }
+  mapping(address => uint256) not$blacklist;`)), []);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import solc from 'solc';
+import { ethers } from 'ethers';
+import { simulateTokens } from '../analysis/tokenSimulator.js';
+import { createSimulationNetwork, sendTransaction, prepareAccount } from '../utils/simulationNetwork.js';
+import { startRpcServer } from './helpers/rpcServer.js';
+
+/**
+ * Runs the token simulation against the Hardhat fixtures in hardhat/contracts/fixtures: they
+ * are compiled with solc-js, deployed on a local network that is served over JSON-RPC, and
+ * that network is forked like a real chain would be.
+ */
+const FIXTURE_DIR = new URL('../hardhat/contracts/fixtures/', import.meta.url);
+
+// Hardhat refuses to fork Ethereum at a low block number; it has no hardfork history for Polygon
+const CHAIN_ID = 137;
+
+const DEPLOYER = '0x9999999999999999999999999999999999999999';
+const SUPPLY = ethers.utils.parseEther('1000000');
+
+// name, symbol, buy/sell/transfer tax (bps), max transaction, sells blocked
+const FIXTURES = [
+  ['Clean Token', 'CLEAN', 0, 0, 0, 0, false],
+  ['Taxed Token', 'TAXED', 500, 2500, 100, 0, false],
+  ['Honeypot Token', 'HONEY', 0, 0, 0, 0, true],
+  ['Limited Token', 'LIMIT', 0, 0, 0, ethers.utils.parseEther('1000'), false]
+];
+
+function compileFixtures() {
+  const sources = Object.fromEntries(['FixtureToken', 'MockDexRouter'].map(name => [
+    `${name}.sol`,
+    { content: readFileSync(new URL(`${name}.sol`, FIXTURE_DIR), 'utf8') }
+  ]));
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources,
+    settings: { optimizer: { enabled: true, runs: 200 }, outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  })));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  return name => output.contracts[`${name}.sol`][name];
+}
+
+/**
+ * Deploy the router and one pool per fixture token, with half the supply against 10 ETH
+ */
+async function deployFixtures(network) {
+  const artifact = compileFixtures();
+  const send = async request => {
+    const result = await sendTransaction(network, { from: DEPLOYER, gas: '0x1c9c380', ...request });
+    if (!result.success) throw new Error(result.revertReason);
+    return result.receipt;
+  };
+  const deploy = async (name, args = []) => {
+    const factory = new ethers.ContractFactory(artifact(name).abi, artifact(name).evm.bytecode.object);
+    return (await send({ data: factory.getDeployTransaction(...args).data })).contractAddress;
+  };
+
+  await prepareAccount(network, DEPLOYER, ethers.utils.parseEther('100'));
+  const router = await deploy('MockDexRouter');
+  const token = new ethers.utils.Interface(artifact('FixtureToken').abi);
+  const dex = new ethers.utils.Interface(artifact('MockDexRouter').abi);
+  const tokens = {};
+
+  for (const [name, symbol, ...settings] of FIXTURES) {
+    const address = await deploy('FixtureToken', [name, symbol, SUPPLY, ...settings]);
+    await send({ to: address, data: token.encodeFunctionData('setPair', [router]) });
+    await send({ to: address, data: token.encodeFunctionData('approve', [router, SUPPLY]) });
+    await send({
+      to: router,
+      value: ethers.utils.parseEther('10'),
+      data: dex.encodeFunctionData('addLiquidityETH', [address, SUPPLY.div(2), 0, 0, DEPLOYER, 2 ** 32])
+    });
+    tokens[symbol] = address;
+  }
+
+  // Forks start a few blocks behind the head to stay clear of reorgs
+  await network.request({ method: 'hardhat_mine', params: ['0x20'] });
+  return { router, tokens };
+}
+
+describe('simulateTokens', () => {
+  let rpc;
+  let simulation;
+  let tokens;
+
+  before(async () => {
+    const network = await createSimulationNetwork({ chainId: CHAIN_ID, fork: false });
+    const fixtures = await deployFixtures(network);
+    rpc = await startRpcServer((method, params) => network.request({ method, params }));
+    tokens = fixtures.tokens;
+    simulation = await simulateTokens(Object.values(tokens), { chainId: CHAIN_ID, forkUrl: rpc.url, router: fixtures.router });
+  });
+
+  after(() => rpc?.close());
+
+  const resultFor = symbol => simulation.results.find(result => result.address === tokens[symbol]);
+  const findingsFor = symbol => simulation.findings
+    .filter(finding => finding.affected.value === tokens[symbol])
+    .map(finding => finding.ruleId);
+
+  it('buys, transfers and sells a clean token without findings', () => {
+    const clean = resultFor('CLEAN');
+
+    assert.equal(clean.symbol, 'CLEAN');
+    assert.equal(clean.acquiredVia, 'dex');
+    assert.deepEqual([clean.buyTax, clean.transferTax, clean.sellTax, clean.sellReverts], [0, 0, 0, false]);
+    assert.deepEqual(findingsFor('CLEAN'), []);
+  });
+
+  it('measures buy, transfer and sell taxes', () => {
+    const taxed = resultFor('TAXED');
+
+    assert.equal(taxed.buyTax, 5);
+    assert.equal(taxed.transferTax, 1);
+    // The sell quote already includes the pool fee; 25% tax out of a slightly moved pool
+    assert.ok(Math.abs(taxed.sellTax - 25) < 0.5, `sell tax ${taxed.sellTax}`);
+    assert.deepEqual(findingsFor('TAXED'), ['token/buy-tax', 'token/sell-tax', 'token/transfer-tax']);
+  });
+
+  it('detects a token that cannot be sold', () => {
+    const honeypot = resultFor('HONEY');
+
+    assert.equal(honeypot.acquiredVia, 'dex');
+    assert.equal(honeypot.sellReverts, true);
+    assert.deepEqual(findingsFor('HONEY'), ['token/honeypot']);
+  });
+
+  it('reads transaction limits and falls back to writing balance storage when the buy is too large', () => {
+    const limited = resultFor('LIMIT');
+
+    assert.equal(limited.acquiredVia, 'storage');
+    assert.equal(limited.limits.maxTransaction, '1000.0');
+    assert.deepEqual(findingsFor('LIMIT'), ['token/transaction-limit']);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { classifyTransaction, PERMIT2_ADDRESS } from '../analysis/transactionClassifier.js';
+import { startRpcServer } from './helpers/rpcServer.js';
+
+const USER = '0x1111111111111111111111111111111111111111';
+const FRESH_EOA = '0x2222222222222222222222222222222222222222';
+const CONTRACT = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const UNISWAP_V2 = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d';
+
+const token = new ethers.utils.Interface([
+  'function approve(address spender, uint256 amount)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+  'function multicall(bytes[] data)'
+]);
+const permit2 = new ethers.utils.Interface([
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)'
+]);
+
+const context = { chainId: 1, account: USER, url: 'https://dapp.example' };
+const classify = tx => classifyTransaction({ from: USER, ...tx }, context);
+const ruleIds = result => result.findings.map(finding => finding.ruleId);
+
+describe('classifyTransaction', () => {
+  let rpc;
+  const env = { rpc: process.env.ETHEREUM_RPC_URL, custom: process.env.CUSTOM_RPC_URL };
+
+  before(async () => {
+    rpc = await startRpcServer({
+      eth_getCode: ([address]) => (address.toLowerCase() === CONTRACT ? '0x6080' : '0x'),
+      eth_getTransactionCount: ([address]) => (address.toLowerCase() === FRESH_EOA ? '0x0' : '0x5')
+    });
+    process.env.ETHEREUM_RPC_URL = rpc.url;
+    delete process.env.CUSTOM_RPC_URL;
+  });
+
+  after(async () => {
+    await rpc.close();
+    for (const [key, value] of [['ETHEREUM_RPC_URL', env.rpc], ['CUSTOM_RPC_URL', env.custom]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('flags an unlimited approval to a fresh EOA', async () => {
+    const result = await classify({
+      to: TOKEN,
+      data: token.encodeFunctionData('approve', [FRESH_EOA, ethers.constants.MaxUint256])
+    });
+
+    assert.deepEqual(result.actions, [{
+      type: 'approval',
+      method: 'approve',
+      token: ethers.utils.getAddress(TOKEN),
+      spender: ethers.utils.getAddress(FRESH_EOA),
+      amount: ethers.constants.MaxUint256.toString()
+    }]);
+    assert.deepEqual(ruleIds(result), ['drainer/unlimited-approval']);
+    assert.equal(result.findings[0].confidence, 'high');
+    assert.equal(result.findings[0].evidence.spenderType, 'eoa');
+  });
+
+  it('trusts known spenders and limited approvals', async () => {
+    const known = await classify({ to: TOKEN, data: token.encodeFunctionData('approve', [UNISWAP_V2, ethers.constants.MaxUint256]) });
+    const limited = await classify({ to: TOKEN, data: token.encodeFunctionData('approve', [FRESH_EOA, 1000]) });
+
+    assert.deepEqual(ruleIds(known), []);
+    assert.deepEqual(ruleIds(limited), []);
+  });
+
+  it('lowers confidence when the operator is a contract', async () => {
+    const result = await classify({ to: TOKEN, data: token.encodeFunctionData('setApprovalForAll', [CONTRACT, true]) });
+
+    assert.deepEqual(ruleIds(result), ['drainer/approval-for-all']);
+    assert.equal(result.findings[0].confidence, 'medium');
+  });
+
+  it('decodes Permit2 approvals', async () => {
+    const result = await classify({
+      to: PERMIT2_ADDRESS,
+      data: permit2.encodeFunctionData('approve', [TOKEN, FRESH_EOA, ethers.BigNumber.from(2).pow(160).sub(1), 0])
+    });
+
+    assert.deepEqual(ruleIds(result), ['drainer/permit2-approval']);
+    assert.equal(result.findings[0].severity, 'critical');
+  });
+
+  it('flags ETH sent to a fresh EOA but not to an active one', async () => {
+    const fresh = await classify({ to: FRESH_EOA, value: '0xde0b6b3a7640000' });
+    const active = await classify({ to: '0x5555555555555555555555555555555555555555', value: '0xde0b6b3a7640000' });
+
+    assert.deepEqual(ruleIds(fresh), ['drainer/eth-to-fresh-eoa']);
+    assert.equal(fresh.findings[0].title, `1.0 ETH sent to fresh EOA ${ethers.utils.getAddress(FRESH_EOA)}`);
+    assert.deepEqual(ruleIds(active), []);
+  });
+
+  it('reports token ids rather than amounts for NFT transfers bundled in a multicall', async () => {
+    const result = await classify({
+      to: TOKEN,
+      value: '0x',
+      data: token.encodeFunctionData('multicall', [[
+        token.encodeFunctionData('transferFrom', [USER, FRESH_EOA, 500]),
+        token.encodeFunctionData('safeTransferFrom(address,address,uint256)', [USER, FRESH_EOA, 42]),
+        token.encodeFunctionData('safeTransferFrom(address,address,uint256,uint256,bytes)', [USER, FRESH_EOA, 7, 3, '0x']),
+        token.encodeFunctionData('safeBatchTransferFrom', [USER, FRESH_EOA, [8, 9], [1, 2], '0x']),
+        // Someone else's assets are not the user's concern
+        token.encodeFunctionData('transferFrom', [CONTRACT, FRESH_EOA, 500])
+      ]])
+    });
+
+    assert.deepEqual(result.actions.map(({ method, amount, tokenId, ids, amounts }) => ({ method, amount, tokenId, ids, amounts })), [
+      { method: 'transferFrom', amount: '500', tokenId: undefined, ids: undefined, amounts: undefined },
+      { method: 'safeTransferFrom', amount: undefined, tokenId: '42', ids: undefined, amounts: undefined },
+      { method: 'safeTransferFrom', amount: '3', tokenId: '7', ids: undefined, amounts: undefined },
+      { method: 'safeBatchTransferFrom', amount: undefined, tokenId: undefined, ids: ['8', '9'], amounts: ['1', '2'] }
+    ]);
+    assert.deepEqual(ruleIds(result), ['drainer/multicall-transfer']);
+    assert.equal(result.findings[0].confidence, 'high');
+    assert.deepEqual(result.findings[0].evidence.recipients, [ethers.utils.getAddress(FRESH_EOA)]);
+  });
+
+  it('reports malformed requests instead of throwing', async () => {
+    for (const tx of [{ to: 'not-an-address' }, { to: 42 }, { to: TOKEN, value: '-0x1' }, { to: TOKEN, value: 'lots' }]) {
+      const result = await classify(tx);
+      assert.deepEqual(result.actions, []);
+      assert.deepEqual(ruleIds(result), ['drainer/malformed-transaction']);
+    }
+  });
+});
@@ -0,0 +1,125 @@
+import { mkdir, readFile, writeFile, rename, rm, readdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join, resolve } from 'path';
+import { ethers } from 'ethers';
+
+/**
+ * Disk-backed cache shared by contract fetching, selector decoding and contract analysis.
+ * Each entry is one JSON file under <dir>/<namespace>/, so concurrent scans can share a
+ * directory. Override with configureCache() or the CACHE_* environment variables.
+ */
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_TTLS = {
+  // eth_getCode results, per chain + address
+  code: HOUR,
+  // Verified source and ABI, per chain + address
+  explorer: 24 * HOUR,
+  // Remote (4byte) selector lookups
+  selectors: 7 * 24 * HOUR,
+  // Bytecode-derived analysis, per code hash
+  analysis: 7 * 24 * HOUR
+};
+
+let settings = {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  dir: process.env.CACHE_DIR || '.cache',
+  ttls: { ...DEFAULT_TTLS, ...ttlsFromEnv() }
+};
+
+/**
+ * Override cache settings, e.g. from CLI flags
+ */
+export function configureCache(options = {}) {
+  const overrides = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  settings = { ...settings, ...overrides, ttls: { ...settings.ttls, ...overrides.ttls } };
+}
+
+/**
+ * Read an entry, returning undefined when missing, expired or disabled.
+ * Pass options.codeHash to treat entries stored for different bytecode as stale.
+ */
+export async function getCached(namespace, key, options = {}) {
+  if (!settings.enabled) return undefined;
+
+  try {
+    const entry = JSON.parse(await readFile(entryPath(namespace, key), 'utf8'));
+
+    if (entry.expiresAt < Date.now()) return undefined;
+    if (options.codeHash && entry.codeHash !== options.codeHash) return undefined;
+
+    return entry.value;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`⚠️  Ignoring unreadable cache entry ${namespace}/${key}:`, error.message);
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Store an entry for the namespace's TTL (or options.ttl milliseconds)
+ */
+export async function setCached(namespace, key, value, options = {}) {
+  if (!settings.enabled) return;
+
+  const path = entryPath(namespace, key);
+  const now = Date.now();
+  const entry = {
+    key,
+    codeHash: options.codeHash || null,
+    storedAt: now,
+    expiresAt: now + (options.ttl ?? settings.ttls[namespace] ?? DEFAULT_TTLS.code),
+    value
+  };
+
+  try {
+    await mkdir(join(settings.dir, namespace), { recursive: true });
+
+    // Write then rename so parallel scans never read a half-written file
+    const temp = `${path}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(entry));
+    await rename(temp, path);
+  } catch (error) {
+    console.log(`⚠️  Could not write cache entry ${namespace}/${key}:`, error.message);
+  }
+}
+
+/**
+ * Delete one namespace, or the whole cache when none is given
+ */
+export async function clearCache(namespace) {
+  const target = namespace ? join(settings.dir, namespace) : settings.dir;
+  const namespaces = namespace ? [namespace] : await readdir(settings.dir).catch(() => []);
+
+  await rm(target, { recursive: true, force: true });
+  console.log(`🧹 Cleared cache ${resolve(target)} (${namespaces.join(', ') || 'empty'})`);
+}
+
+/**
+ * Identify runtime bytecode; analysis results are keyed by this
+ */
+export function hashCode(bytecode) {
+  return ethers.utils.keccak256(bytecode || '0x');
+}
+
+function entryPath(namespace, key) {
+  const file = createHash('sha256').update(String(key)).digest('hex');
+  return join(settings.dir, namespace, `${file}.json`);
+}
+
+function ttlsFromEnv() {
+  const seconds = {
+    code: process.env.CACHE_TTL_CODE,
+    explorer: process.env.CACHE_TTL_EXPLORER,
+    selectors: process.env.CACHE_TTL_SELECTORS,
+    analysis: process.env.CACHE_TTL_ANALYSIS
+  };
+
+  return Object.fromEntries(
+    Object.entries(seconds)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => [key, Number(value) * 1000])
+  );
+}
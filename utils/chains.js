@@ -0,0 +1,139 @@
+/**
+ * Supported chains, keyed by chain ID.
+ * RPC URLs can be overridden through the environment and are tried before the public fallbacks;
+ * explorer keys fall back to ETHERSCAN_API_KEY.
+ * dexRouter is a Uniswap V2-compatible router used to buy and sell tokens in simulations.
+ * Environment variables are read on lookup so values set after import (e.g. by the CLI) apply.
+ */
+export const CHAINS = {
+  1: {
+    id: 1,
+    key: 'ethereum',
+    name: 'Ethereum',
+    rpcEnv: 'ETHEREUM_RPC_URL',
+    defaultRpcUrl: 'https://eth.llamarpc.com',
+    fallbackRpcUrls: ['https://ethereum-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api.etherscan.io/api',
+    explorerKeyEnv: 'ETHERSCAN_API_KEY',
+    // Uniswap V2
+    dexRouter: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  },
+  10: {
+    id: 10,
+    key: 'optimism',
+    name: 'OP Mainnet',
+    rpcEnv: 'OPTIMISM_RPC_URL',
+    defaultRpcUrl: 'https://mainnet.optimism.io',
+    fallbackRpcUrls: ['https://optimism-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api-optimistic.etherscan.io/api',
+    explorerKeyEnv: 'OPTIMISM_ETHERSCAN_API_KEY',
+    // Uniswap V2
+    dexRouter: '0x4A7b5Da61326A6379179b40d00F57E5bbDE07D7f',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  },
+  56: {
+    id: 56,
+    key: 'bsc',
+    name: 'BNB Smart Chain',
+    rpcEnv: 'BSC_RPC_URL',
+    defaultRpcUrl: 'https://bsc-dataseed.binance.org',
+    fallbackRpcUrls: ['https://bsc-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api.bscscan.com/api',
+    explorerKeyEnv: 'BSCSCAN_API_KEY',
+    // PancakeSwap V2
+    dexRouter: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
+    nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 }
+  },
+  137: {
+    id: 137,
+    key: 'polygon',
+    name: 'Polygon',
+    rpcEnv: 'POLYGON_RPC_URL',
+    defaultRpcUrl: 'https://polygon-rpc.com',
+    fallbackRpcUrls: ['https://polygon-bor-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api.polygonscan.com/api',
+    explorerKeyEnv: 'POLYGONSCAN_API_KEY',
+    // QuickSwap
+    dexRouter: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 }
+  },
+  8453: {
+    id: 8453,
+    key: 'base',
+    name: 'Base',
+    rpcEnv: 'BASE_RPC_URL',
+    defaultRpcUrl: 'https://mainnet.base.org',
+    fallbackRpcUrls: ['https://base-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api.basescan.org/api',
+    explorerKeyEnv: 'BASESCAN_API_KEY',
+    // Uniswap V2
+    dexRouter: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  },
+  42161: {
+    id: 42161,
+    key: 'arbitrum',
+    name: 'Arbitrum One',
+    rpcEnv: 'ARBITRUM_RPC_URL',
+    defaultRpcUrl: 'https://arb1.arbitrum.io/rpc',
+    fallbackRpcUrls: ['https://arbitrum-one-rpc.publicnode.com'],
+    explorerApiUrl: 'https://api.arbiscan.io/api',
+    explorerKeyEnv: 'ARBISCAN_API_KEY',
+    // SushiSwap
+    dexRouter: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  }
+};
+
+export const DEFAULT_CHAIN_ID = 1;
+
+/**
+ * Resolve a chain ID from a number, a hex string ('0x89') or a chain key ('polygon')
+ */
+export function resolveChainId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const byKey = Object.values(CHAINS).find(chain => chain.key === text);
+  if (byKey) {
+    return byKey.id;
+  }
+
+  const id = text.startsWith('0x') ? parseInt(text, 16) : parseInt(text, 10);
+  return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * Look up a supported chain, throwing for chains we cannot analyse
+ */
+export function getChain(chainId = DEFAULT_CHAIN_ID) {
+  const chain = CHAINS[resolveChainId(chainId)];
+
+  if (!chain) {
+    const supported = Object.values(CHAINS).map(c => `${c.key} (${c.id})`).join(', ');
+    throw new Error(`Unsupported chain: ${chainId}. Supported chains: ${supported}`);
+  }
+
+  return {
+    ...chain,
+    rpcUrl: process.env[chain.rpcEnv] || chain.defaultRpcUrl,
+    rpcUrls: [...new Set(
+      [process.env[chain.rpcEnv], chain.defaultRpcUrl, ...chain.fallbackRpcUrls].filter(Boolean)
+    )],
+    explorerApiKey: process.env[chain.explorerKeyEnv] || process.env.ETHERSCAN_API_KEY || 'YourApiKeyToken'
+  };
+}
+
+/**
+ * Format a chain ID the way EIP-1193 providers report it
+ */
+export function toHexChainId(chainId) {
+  return '0x' + resolveChainId(chainId).toString(16);
+}
@@ -1,84 +1,161 @@
 import axios from 'axios';
+import { ethers } from 'ethers';
+import { lookupFunction } from './signatureDatabase.js';
+import { getCached, setCached } from './cache.js';
+
+// Selectors 4byte did not know are retried sooner than ones it resolved
+const UNKNOWN_SELECTOR_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Describe every function in a verified ABI. These come from the compiler output,
+ * so names, mutability and parameter types are authoritative.
+ */
+export function functionsFromAbi(abi) {
+  const iface = new ethers.utils.Interface(abi);
+  
+  return Object.values(iface.functions).map(fragment => ({
+    selector: iface.getSighash(fragment),
+    signature: fragment.format('sighash'),
+    name: fragment.name,
+    stateMutability: fragment.stateMutability,
+    inputs: fragment.inputs.map(input => input.type),
+    source: 'abi',
+    confidence: 'high',
+    candidates: []
+  }));
+}
 
 /**
- * Decode function selectors using 4byte.directory
+ * Decode function selectors using the bundled signature database, falling back to
+ * 4byte.directory only for misses (skipped entirely when options.remote is false).
+ * Remote answers are cached on disk.
+ * Selectors are not unique, so every colliding signature is returned as a candidate
+ * and the guess is marked low-confidence.
  */
-export async function decodeFunctionSelectors(selectors) {
+export async function decodeFunctionSelectors(selectors, options = {}) {
   if (selectors.length === 0) return [];
   
   console.log(`🔍 Decoding ${selectors.length} function selectors...`);
   
   const functions = [];
+  const misses = [];
   
-  // Batch requests to 4byte.directory
-  for (const selector of selectors.slice(0, 10)) { // Limit to avoid rate limiting
+  for (const selector of selectors) {
+    const candidates = lookupFunction(selector);
+    if (candidates.length > 0) {
+      functions.push(guessedFunction(selector, candidates, 'local'));
+    } else {
+      misses.push(selector);
+    }
+  }
+  
+  console.log(`📚 ${functions.length} decoded from local database, ${misses.length} unknown locally`);
+  
+  for (const selector of misses) {
+    if (options.remote === false) {
+      functions.push(unknownFunction(selector, 'unknown'));
+      continue;
+    }
+    
     try {
-      const response = await axios.get(`https://www.4byte.directory/api/v1/signatures/`, {
-        params: {
-          hex_signature: selector
-        },
-        timeout: 5000
-      });
+      let candidates = await getCached('selectors', selector);
       
-      if (response.data?.results?.length > 0) {
-        // Take the first (most common) result
-        const signature = response.data.results[0].text_signature;
-        functions.push(signature);
-        console.log(`✅ Decoded: ${selector} -> ${signature}`);
+      if (candidates === undefined) {
+        const response = await axios.get(`https://www.4byte.directory/api/v1/signatures/`, {
+          params: {
+            hex_signature: selector
+          },
+          timeout: 5000
+        });
+        
+        // The earliest submission is usually the real one; later ones are often spoofed collisions
+        candidates = [...(response.data?.results || [])]
+          .sort((a, b) => a.id - b.id)
+          .map(result => result.text_signature);
+        await setCached('selectors', selector, candidates, {
+          ttl: candidates.length === 0 ? UNKNOWN_SELECTOR_TTL : undefined
+        });
+        
+        // Small delay to be respectful to the API
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      
+      if (candidates.length > 0) {
+        functions.push(guessedFunction(selector, candidates, '4byte'));
+        console.log(`✅ Decoded: ${selector} -> ${candidates[0]} (${candidates.length} candidate(s))`);
       } else {
         console.log(`❓ Unknown selector: ${selector}`);
-        functions.push(`Unknown function: ${selector}`);
+        functions.push(unknownFunction(selector, 'unknown'));
       }
       
-      // Small delay to be respectful to the API
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
     } catch (error) {
       console.log(`⚠️  Failed to decode ${selector}:`, error.message);
-      functions.push(`Failed to decode: ${selector}`);
+      functions.push(unknownFunction(selector, 'error'));
     }
   }
   
-  return functions;
+  // Keep the dispatcher's order
+  return selectors.map(selector => functions.find(func => func.selector === selector));
 }
 
 /**
- * Common function selectors for quick reference
+ * Format a decoded function for display, marking guesses so they are not mistaken for facts
  */
-const COMMON_SELECTORS = {
-  '0xa9059cbb': 'transfer(address,uint256)',
-  '0x23b872dd': 'transferFrom(address,address,uint256)',
-  '0x095ea7b3': 'approve(address,uint256)',
-  '0x70a08231': 'balanceOf(address)',
-  '0x18160ddd': 'totalSupply()',
-  '0x8da5cb5b': 'owner()',
-  '0xf2fde38b': 'transferOwnership(address)',
-  '0x715018a6': 'renounceOwnership()',
-  '0x40c10f19': 'mint(address,uint256)',
-  '0x42966c68': 'burn(uint256)',
-  '0x06fdde03': 'name()',
-  '0x95d89b41': 'symbol()',
-  '0x313ce567': 'decimals()',
-  '0xa0712d68': 'mint(uint256)',
-  '0xd0def521': 'message()',
-  '0x12065fe0': 'getBalance()',
-  '0x3ccfd60b': 'withdraw()',
-  '0x2e1a7d4d': 'withdraw(uint256)',
-  '0xf14fcbc8': 'deposit()',
-  '0x1249c58b': 'mint()',
-  '0xff1e7774': 'claim()',
-  '0x4e71d92d': 'claim()',
-  '0x379607f5': 'claim(uint256)',
-  '0x5312ea8e': 'claim(address)',
-  '0x2e17de78': 'setImplementation(address)',
-  '0x5c60da1b': 'implementation()',
-  '0x8f283970': 'changeAdmin(address)',
-  '0xf851a440': 'admin()',
-};
+export function formatFunction(func) {
+  if (func.source === 'abi') {
+    return func.signature;
+  }
+  
+  if (!func.signature) {
+    return func.source === 'error'
+      ? `Failed to decode: ${func.selector}`
+      : `Unknown function: ${func.selector}`;
+  }
+  
+  const others = func.candidates.filter(candidate => candidate !== func.signature);
+  const collisions = others.length > 0 ? `; collides with ${others.join(', ')}` : '';
+  const label = func.source === 'local' ? 'signature db' : '4byte guess';
+  return `${func.signature} [${label}${collisions}]`;
+}
+
+/**
+ * Build an entry from signature database candidates
+ */
+function guessedFunction(selector, candidates, source) {
+  const signature = candidates[0];
+  
+  return {
+    selector,
+    signature,
+    name: signature.split('(')[0],
+    stateMutability: null,
+    inputs: null,
+    source,
+    // Bundled signatures are curated; remote submissions can be spoofed
+    confidence: source === 'local' ? 'medium' : 'low',
+    candidates
+  };
+}
 
 /**
- * Get function signature from selector using common functions first
+ * Build an entry for a selector that could not be decoded
+ */
+function unknownFunction(selector, source) {
+  return {
+    selector,
+    signature: null,
+    name: null,
+    stateMutability: null,
+    inputs: null,
+    source,
+    confidence: 'none',
+    candidates: []
+  };
+}
+
+/**
+ * Get function signature from selector using the local database only
  */
 export function getFunctionSignature(selector) {
-  return COMMON_SELECTORS[selector] || null;
-}
\ No newline at end of file
+  return lookupFunction(selector)[0] || null;
+}
@@ -0,0 +1,123 @@
+/**
+ * EVM opcode table (Cancun). PUSH1-PUSH32, DUP and SWAP ranges are filled in below.
+ */
+const OPCODES = {
+  0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV',
+  0x06: 'MOD', 0x07: 'SMOD', 0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+  0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO',
+  0x16: 'AND', 0x17: 'OR', 0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL',
+  0x1c: 'SHR', 0x1d: 'SAR', 0x20: 'KECCAK256',
+  0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE',
+  0x35: 'CALLDATALOAD', 0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE',
+  0x39: 'CODECOPY', 0x3a: 'GASPRICE', 0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY',
+  0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+  0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO',
+  0x45: 'GASLIMIT', 0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH',
+  0x4a: 'BLOBBASEFEE',
+  0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE',
+  0x56: 'JUMP', 0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST',
+  0x5c: 'TLOAD', 0x5d: 'TSTORE', 0x5e: 'MCOPY', 0x5f: 'PUSH0',
+  0xa0: 'LOG0', 0xa1: 'LOG1', 0xa2: 'LOG2', 0xa3: 'LOG3', 0xa4: 'LOG4',
+  0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL',
+  0xf5: 'CREATE2', 0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT'
+};
+
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) {
+  OPCODES[0x7f + i] = `DUP${i}`;
+  OPCODES[0x8f + i] = `SWAP${i}`;
+}
+
+// Opcodes after which execution never falls through to the next instruction
+const HALTING_OPCODES = new Set(['STOP', 'JUMP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT']);
+
+/**
+ * Normalize a hex string to lowercase without the 0x prefix
+ */
+function normalizeHex(bytecode) {
+  return (bytecode || '').toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Split the CBOR-encoded Solidity/Vyper metadata trailer off runtime bytecode.
+ * The last two bytes hold the big-endian length of the CBOR map that precedes them.
+ */
+export function stripMetadata(bytecode) {
+  const hex = normalizeHex(bytecode);
+  const byteLength = hex.length / 2;
+
+  if (byteLength < 2) {
+    return { code: hex, metadata: null };
+  }
+
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const metadataStart = byteLength - 2 - metadataLength;
+
+  if (metadataLength === 0 || metadataStart < 0) {
+    return { code: hex, metadata: null };
+  }
+
+  // CBOR maps are encoded with a major type 5 header (0xa0-0xbf)
+  const header = parseInt(hex.slice(metadataStart * 2, metadataStart * 2 + 2), 16);
+  if (header < 0xa0 || header > 0xbf) {
+    return { code: hex, metadata: null };
+  }
+
+  return {
+    code: hex.slice(0, metadataStart * 2),
+    metadata: hex.slice(metadataStart * 2)
+  };
+}
+
+/**
+ * Disassemble EVM bytecode into instructions.
+ * PUSH immediates are consumed as data, the metadata trailer is skipped, and
+ * instructions that follow a halting opcode without an intervening JUMPDEST are
+ * marked unreachable (they are data, not code).
+ */
+export function disassembleBytecode(bytecode) {
+  const { code } = stripMetadata(bytecode);
+  const instructions = [];
+  let reachable = true;
+  let pc = 0;
+
+  while (pc < code.length / 2) {
+    const opcode = parseInt(code.slice(pc * 2, pc * 2 + 2), 16);
+    const name = OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+    const instruction = { pc, opcode, name };
+
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      instruction.push = '0x' + code.slice(pc * 2 + 2, (pc + 1 + size) * 2);
+      pc += size;
+    }
+
+    if (name === 'JUMPDEST') {
+      reachable = true;
+    }
+    instruction.reachable = reachable;
+    instructions.push(instruction);
+
+    if (HALTING_OPCODES.has(name) || !OPCODES[opcode]) {
+      reachable = false;
+    }
+    pc += 1;
+  }
+
+  return instructions;
+}
+
+/**
+ * Find every reachable occurrence of the given opcode names
+ */
+export function findOpcodes(instructions, names) {
+  const wanted = new Set(names);
+  return instructions.filter(ins => ins.reachable && wanted.has(ins.name));
+}
+
+/**
+ * Format a program counter for display
+ */
+export function formatPc(pc) {
+  return '0x' + pc.toString(16).padStart(4, '0');
+}
@@ -1,13 +1,19 @@
 import axios from 'axios';
+import { getChain, DEFAULT_CHAIN_ID } from './chains.js';
+import { getProvider } from './rpcProvider.js';
+import { getCached, setCached, hashCode } from './cache.js';
 
 /**
- * Fetch contract bytecode and source code from multiple sources
+ * Fetch contract bytecode and source code from multiple sources.
+ * Both are cached per chain + address; explorer data is refetched when the bytecode changes.
  */
-export async function fetchContractCode(address) {
-  console.log(`📡 Fetching contract data for: ${address}`);
+export async function fetchContractCode(address, chainId = DEFAULT_CHAIN_ID) {
+  const chain = getChain(chainId);
+  console.log(`📡 Fetching contract data for: ${address} on ${chain.name}`);
   
   const result = {
     address,
+    chainId: chain.id,
     bytecode: null,
     verified: false,
     sourceCode: null,
@@ -15,18 +21,28 @@ export async function fetchContractCode(address) {
   };
   
   try {
-    // Try Etherscan first (most comprehensive)
-    const etherscanResult = await fetchFromEtherscan(address);
-    if (etherscanResult.bytecode) {
-      Object.assign(result, etherscanResult);
-      return result;
+    const cacheKey = `${chain.id}:${address.toLowerCase()}`;
+    
+    // Bytecode always comes from the chain itself
+    result.bytecode = await getCached('code', cacheKey);
+    if (result.bytecode === undefined) {
+      result.bytecode = await fetchCode(address, chain.id);
+      await setCached('code', cacheKey, result.bytecode);
     }
+    result.codeHash = hashCode(result.bytecode);
     
-    // Fallback to public RPC
-    const rpcResult = await fetchFromRPC(address);
-    if (rpcResult.bytecode) {
-      Object.assign(result, rpcResult);
+    // Verified source and ABI come from the explorer
+    let etherscanResult = await getCached('explorer', cacheKey, { codeHash: result.codeHash });
+    if (etherscanResult === undefined) {
+      etherscanResult = await fetchFromEtherscan(address, chain);
+      
+      // A failed lookup is not evidence that the contract is unverified
+      if (!etherscanResult.failed) {
+        await setCached('explorer', cacheKey, etherscanResult, { codeHash: result.codeHash });
+      }
+      delete etherscanResult.failed;
     }
+    Object.assign(result, etherscanResult);
     
     return result;
     
@@ -37,47 +53,38 @@ export async function fetchContractCode(address) {
 }
 
 /**
- * Fetch from Etherscan API
+ * Fetch from the chain's Etherscan-compatible explorer API
  */
-async function fetchFromEtherscan(address) {
+async function fetchFromEtherscan(address, chain) {
   const result = {
-    bytecode: null,
     verified: false,
     sourceCode: null,
     abi: null
   };
   
   try {
-    // Get bytecode
-    const bytecodeResponse = await axios.get('https://api.etherscan.io/api', {
-      params: {
-        module: 'proxy',
-        action: 'eth_getCode',
-        address,
-        tag: 'latest',
-        apikey: process.env.ETHERSCAN_API_KEY || 'YourApiKeyToken'
-      },
-      timeout: 10000
-    });
-    
-    if (bytecodeResponse.data?.result) {
-      result.bytecode = bytecodeResponse.data.result;
-    }
-    
     // Try to get source code (for verified contracts)
-    const sourceResponse = await axios.get('https://api.etherscan.io/api', {
+    const sourceResponse = await axios.get(chain.explorerApiUrl, {
       params: {
         module: 'contract',
         action: 'getsourcecode',
         address,
-        apikey: process.env.ETHERSCAN_API_KEY || 'YourApiKeyToken'
+        apikey: chain.explorerApiKey
       },
       timeout: 10000
     });
     
+    // Rate limits and bad keys come back as status "0" with a message instead of a result
+    if (sourceResponse.data?.status === '0') {
+      console.log(`⚠️  Etherscan API refused ${address}:`, sourceResponse.data.result);
+      result.failed = true;
+      return result;
+    }
+    
     if (sourceResponse.data?.result?.[0]?.SourceCode) {
       result.verified = true;
       result.sourceCode = sourceResponse.data.result[0].SourceCode;
+      result.contractName = sourceResponse.data.result[0].ContractName || null;
       
       // Try to parse ABI
       const abiString = sourceResponse.data.result[0].ABI;
@@ -92,43 +99,36 @@ async function fetchFromEtherscan(address) {
     
   } catch (error) {
     console.log(`⚠️  Etherscan API failed for ${address}:`, error.message);
+    result.failed = true;
   }
   
   return result;
 }
 
 /**
- * Fetch from public RPC endpoint
+ * Fetch only the runtime bytecode of an address (no explorer lookup)
  */
-async function fetchFromRPC(address) {
-  const result = {
-    bytecode: null,
-    verified: false,
-    sourceCode: null,
-    abi: null
-  };
-  
-  try {
-    // Use public Ethereum RPC
-    const response = await axios.post('https://eth.llamarpc.com', {
-      jsonrpc: '2.0',
-      method: 'eth_getCode',
-      params: [address, 'latest'],
-      id: 1
-    }, {
-      timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (response.data?.result) {
-      result.bytecode = response.data.result;
-    }
-    
-  } catch (error) {
-    console.log(`⚠️  RPC failed for ${address}:`, error.message);
-  }
-  
-  return result;
-}
\ No newline at end of file
+export async function fetchCode(address, chainId = DEFAULT_CHAIN_ID) {
+  return (await getProvider(chainId).request('eth_getCode', [address, 'latest'])) || '0x';
+}
+
+/**
+ * Read a raw storage slot from a contract
+ */
+export async function fetchStorageAt(address, slot, chainId = DEFAULT_CHAIN_ID) {
+  return (await getProvider(chainId).request('eth_getStorageAt', [address, slot, 'latest'])) || null;
+}
+
+/**
+ * Execute a read-only call against a contract
+ */
+export async function callContract(address, data, chainId = DEFAULT_CHAIN_ID) {
+  return (await getProvider(chainId).request('eth_call', [{ to: address, data }, 'latest'])) || null;
+}
+
+/**
+ * Count the transactions an account has sent (its nonce)
+ */
+export async function fetchTransactionCount(address, chainId = DEFAULT_CHAIN_ID) {
+  return parseInt(await getProvider(chainId).request('eth_getTransactionCount', [address, 'latest']), 16);
+}
@@ -0,0 +1,65 @@
+/**
+ * Structured findings shared by every detector.
+ * A rule is { id, title, severity, confidence, category, remediation }; detectors declare
+ * their rules next to the code that checks them and emit findings with createFinding().
+ */
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+export const CONFIDENCES = ['high', 'medium', 'low'];
+
+/**
+ * Build a finding from a rule. details.affected says what the finding is about
+ * ({ type: 'contract' | 'url' | 'element' | 'script', value }); details.evidence holds
+ * whatever proves it (PCs, selectors, request payloads, source lines).
+ * Any rule field can be overridden per finding, e.g. a more specific title.
+ */
+export function createFinding(rule, details = {}) {
+  const { affected = null, evidence = {}, ...overrides } = details;
+  const finding = {
+    ruleId: rule.id,
+    title: rule.title,
+    severity: rule.severity,
+    confidence: rule.confidence,
+    category: rule.category,
+    affected,
+    evidence,
+    remediation: rule.remediation,
+    ...overrides
+  };
+
+  if (!SEVERITIES.includes(finding.severity)) {
+    throw new Error(`Invalid severity "${finding.severity}" for rule ${rule.id}`);
+  }
+  if (!CONFIDENCES.includes(finding.confidence)) {
+    throw new Error(`Invalid confidence "${finding.confidence}" for rule ${rule.id}`);
+  }
+
+  return finding;
+}
+
+/**
+ * Order findings from most to least severe, then by confidence
+ */
+export function sortFindings(findings) {
+  return [...findings].sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    CONFIDENCES.indexOf(a.confidence) - CONFIDENCES.indexOf(b.confidence)
+  );
+}
+
+/**
+ * Count findings per severity
+ */
+export function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  findings.forEach(finding => { counts[finding.severity]++; });
+  return counts;
+}
+
+/**
+ * One-line description of a finding for logs and plain-text output
+ */
+export function formatFinding(finding) {
+  const target = finding.affected ? ` - ${finding.affected.value}` : '';
+  const suppressed = finding.suppressed ? ` (suppressed by ${finding.suppressed.by})` : '';
+  return `[${finding.severity.toUpperCase()}] ${finding.title}${target}${suppressed}`;
+}
@@ -1,20 +1,49 @@
+import { getChain } from './chains.js';
+import { sortFindings, countBySeverity } from './findings.js';
+import { loadScoringPolicy, scoreFindings } from './scoringPolicy.js';
+import { createPluginHost } from './plugins.js';
+
 /**
- * Generate comprehensive security report
+ * Generate comprehensive security report, scored with the given policy (default policy if omitted).
+ * Plugins get a last look through the finalizeReport hook before scoring.
  */
-export function generateReport({ url, frontendAnalysis, contractAnalysis }) {
+export async function generateReport({
+  url,
+  frontendAnalysis,
+  contractAnalysis,
+  policy = loadScoringPolicy(),
+  plugins = createPluginHost()
+}) {
   const scanId = generateScanId();
   const timestamp = new Date().toISOString();
   
   console.log(`📊 Generating security report: ${scanId}`);
   
-  // Calculate risk score
-  const riskSummary = calculateRiskSummary(frontendAnalysis, contractAnalysis);
+  // Every detector reports structured findings; the score is computed from them alone
+  const detected = [
+    ...(frontendAnalysis.findings || []),
+    ...(contractAnalysis.findings || [])
+  ];
+  detected.push(...await plugins.run('finalizeReport', {
+    url,
+    frontendAnalysis,
+    contractAnalysis,
+    findings: detected
+  }));
+  const findings = sortFindings(detected);
+  const riskSummary = calculateRiskSummary(findings, contractAnalysis, policy);
+  const chain = getChain(contractAnalysis.chainId);
   
   const report = {
     scanId,
     url,
     timestamp,
     version: '1.0.0',
+    chain: {
+      id: chain.id,
+      name: chain.name,
+      nativeCurrency: chain.nativeCurrency
+    },
     
     // Frontend Analysis Section
     frontendAnalysis: {
@@ -22,18 +51,45 @@ export function generateReport({ url, frontendAnalysis, contractAnalysis }) {
         buttonsAnalyzed: frontendAnalysis.buttons.length,
         walletInteractions: frontendAnalysis.walletInteractions.length,
         externalScripts: frontendAnalysis.externalScripts.length,
-        apiCalls: frontendAnalysis.apiCalls.length
+        apiCalls: frontendAnalysis.apiCalls.length,
+        routesCrawled: (frontendAnalysis.routes || []).length,
+        scriptsAnalyzed: (frontendAnalysis.scripts || []).length,
+        networkRequests: frontendAnalysis.network ? frontendAnalysis.network.requests : frontendAnalysis.networkRequests || 0,
+        evidenceCaptured: (frontendAnalysis.evidence || []).length,
+        clipboardWrites: (frontendAnalysis.clipboard?.writes || []).length
       },
+      routes: groupFindingsByRoute(frontendAnalysis),
       buttons: frontendAnalysis.buttons.map(button => ({
         text: button.text,
+        route: button.route || null,
+        clickPath: button.clickPath || [],
+        selector: button.selector || null,
         action: button.action,
         risk: button.risk || 'unknown',
-        element: button.element
+        element: button.element,
+        evidence: button.evidence || null
       })),
       signatures: frontendAnalysis.signatures || [],
       apiCalls: frontendAnalysis.apiCalls || [],
       externalScripts: frontendAnalysis.externalScripts || [],
-      walletInteractions: frontendAnalysis.walletInteractions || []
+      scripts: frontendAnalysis.scripts || [],
+      csp: frontendAnalysis.csp || [],
+      network: frontendAnalysis.network || null,
+      clipboard: frontendAnalysis.clipboard || { writes: [], swaps: [] },
+      // Screenshot and DOM file names are relative to the <scanId>/ directory next to the report
+      evidence: (frontendAnalysis.evidence || []).map(({ data, ...artifact }) => artifact),
+      discoveredAddresses: (frontendAnalysis.discoveredAddresses || []).map(candidate => ({
+        address: candidate.address,
+        interacted: candidate.interacted,
+        checksummed: candidate.checksummed,
+        occurrences: candidate.occurrences,
+        sources: candidate.sources
+      })),
+      walletInteractions: frontendAnalysis.walletInteractions || [],
+      chainRequests: frontendAnalysis.chainRequests || [],
+      wallet: frontendAnalysis.wallet || null,
+      transactions: frontendAnalysis.transactions || [],
+      findings: sortFindings(frontendAnalysis.findings || [])
     },
     
     // Contract Analysis Section
@@ -41,18 +97,22 @@ export function generateReport({ url, frontendAnalysis, contractAnalysis }) {
       summary: {
         contractsFound: contractAnalysis.addresses.length,
         verifiedContracts: contractAnalysis.verified.filter(v => v).length,
+        addressesDiscovered: (frontendAnalysis.discoveredAddresses || []).length,
         functionsDetected: contractAnalysis.functions.length,
-        risksIdentified: contractAnalysis.risks.length
+        findings: (contractAnalysis.findings || []).length
       },
       addresses: contractAnalysis.addresses || [],
       verified: contractAnalysis.verified || [],
       functions: contractAnalysis.functions || [],
-      risks: contractAnalysis.risks || [],
-      analysis: contractAnalysis.analysis || []
+      findings: sortFindings(contractAnalysis.findings || []),
+      analysis: contractAnalysis.analysis || [],
+      proxies: contractAnalysis.proxies || [],
+      tokens: contractAnalysis.tokens || []
     },
     
     // Risk Summary Section
     riskSummary,
+    findings,
     
     // Metadata
     metadata: {
@@ -70,103 +130,69 @@ export function generateReport({ url, frontendAnalysis, contractAnalysis }) {
   console.log(`✅ Report generated successfully`);
   console.log(`   - Risk Level: ${riskSummary.level.toUpperCase()}`);
   console.log(`   - Security Score: ${riskSummary.score}/100`);
-  console.log(`   - Issues Found: ${riskSummary.issues.length}`);
+  console.log(`   - Findings: ${findings.length}`);
   
   return report;
 }
 
 /**
- * Calculate overall risk summary
+ * Crawled routes with the findings raised on each, in crawl order. Findings not tied to a
+ * route (e.g. about the site's scripts as a whole) are listed under a null url.
  */
-function calculateRiskSummary(frontendAnalysis, contractAnalysis) {
-  const issues = [];
-  let riskScore = 100; // Start with perfect score, deduct for issues
-  
-  // Frontend risks
-  const dangerousButtons = frontendAnalysis.buttons?.filter(b => b.risk === 'danger') || [];
-  const warningButtons = frontendAnalysis.buttons?.filter(b => b.risk === 'warning') || [];
-  
-  if (dangerousButtons.length > 0) {
-    issues.push(`${dangerousButtons.length} high-risk button(s) detected (wallet transactions)`);
-    riskScore -= dangerousButtons.length * 15;
-  }
-  
-  if (warningButtons.length > 0) {
-    issues.push(`${warningButtons.length} medium-risk button(s) detected (signatures/redirects)`);
-    riskScore -= warningButtons.length * 5;
-  }
-  
-  if (frontendAnalysis.externalScripts?.length > 3) {
-    issues.push(`High number of external scripts (${frontendAnalysis.externalScripts.length})`);
-    riskScore -= 10;
-  }
-  
-  // Contract risks
-  if (contractAnalysis.addresses?.length === 0) {
-    issues.push('No smart contracts detected - may not be a genuine Web3 dApp');
-    riskScore -= 20;
-  }
-  
-  const unverifiedContracts = contractAnalysis.verified?.filter(v => !v).length || 0;
-  if (unverifiedContracts > 0) {
-    issues.push(`${unverifiedContracts} unverified contract(s) detected`);
-    riskScore -= unverifiedContracts * 10;
-  }
-  
-  // Add specific contract risks
-  contractAnalysis.risks?.forEach(risk => {
-    issues.push(risk);
-    if (risk.includes('SELFDESTRUCT') || risk.includes('Proxy')) {
-      riskScore -= 20;
-    } else if (risk.includes('DELEGATECALL') || risk.includes('Dangerous function')) {
-      riskScore -= 15;
-    } else {
-      riskScore -= 5;
-    }
-  });
-  
-  // Ensure score doesn't go below 0
-  riskScore = Math.max(0, riskScore);
-  
-  // Determine risk level
-  let level;
-  if (riskScore >= 80) {
-    level = 'safe';
-  } else if (riskScore >= 50) {
-    level = 'warning';
-  } else {
-    level = 'danger';
-  }
-  
-  // Add positive findings
-  if (issues.length === 0) {
-    issues.push('No significant security issues detected');
-  }
-  
-  const verifiedContracts = contractAnalysis.verified?.filter(v => v).length || 0;
-  if (verifiedContracts > 0) {
-    issues.unshift(`✅ ${verifiedContracts} verified contract(s) found`);
+function groupFindingsByRoute(frontendAnalysis) {
+  const findings = frontendAnalysis.findings || [];
+  const routes = (frontendAnalysis.routes || []).map(route => ({
+    ...route,
+    findings: sortFindings(findings.filter(finding => finding.route === route.url))
+  }));
+
+  const known = new Set(routes.map(route => route.url));
+  const siteWide = findings.filter(finding => !known.has(finding.route));
+  if (siteWide.length > 0) {
+    routes.push({ url: null, depth: null, title: 'Site-wide', buttons: 0, findings: sortFindings(siteWide) });
   }
+
+  return routes;
+}
+
+/**
+ * Calculate overall risk summary from findings
+ */
+function calculateRiskSummary(findings, contractAnalysis, policy) {
+  const { score, level, breakdown } = scoreFindings(findings, contractAnalysis, policy);
+  const counts = countBySeverity(findings.filter(finding => !finding.suppressed));
   
   return {
     level,
-    score: Math.round(riskScore),
-    issues,
-    summary: generateRiskSummaryText(level, riskScore, issues)
+    score,
+    counts,
+    policy: {
+      name: policy.name,
+      description: policy.description || null,
+      baseScore: policy.baseScore,
+      thresholds: policy.thresholds
+    },
+    breakdown,
+    summary: generateRiskSummaryText(level, score, counts)
   };
 }
 
 /**
  * Generate human-readable risk summary
  */
-function generateRiskSummaryText(level, score, issues) {
+function generateRiskSummaryText(level, score, counts) {
   const levelDescriptions = {
     safe: 'This dApp appears to be relatively safe to interact with.',
     warning: 'This dApp has some potential security concerns that should be reviewed.',
     danger: 'This dApp has significant security risks and should be approached with extreme caution.'
   };
   
-  return `${levelDescriptions[level]} Security score: ${score}/100. ${issues.length} issue(s) identified.`;
+  const breakdown = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`)
+    .join(', ');
+  
+  return `${levelDescriptions[level]} Security score: ${score}/100. ${breakdown || 'No'} finding(s) identified.`;
 }
 
 /**
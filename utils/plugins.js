@@ -0,0 +1,125 @@
+import { readdir, stat } from 'fs/promises';
+import { join, resolve, isAbsolute, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { createFinding } from './findings.js';
+
+/**
+ * Detector plugins. A plugin is a module whose default export is an object (or a function
+ * returning one) with a name and any of these hooks; each hook may return findings:
+ *
+ * - analyzeContract({ address, chainId, bytecode, codeHash, instructions, abi, sourceCode, functions, proxy, roles })
+ * - pageLoaded({ url, page, html })
+ * - walletRequest({ url, method, params, element })
+ * - networkRequest({ url, pageUrl, method, resourceType, postData })
+ * - finalizeReport({ url, frontendAnalysis, contractAnalysis, findings, suppress })
+ *
+ * Every context also carries createFinding(rule, details); rule IDs without a namespace
+ * are prefixed with the plugin name. In finalizeReport, suppress(finding, reason) keeps a
+ * finding in the report but stops it counting towards the score (e.g. internal allowlists).
+ */
+export const PLUGIN_HOOKS = ['analyzeContract', 'pageLoaded', 'walletRequest', 'networkRequest', 'finalizeReport'];
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Load plugins from a directory and/or a list of npm packages or file paths.
+ * Defaults come from PLUGIN_DIR and PLUGINS (comma-separated).
+ */
+export async function loadPlugins(options = {}) {
+  const dir = options.dir ?? process.env.PLUGIN_DIR;
+  const specifiers = options.packages ?? (process.env.PLUGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const modules = [];
+
+  if (dir) {
+    for (const entry of (await readdir(dir)).sort()) {
+      const path = resolve(dir, entry);
+      if ((await stat(path)).isDirectory()) {
+        modules.push(join(path, 'index.js'));
+      } else if (PLUGIN_EXTENSIONS.includes(extname(entry))) {
+        modules.push(path);
+      }
+    }
+  }
+
+  for (const specifier of specifiers) {
+    const isPath = specifier.startsWith('.') || isAbsolute(specifier);
+    modules.push(isPath ? resolve(specifier) : specifier);
+  }
+
+  const plugins = [];
+  for (const module of modules) {
+    const url = isAbsolute(module) ? pathToFileURL(module).href : module;
+    const exported = (await import(url)).default;
+    const plugin = typeof exported === 'function' ? await exported() : exported;
+
+    validatePlugin(plugin, module);
+    plugins.push(plugin);
+    console.log(`🔌 Loaded plugin ${plugin.name} (${PLUGIN_HOOKS.filter(hook => plugin[hook]).join(', ')})`);
+  }
+
+  return createPluginHost(plugins);
+}
+
+/**
+ * Wrap loaded plugins so detectors can run a hook without caring how many plugins exist
+ */
+export function createPluginHost(plugins = []) {
+  return {
+    plugins,
+
+    /**
+     * Run a hook on every plugin that implements it and collect their findings.
+     * A failing plugin is logged and skipped so it cannot abort the scan.
+     */
+    async run(hook, context) {
+      const findings = [];
+
+      for (const plugin of plugins.filter(p => typeof p[hook] === 'function')) {
+        try {
+          const result = await plugin[hook]({
+            ...context,
+            createFinding: (rule, details) => createFinding({ ...rule, id: namespaced(plugin, rule.id) }, details),
+            suppress: (finding, reason) => { finding.suppressed = { by: plugin.name, reason }; }
+          });
+          for (const finding of [].concat(result || [])) {
+            findings.push(normalizeFinding(plugin, finding));
+          }
+        } catch (error) {
+          console.log(`⚠️  Plugin ${plugin.name} failed in ${hook}:`, error.message);
+        }
+      }
+
+      return findings;
+    }
+  };
+}
+
+function validatePlugin(plugin, module) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error(`Plugin ${module} must export a name`);
+  }
+  if (!PLUGIN_HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+    throw new Error(`Plugin ${plugin.name} implements none of: ${PLUGIN_HOOKS.join(', ')}`);
+  }
+}
+
+/**
+ * Accept findings built with the context's createFinding or as plain objects
+ */
+function normalizeFinding(plugin, finding) {
+  const { ruleId, id, ...rest } = finding;
+  const normalized = createFinding({
+    id: namespaced(plugin, ruleId || id),
+    title: rest.title,
+    severity: rest.severity,
+    confidence: rest.confidence || 'medium',
+    category: rest.category || 'plugin',
+    remediation: rest.remediation || ''
+  }, rest);
+
+  return { ...normalized, plugin: plugin.name };
+}
+
+function namespaced(plugin, ruleId = 'finding') {
+  return ruleId.includes('/') ? ruleId : `${plugin.name}/${ruleId}`;
+}
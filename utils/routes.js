@@ -0,0 +1,27 @@
+/**
+ * Route helpers for crawling a dApp
+ */
+
+// Links to these are downloads, not routes of the dApp
+const DOCUMENT_EXTENSIONS = /\.(pdf|zip|png|jpe?g|gif|svg|webp|ico|css|js|json|xml|txt|mp4|webm)$/i;
+
+/**
+ * Canonical form of a same-origin route, or null for other origins and non-HTTP URLs.
+ * Fragments are dropped unless they are hash routes ("#/claim", "#!/claim"); links to files
+ * such as PDFs and images are not routes.
+ */
+export function normalizeRoute(href, origin) {
+  let parsed;
+  try {
+    parsed = new URL(href);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.origin !== origin || !parsed.protocol.startsWith('http')) return null;
+  if (DOCUMENT_EXTENSIONS.test(parsed.pathname)) return null;
+
+  if (!/^#!?\//.test(parsed.hash)) {
+    parsed.hash = '';
+  }
+  return parsed.href;
+}
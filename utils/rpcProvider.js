@@ -0,0 +1,289 @@
+import axios from 'axios';
+import { getChain } from './chains.js';
+
+/**
+ * Defaults for every endpoint; override with configureRpc() or the RPC_* environment variables
+ */
+const DEFAULT_SETTINGS = {
+  timeout: 10000,
+  retries: 3,
+  backoffBase: 250,
+  maxConcurrent: 4,
+  requestsPerSecond: 10,
+  batchSize: 20,
+  batchWait: 10
+};
+
+// JSON-RPC error codes that mean "slow down" rather than "your call failed"
+const RATE_LIMIT_CODES = new Set([-32005, -32029, 429]);
+
+// configureRpc() overrides; the environment is read on each lookup, as chains.js does
+let overrides = { customUrls: [] };
+const providers = new Map();
+
+/**
+ * Override provider settings for all chains, e.g. from CLI flags.
+ * customUrls are tried before the chain's own endpoints once they report the right chain ID.
+ */
+export function configureRpc(options = {}) {
+  overrides = {
+    ...overrides,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+  };
+  providers.clear();
+}
+
+/**
+ * Get the shared provider for a chain. All on-chain reads should go through this.
+ * A new provider is created when the endpoints or settings have changed since the last lookup.
+ */
+export function getProvider(chainId) {
+  const chain = getChain(chainId);
+  const settings = currentSettings();
+  const endpoints = [
+    ...customUrls(settings).map(url => ({ url, expectedChainId: chain.id })),
+    ...chain.rpcUrls.map(url => ({ url }))
+  ];
+  const key = JSON.stringify({ endpoints, settings });
+
+  if (providers.get(chain.id)?.key !== key) {
+    providers.set(chain.id, { key, provider: createRpcProvider(endpoints, settings) });
+  }
+
+  return providers.get(chain.id).provider;
+}
+
+/**
+ * Create a JSON-RPC provider over ordered fallback endpoints. Calls made in the same
+ * tick are batched, each endpoint is rate limited, and transient failures are retried
+ * with exponential backoff before falling through to the next endpoint.
+ */
+export function createRpcProvider(endpoints, options = DEFAULT_SETTINGS) {
+  const state = endpoints.map(endpoint => ({
+    ...endpoint,
+    limiter: createLimiter(options),
+    disabled: false,
+    noBatch: false,
+    verification: null
+  }));
+  let pending = [];
+  let timer = null;
+  let nextId = 1;
+
+  function request(method, params = []) {
+    return new Promise((resolve, reject) => {
+      pending.push({ id: nextId++, method, params, resolve, reject });
+
+      if (pending.length >= options.batchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, options.batchWait);
+      }
+    });
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+
+    const calls = pending;
+    pending = [];
+    for (let i = 0; i < calls.length; i += options.batchSize) {
+      sendWithFallback(calls.slice(i, i + options.batchSize));
+    }
+  }
+
+  async function sendWithFallback(calls) {
+    let lastError = new Error('No RPC endpoint available');
+
+    for (const endpoint of state) {
+      if (endpoint.expectedChainId && !(await verifyEndpoint(endpoint))) continue;
+      if (endpoint.disabled) continue;
+
+      try {
+        const responses = await sendWithRetry(endpoint, calls);
+        settle(calls, responses);
+        return;
+      } catch (error) {
+        lastError = error;
+        console.log(`⚠️  RPC endpoint ${endpoint.url} failed: ${error.message}`);
+      }
+    }
+
+    calls.forEach(call => call.reject(lastError));
+  }
+
+  async function sendWithRetry(endpoint, calls) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await endpoint.limiter.schedule(() => send(endpoint, calls));
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= options.retries) throw error;
+
+        const delay = options.backoffBase * 2 ** attempt + Math.random() * options.backoffBase;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async function send(endpoint, calls) {
+    if (calls.length === 1 || endpoint.noBatch) {
+      return Promise.all(calls.map(call => post(endpoint, toPayload(call))));
+    }
+
+    const responses = await post(endpoint, calls.map(toPayload));
+
+    // Some public endpoints reject batches; fall back to one request per call
+    if (!Array.isArray(responses)) {
+      endpoint.noBatch = true;
+      return Promise.all(calls.map(call => post(endpoint, toPayload(call))));
+    }
+
+    return responses;
+  }
+
+  async function post(endpoint, payload) {
+    const response = await axios.post(endpoint.url, payload, {
+      timeout: options.timeout,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const items = Array.isArray(response.data) ? response.data : [response.data];
+    const limited = items.find(item => RATE_LIMIT_CODES.has(item?.error?.code));
+    if (limited) {
+      throw Object.assign(new Error(limited.error.message || 'Rate limited'), { retryable: true });
+    }
+
+    return response.data;
+  }
+
+  // Custom endpoints are shared across chains, so only use them where they serve the right one
+  function verifyEndpoint(endpoint) {
+    if (!endpoint.verification) {
+      endpoint.verification = post(endpoint, toPayload({ id: 0, method: 'eth_chainId', params: [] }))
+        .then(response => parseInt(response.result, 16) === endpoint.expectedChainId)
+        .catch(() => false)
+        .then(matches => {
+          if (!matches) {
+            endpoint.disabled = true;
+            console.log(`⚠️  Skipping RPC ${endpoint.url}: not serving chain ${endpoint.expectedChainId}`);
+          }
+          return matches;
+        });
+    }
+    return endpoint.verification;
+  }
+
+  return { request, endpoints: state.map(endpoint => endpoint.url) };
+}
+
+/**
+ * Limit concurrent requests and request rate for one endpoint
+ */
+function createLimiter({ maxConcurrent, requestsPerSecond }) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  function next() {
+    if (active >= maxConcurrent || queue.length === 0 || timer) return;
+
+    const wait = lastStart + interval - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    lastStart = Date.now();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  }
+
+  return {
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+/**
+ * Match batch responses to calls by ID; per-call errors (e.g. reverts) reject only that call
+ */
+function settle(calls, responses) {
+  const byId = new Map([].concat(responses).map(response => [response?.id, response]));
+
+  for (const call of calls) {
+    const response = byId.get(call.id);
+
+    if (!response) {
+      call.reject(new Error(`No response for ${call.method}`));
+    } else if (response.error) {
+      call.reject(Object.assign(new Error(response.error.message || `${call.method} failed`), {
+        code: response.error.code,
+        data: response.error.data
+      }));
+    } else {
+      call.resolve(response.result);
+    }
+  }
+}
+
+function toPayload(call) {
+  return { jsonrpc: '2.0', id: call.id, method: call.method, params: call.params };
+}
+
+/**
+ * Network errors, timeouts, HTTP 429 and 5xx are worth retrying; anything else is not
+ */
+function isRetryable(error) {
+  if (error.retryable) return true;
+  if (!error.response) return true;
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+function currentSettings() {
+  return { ...DEFAULT_SETTINGS, ...settingsFromEnv(), ...overrides };
+}
+
+function customUrls(settings) {
+  const urls = [...settings.customUrls];
+  if (process.env.CUSTOM_RPC_URL) {
+    urls.push(process.env.CUSTOM_RPC_URL);
+  }
+  return [...new Set(urls)];
+}
+
+function settingsFromEnv() {
+  const numbers = {
+    timeout: process.env.RPC_TIMEOUT,
+    retries: process.env.RPC_MAX_RETRIES,
+    maxConcurrent: process.env.RPC_MAX_CONCURRENCY,
+    requestsPerSecond: process.env.RPC_REQUESTS_PER_SECOND,
+    batchSize: process.env.RPC_BATCH_SIZE
+  };
+
+  return Object.fromEntries(
+    Object.entries(numbers)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => [key, Number(value)])
+  );
+}
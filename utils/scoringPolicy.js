@@ -0,0 +1,216 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { join, extname, basename } from 'path';
+import YAML from 'yaml';
+import { SEVERITIES, CONFIDENCES } from './findings.js';
+
+/**
+ * Risk-scoring policies. Bundled policies live in data/policies/ as JSON or YAML;
+ * any top-level section a policy leaves out is taken from the default policy.
+ */
+const POLICY_DIR = fileURLToPath(new URL('../data/policies', import.meta.url));
+const POLICY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const POLICY_NAME_REGEX = /^[\w-]+$/;
+
+/**
+ * Conditions a policy can reward, each counted once per matching item
+ */
+const BONUS_CONDITIONS = {
+  verifiedContract: {
+    label: 'Verified contract',
+    items: contractAnalysis => (contractAnalysis.analysis || [])
+      .filter(entry => entry.verified)
+      .map(entry => entry.address)
+  },
+  timelockedRole: {
+    label: 'Privileged role behind a timelock',
+    items: contractAnalysis => roles(contractAnalysis)
+      .filter(({ role }) => role.type === 'timelock')
+      .map(describeRole)
+  },
+  multisigRole: {
+    label: 'Privileged role held by a multi-signer Safe',
+    items: contractAnalysis => roles(contractAnalysis)
+      .filter(({ role }) => role.type === 'safe' && role.threshold > 1)
+      .map(describeRole)
+  },
+  renouncedOwnership: {
+    label: 'Privileged role renounced',
+    items: contractAnalysis => roles(contractAnalysis)
+      .filter(({ role }) => role.type === 'renounced')
+      .map(describeRole)
+  }
+};
+
+/**
+ * Names of the bundled policies
+ */
+export function listPolicies() {
+  return readdirSync(POLICY_DIR)
+    .filter(file => POLICY_EXTENSIONS.includes(extname(file)))
+    .map(file => file.slice(0, -extname(file).length))
+    .sort();
+}
+
+/**
+ * Load a policy by bundled name, or from a file path when options.allowPaths is set
+ * (the CLI allows paths; the API only accepts bundled names).
+ */
+export function loadScoringPolicy(reference = 'default', options = {}) {
+  let path;
+
+  if (POLICY_NAME_REGEX.test(reference)) {
+    path = POLICY_EXTENSIONS.map(ext => join(POLICY_DIR, reference + ext)).find(existsSync);
+  } else if (options.allowPaths) {
+    path = reference;
+  }
+
+  if (!path || !existsSync(path)) {
+    throw new Error(`Unknown scoring policy: ${reference}. Available policies: ${listPolicies().join(', ')}`);
+  }
+
+  const policy = parsePolicy(readFileSync(path, 'utf8'), path);
+  const defaults = reference === 'default' ? {} : loadScoringPolicy('default');
+  return validatePolicy({ ...defaults, name: basename(path, extname(path)), ...policy });
+}
+
+/**
+ * Apply a policy to the findings of a scan. Returns the score, the level and an itemised
+ * breakdown of every deduction and bonus so the score can be explained.
+ */
+export function scoreFindings(findings, contractAnalysis, policy) {
+  const breakdown = [];
+  const totals = new Map();
+
+  for (const finding of findings) {
+    const override = policy.rules[finding.ruleId] || {};
+    const severity = override.severity || finding.severity;
+    const weight = override.weight ?? policy.severityWeights[severity];
+    const factor = policy.confidenceFactors[finding.confidence];
+    let points = -round(weight * factor);
+    let reason = `${severity} (${weight}) × ${finding.confidence} confidence (${factor})`;
+
+    if (finding.suppressed) {
+      points = 0;
+      reason = `suppressed by ${finding.suppressed.by}: ${finding.suppressed.reason}`;
+    } else if (override.ignore) {
+      points = 0;
+      reason = 'ignored by policy';
+    } else if (override.maxTotal !== undefined) {
+      const used = totals.get(finding.ruleId) || 0;
+      const allowed = Math.max(0, override.maxTotal - used);
+      if (-points > allowed) {
+        points = -allowed;
+        reason += `, capped at ${override.maxTotal} for this rule`;
+      }
+      totals.set(finding.ruleId, used - points);
+    }
+
+    breakdown.push({
+      type: 'deduction',
+      id: finding.ruleId,
+      label: finding.title,
+      affected: finding.affected?.value || null,
+      points,
+      reason
+    });
+  }
+
+  for (const [id, bonus] of Object.entries(policy.bonuses)) {
+    const condition = BONUS_CONDITIONS[id];
+    let total = 0;
+
+    for (const item of condition.items(contractAnalysis)) {
+      const points = Math.min(bonus.points, (bonus.max ?? Infinity) - total);
+      if (points <= 0) break;
+
+      total += points;
+      breakdown.push({
+        type: 'bonus',
+        id,
+        label: condition.label,
+        affected: item,
+        points,
+        reason: bonus.max !== undefined ? `${bonus.points} each, up to ${bonus.max}` : `${bonus.points} each`
+      });
+    }
+  }
+
+  const raw = policy.baseScore + breakdown.reduce((sum, item) => sum + item.points, 0);
+  const score = Math.round(Math.min(100, Math.max(0, raw)));
+
+  let level;
+  if (score >= policy.thresholds.safe) {
+    level = 'safe';
+  } else if (score >= policy.thresholds.warning) {
+    level = 'warning';
+  } else {
+    level = 'danger';
+  }
+
+  return { score, level, breakdown };
+}
+
+function parsePolicy(content, path) {
+  try {
+    return extname(path) === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse scoring policy ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Reject policies that would silently score wrong
+ */
+function validatePolicy(policy) {
+  const errors = [];
+
+  for (const severity of SEVERITIES) {
+    if (typeof policy.severityWeights?.[severity] !== 'number') {
+      errors.push(`severityWeights.${severity} must be a number`);
+    }
+  }
+  for (const confidence of CONFIDENCES) {
+    if (typeof policy.confidenceFactors?.[confidence] !== 'number') {
+      errors.push(`confidenceFactors.${confidence} must be a number`);
+    }
+  }
+  if (typeof policy.baseScore !== 'number') {
+    errors.push('baseScore must be a number');
+  }
+  if (!(policy.thresholds?.safe >= policy.thresholds?.warning)) {
+    errors.push('thresholds.safe must be at least thresholds.warning');
+  }
+  for (const [ruleId, override] of Object.entries(policy.rules || {})) {
+    if (override.severity && !SEVERITIES.includes(override.severity)) {
+      errors.push(`rules.${ruleId}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+  }
+  for (const [id, bonus] of Object.entries(policy.bonuses || {})) {
+    if (!BONUS_CONDITIONS[id]) {
+      errors.push(`bonuses.${id} is not a known bonus (${Object.keys(BONUS_CONDITIONS).join(', ')})`);
+    } else if (typeof bonus.points !== 'number') {
+      errors.push(`bonuses.${id}.points must be a number`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring policy ${policy.name || ''}: ${errors.join('; ')}`);
+  }
+
+  return { rules: {}, bonuses: {}, ...policy };
+}
+
+function roles(contractAnalysis) {
+  return (contractAnalysis.analysis || []).flatMap(entry =>
+    (entry.roles || []).map(role => ({ address: entry.address, role }))
+  );
+}
+
+function describeRole({ address, role }) {
+  return `${address} ${role.role}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
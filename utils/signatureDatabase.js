@@ -0,0 +1,152 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+/**
+ * Local database of function, event and error signatures.
+ * Bundled in data/signatures.json so decoding needs no network; refresh it with
+ * `npm run cli signatures import <dump>`. SIGNATURE_DB_PATH points at an alternative file.
+ */
+const DEFAULT_DB_PATH = fileURLToPath(new URL('../data/signatures.json', import.meta.url));
+const SIGNATURE_REGEX = /^[A-Za-z_$][\w$]*\(.*\)$/;
+const TYPES = ['functions', 'events', 'errors'];
+
+let database = null;
+
+/**
+ * Candidate signatures for a 4-byte function selector
+ */
+export function lookupFunction(selector) {
+  return loadSignatureDatabase().functions[selector.toLowerCase()] || [];
+}
+
+/**
+ * Candidate signatures for a 32-byte event topic
+ */
+export function lookupEvent(topic) {
+  return loadSignatureDatabase().events[topic.toLowerCase()] || [];
+}
+
+/**
+ * Candidate signatures for a 4-byte custom error selector
+ */
+export function lookupError(selector) {
+  return loadSignatureDatabase().errors[selector.toLowerCase()] || [];
+}
+
+/**
+ * Hash a text signature the way the EVM identifies it
+ */
+export function signatureHash(type, signature) {
+  const hash = ethers.utils.id(signature);
+  return type === 'events' ? hash : hash.slice(0, 10);
+}
+
+/**
+ * Load the database from disk (once)
+ */
+export function loadSignatureDatabase() {
+  if (!database) {
+    const path = databasePath();
+    try {
+      database = { functions: {}, events: {}, errors: {}, ...JSON.parse(readFileSync(path, 'utf8')) };
+    } catch (error) {
+      console.log(`⚠️  Could not load signature database ${path}:`, error.message);
+      database = { version: 1, functions: {}, events: {}, errors: {} };
+    }
+  }
+  return database;
+}
+
+/**
+ * Write the in-memory database back to disk
+ */
+export function saveSignatureDatabase() {
+  const db = loadSignatureDatabase();
+  db.updatedAt = new Date().toISOString();
+
+  const sorted = { version: db.version || 1, updatedAt: db.updatedAt };
+  for (const type of TYPES) {
+    sorted[type] = Object.fromEntries(Object.entries(db[type]).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  writeFileSync(databasePath(), JSON.stringify(sorted, null, 2) + '\n');
+}
+
+/**
+ * Add signatures to the database. Entries whose hash does not match their text are rejected.
+ */
+export function importSignatures(entries) {
+  const db = loadSignatureDatabase();
+  const stats = { added: 0, duplicate: 0, invalid: 0 };
+
+  for (const { type, signature, hash } of entries) {
+    const text = signature?.replace(/\s+/g, '');
+
+    if (!TYPES.includes(type) || !text || !SIGNATURE_REGEX.test(text)) {
+      stats.invalid++;
+      continue;
+    }
+
+    const computed = signatureHash(type, text);
+    if (hash && hash.toLowerCase() !== computed) {
+      stats.invalid++;
+      continue;
+    }
+
+    const candidates = db[type][computed] || (db[type][computed] = []);
+    if (candidates.includes(text)) {
+      stats.duplicate++;
+    } else {
+      candidates.push(text);
+      stats.added++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Parse a signature dump. Supported formats:
+ * - 4byte.directory API pages ({ results: [{ text_signature, hex_signature }] }) or arrays of them
+ * - OpenChain lookup/export JSON ({ result: { function: { hash: [{ name }] }, event: {...} } })
+ * - Plain text, one signature per line (type taken from defaultType)
+ */
+export function parseSignatureDump(content, defaultType = 'functions') {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(signature => ({ type: defaultType, signature }));
+  }
+
+  // OpenChain: types are named in the payload
+  const openChain = json.result || json;
+  if (openChain.function || openChain.event || openChain.error) {
+    const typeNames = { function: 'functions', event: 'events', error: 'errors' };
+    return Object.entries(typeNames).flatMap(([key, type]) =>
+      Object.entries(openChain[key] || {}).flatMap(([hash, matches]) =>
+        (matches || []).map(match => ({ type, hash, signature: match.name }))
+      )
+    );
+  }
+
+  // 4byte: a page, an array of pages, or a flat array of results
+  const results = Array.isArray(json)
+    ? json.flatMap(item => item.results || [item])
+    : json.results || [];
+
+  return results.map(result => ({
+    type: defaultType,
+    hash: result.hex_signature,
+    signature: result.text_signature
+  }));
+}
+
+function databasePath() {
+  return process.env.SIGNATURE_DB_PATH || DEFAULT_DB_PATH;
+}
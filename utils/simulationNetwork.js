@@ -0,0 +1,130 @@
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+// The public `hardhat` entry point gives one network per process with a fixed chain ID; forks of
+// several chains need these internal modules, which is why package.json pins Hardhat exactly
+import { resolveConfig } from 'hardhat/internal/core/config/config-resolution.js';
+import { createProvider } from 'hardhat/internal/core/providers/construction.js';
+import { getChain } from './chains.js';
+
+/**
+ * In-process Hardhat networks for simulations. By default the network forks the chain
+ * (options.forkUrl, SIMULATION_FORK_URL or the chain's RPC) so real balances and contracts
+ * apply; with options.fork === false (or SIMULATION_FORK=false) it starts from empty state.
+ */
+const HARDHAT_CONFIG_PATH = fileURLToPath(new URL('../hardhat/hardhat.config.js', import.meta.url));
+
+/**
+ * Start a network for options.chainId. Returns an EIP-1193 provider with the chain attached.
+ */
+export async function createSimulationNetwork(options = {}) {
+  const chain = getChain(options.chainId);
+  const fork = options.fork ?? process.env.SIMULATION_FORK !== 'false';
+  const forkUrl = options.forkUrl || process.env.SIMULATION_FORK_URL || chain.rpcUrl;
+  const blockNumber = options.blockNumber ?? (Number(process.env.SIMULATION_FORK_BLOCK) || undefined);
+
+  const config = resolveConfig(HARDHAT_CONFIG_PATH, {
+    networks: {
+      hardhat: {
+        chainId: chain.id,
+        accounts: [],
+        // Keep reverted transactions so their gas use and status can be reported
+        throwOnTransactionFailures: false,
+        forking: fork ? { url: forkUrl, blockNumber } : undefined
+      }
+    }
+  });
+
+  const network = await createProvider(config, 'hardhat');
+
+  // Hardhat only knows the hardfork history of a few chains; executing on the forked block
+  // itself fails elsewhere, so move past it to a block the local node mined
+  await network.request({ method: 'evm_mine', params: [] });
+
+  network.chain = chain;
+  network.description = fork ? `a fork of ${chain.name}` : 'a local Hardhat network';
+  return network;
+}
+
+/**
+ * Send a transaction from an impersonated account and wait for its receipt.
+ * Returns { receipt, success, gasUsed, gasCost, revertReason }.
+ */
+export async function sendTransaction(network, request) {
+  const params = { ...request, value: ethers.BigNumber.from(request.value || 0).toHexString() };
+  const hash = await network.request({ method: 'eth_sendTransaction', params: [params] });
+  const receipt = await network.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+  const gasUsed = ethers.BigNumber.from(receipt.gasUsed);
+  const success = receipt.status === '0x1';
+
+  return {
+    receipt,
+    success,
+    gasUsed,
+    gasCost: gasUsed.mul(receipt.effectiveGasPrice || 0),
+    revertReason: success ? null : await findRevertReason(network, params, receipt)
+  };
+}
+
+/**
+ * eth_call against the latest block, decoded with the given output types.
+ * Returns null when the call reverts or returns something else.
+ */
+export async function staticCall(network, to, data, types) {
+  try {
+    const result = await network.request({ method: 'eth_call', params: [{ to, data }, 'latest'] });
+    return types ? ethers.utils.defaultAbiCoder.decode(types, result) : result;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Native currency balance at the latest block
+ */
+export async function getBalance(network, address) {
+  return ethers.BigNumber.from(await network.request({ method: 'eth_getBalance', params: [address, 'latest'] }));
+}
+
+/**
+ * Let the simulation send from an address and give it at least `minimum` native currency
+ */
+export async function prepareAccount(network, address, minimum) {
+  await network.request({ method: 'hardhat_impersonateAccount', params: [address] });
+  if ((await getBalance(network, address)).lt(minimum)) {
+    await network.request({ method: 'hardhat_setBalance', params: [address, minimum.toHexString()] });
+  }
+}
+
+/**
+ * Symbol (string or bytes32) and, for fungible tokens, decimals
+ */
+export async function readTokenMetadata(network, token, fungible = true) {
+  const call = async (signature, types) =>
+    (await staticCall(network, token, ethers.utils.id(signature).slice(0, 10), types))?.[0] ?? null;
+
+  let symbol = await call('symbol()', ['string']);
+  if (symbol === null) {
+    try {
+      const raw = await call('symbol()', ['bytes32']);
+      symbol = raw && ethers.utils.parseBytes32String(raw);
+    } catch (error) {
+      symbol = null;
+    }
+  }
+  const decimals = fungible ? await call('decimals()', ['uint8']) : null;
+
+  return { symbol, decimals };
+}
+
+/**
+ * Re-run a reverted transaction as a call against the block it was mined on to get its reason
+ */
+async function findRevertReason(network, request, receipt) {
+  const blockTag = ethers.BigNumber.from(receipt.blockNumber).sub(1).toHexString();
+  try {
+    await network.request({ method: 'eth_call', params: [request, blockTag] });
+    return null;
+  } catch (error) {
+    return error.message.replace(/^Error: /, '');
+  }
+}